@@ -30,5 +30,46 @@ export const config = {
     maxSoundsPerGuild: 100, // Maximum sounds per guild
     autoDisconnectDelay: 15 * 60 * 1000, // 15 minutes
     uiType: (process.env.UI_TYPE || 'BUTTONS').toUpperCase(), // 'BUTTONS' or 'SELECT'
+    defaultInterruptPolicy: 'queue', // 'interrupt', 'queue' or 'ignore' (per-guild override via /settings)
+    defaultTargetLoudness: -16, // LUFS that saved sounds are normalized to (per-guild override via /settings)
+    defaultChannelPolicy: 'move_if_empty', // 'move', 'refuse' or 'move_if_empty' (per-guild override via /settings)
+    defaultJoinSoundCooldown: 60, // Seconds between a member's join/leave sounds (per-guild override via /settings)
+    maxMixLayers: parseInt(process.env.MAX_MIX_LAYERS) || 4, // Sounds that can overlap in mixing mode
+    defaultTimezone: 'UTC', // Timezone schedules are written in (per-guild override via /settings)
+    maxSchedulesPerGuild: 25, // Maximum scheduled sounds per guild
+    schedulerInterval: 30 * 1000, // How often due schedules are checked
+    maxScheduleDelay: 5 * 60 * 1000, // Runs missed by more than this (e.g. while offline) are skipped
+    randomExcludeRecent: 5, // Most recently played sounds /random and the Random button skip by default
+    maxTagsPerSound: 10, // Maximum tags per sound
+    defaultMaxFileSize: 5 * 1024, // KB a downloaded sound may take (per-guild override via /settings)
+    defaultMaxDuration: 30, // Seconds a sound may play (per-guild override via /settings)
+    defaultAllowedMimeTypes: [ // Content types sounds may be served as (per-guild override via /settings)
+      'audio/mpeg', 'audio/mp3', 'audio/ogg', 'audio/opus', 'audio/wav', 'audio/x-wav', 'audio/wave',
+      'audio/webm', 'audio/aac', 'audio/mp4', 'audio/x-m4a', 'audio/flac',
+    ],
+    maxFileSizeLimit: 25 * 1024, // Highest file size limit (KB) a guild can set
+    maxDurationLimit: 10 * 60, // Highest duration limit (seconds) a guild can set
+    maxSearchResults: 10, // Hits /search shows (at most 25, the select menu limit)
+    autocompleteTimeout: 2000, // Live MyInstants suggestions slower than this are left out (Discord waits 3s)
+    importDelay: 500, // Pause between sounds of a bulk import
+    importProgressInterval: 3000, // How often a running import updates its progress message
+    linkCheckInterval: 60 * 60 * 1000, // How often the dead-link checker runs
+    linkCheckBatchSize: 50, // Sound links checked per run
+    linkRecheckAfter: 24 * 60 * 60 * 1000, // How long a checked link is trusted before it is checked again
+  },
+
+  // HTTP Configuration (scraping pages and downloading sounds, see HttpClient)
+  http: {
+    userAgent: process.env.HTTP_USER_AGENT ||
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36',
+    timeout: parseInt(process.env.HTTP_TIMEOUT) || 15 * 1000, // Give up on requests that take longer
+    maxPageSize: 5 * 1024 * 1024, // Bytes a scraped page may take
+    maxRetries: 2, // Retries after network errors, 5xx and 429
+    retryBaseDelay: 500, // First backoff (ms), doubled on each retry, with jitter
+    retryMaxDelay: 5 * 1000, // Longest backoff between retries
+    maxRetryAfter: 10 * 1000, // Servers asking to wait longer than this (Retry-After) aren't retried
+    maxConcurrentPerHost: 4, // Requests to one host at the same time
+    circuitFailureThreshold: 5, // Failed requests in a row before a host is paused
+    circuitResetTimeout: 60 * 1000, // How long a failing host is paused
   },
 };
@@ -4,7 +4,9 @@ import { Logger } from '../utils/logger.js';
 
 /**
  * Redis cache service for audio files
- * Caches downloaded audio buffers to avoid re-downloading from MyInstants
+ * Caches downloaded audio buffers to avoid re-downloading from MyInstants,
+ * and their Ogg/Opus encoding so repeat plays skip transcoding.
+ * Effect variants of a sound are cached separately, keyed by sound plus effect.
  */
 export class CacheService {
   constructor() {
@@ -65,68 +67,162 @@ export class CacheService {
     return `audio:${soundUrl}`;
   }
 
+  /**
+   * Generate cache key for the Ogg/Opus encoding of a sound
+   * @param {string} soundUrl - MyInstants sound URL
+   * @returns {string} Cache key
+   */
+  getOpusCacheKey(soundUrl) {
+    return `opus:${soundUrl}`;
+  }
+
+  /**
+   * Generate cache key for a rendered effect variant of a sound
+   * @param {string} soundUrl - MyInstants sound URL
+   * @param {string} variant - Variant key (see AudioEffects.getVariantKey)
+   * @returns {string} Cache key
+   */
+  getVariantCacheKey(soundUrl, variant) {
+    return `fx:${soundUrl}#${variant}`;
+  }
+
   /**
    * Get cached audio buffer
    * @param {string} soundUrl - MyInstants sound URL
    * @returns {Promise<Buffer|null>} Audio buffer or null if not cached
    */
   async getAudio(soundUrl) {
+    return this.readBuffer(this.getCacheKey(soundUrl), { soundUrl, format: 'original' });
+  }
+
+  /**
+   * Cache audio buffer
+   * @param {string} soundUrl - MyInstants sound URL
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {number} ttl - Time to live in seconds (default: 7 days)
+   */
+  async setAudio(soundUrl, audioBuffer, ttl = 604800) {
+    await this.writeBuffer(this.getCacheKey(soundUrl), audioBuffer, ttl, { soundUrl, format: 'original' });
+  }
+
+  /**
+   * Get cached Ogg/Opus encoding of a sound
+   * @param {string} soundUrl - MyInstants sound URL
+   * @returns {Promise<Buffer|null>} Ogg/Opus buffer or null if not cached
+   */
+  async getOpus(soundUrl) {
+    return this.readBuffer(this.getOpusCacheKey(soundUrl), { soundUrl, format: 'opus' });
+  }
+
+  /**
+   * Cache the Ogg/Opus encoding of a sound (replaces the original audio)
+   * @param {string} soundUrl - MyInstants sound URL
+   * @param {Buffer} opusBuffer - Ogg/Opus data
+   * @param {number} ttl - Time to live in seconds (default: 7 days)
+   */
+  async setOpus(soundUrl, opusBuffer, ttl = 604800) {
+    const written = await this.writeBuffer(this.getOpusCacheKey(soundUrl), opusBuffer, ttl, {
+      soundUrl,
+      format: 'opus',
+    });
+
+    // The original is no longer needed once the encoded form is cached
+    if (written) {
+      await this.client.del(this.getCacheKey(soundUrl)).catch(() => {});
+    }
+  }
+
+  /**
+   * Get a cached effect variant of a sound (Ogg/Opus)
+   * @param {string} soundUrl - MyInstants sound URL
+   * @param {string} variant - Variant key (see AudioEffects.getVariantKey)
+   * @returns {Promise<Buffer|null>} Ogg/Opus buffer or null if not cached
+   */
+  async getVariant(soundUrl, variant) {
+    return this.readBuffer(this.getVariantCacheKey(soundUrl, variant), { soundUrl, variant });
+  }
+
+  /**
+   * Cache an effect variant of a sound (Ogg/Opus)
+   * @param {string} soundUrl - MyInstants sound URL
+   * @param {string} variant - Variant key (see AudioEffects.getVariantKey)
+   * @param {Buffer} opusBuffer - Ogg/Opus data with the effects applied
+   * @param {number} ttl - Time to live in seconds (default: 1 day)
+   */
+  async setVariant(soundUrl, variant, opusBuffer, ttl = 86400) {
+    await this.writeBuffer(this.getVariantCacheKey(soundUrl, variant), opusBuffer, ttl, {
+      soundUrl,
+      variant,
+    });
+  }
+
+  /**
+   * Read a buffer from the cache
+   * @param {string} key - Cache key
+   * @param {Object} context - Logging context
+   * @returns {Promise<Buffer|null>}
+   * @private
+   */
+  async readBuffer(key, context) {
     if (!this.connected) {
       Logger.debug('Redis not connected, skipping cache read');
       return null;
     }
 
     try {
-      const key = this.getCacheKey(soundUrl);
       const cached = await this.client.get(key);
 
       if (cached) {
-        Logger.debug('Cache HIT for audio', { soundUrl, size: cached.length });
+        Logger.debug('Cache HIT for audio', { ...context, size: cached.length });
         // Redis returns string, convert back to Buffer
         return Buffer.from(cached, 'base64');
       }
 
-      Logger.debug('Cache MISS for audio', { soundUrl });
+      Logger.debug('Cache MISS for audio', context);
       return null;
     } catch (error) {
-      Logger.error('Error reading from cache', { soundUrl }, error);
+      Logger.error('Error reading from cache', context, error);
       return null;
     }
   }
 
   /**
-   * Cache audio buffer
-   * @param {string} soundUrl - MyInstants sound URL
-   * @param {Buffer} audioBuffer - Audio data
-   * @param {number} ttl - Time to live in seconds (default: 7 days)
+   * Write a buffer to the cache
+   * @param {string} key - Cache key
+   * @param {Buffer} buffer - Data to cache
+   * @param {number} ttl - Time to live in seconds
+   * @param {Object} context - Logging context
+   * @returns {Promise<boolean>} - True if written
+   * @private
    */
-  async setAudio(soundUrl, audioBuffer, ttl = 604800) {
+  async writeBuffer(key, buffer, ttl, context) {
     if (!this.connected) {
       Logger.debug('Redis not connected, skipping cache write');
-      return;
+      return false;
     }
 
     try {
-      const key = this.getCacheKey(soundUrl);
       // Convert Buffer to base64 string for Redis
-      const base64 = audioBuffer.toString('base64');
+      const base64 = buffer.toString('base64');
 
       await this.client.set(key, base64, {
         EX: ttl, // Expire after TTL seconds (default: 7 days)
       });
 
       Logger.debug('Cached audio', {
-        soundUrl,
-        size: audioBuffer.length,
+        ...context,
+        size: buffer.length,
         ttl: `${ttl}s`,
       });
+      return true;
     } catch (error) {
-      Logger.error('Error writing to cache', { soundUrl }, error);
+      Logger.error('Error writing to cache', context, error);
+      return false;
     }
   }
 
   /**
-   * Clear cached audio for a specific sound
+   * Clear cached audio for a specific sound (including its effect variants)
    * @param {string} soundUrl - MyInstants sound URL
    */
   async clearAudio(soundUrl) {
@@ -135,8 +231,11 @@ export class CacheService {
     }
 
     try {
-      const key = this.getCacheKey(soundUrl);
-      await this.client.del(key);
+      // Escape glob characters so the URL only matches itself
+      const pattern = this.getVariantCacheKey(soundUrl.replace(/[*?[\]\\]/g, '\\$&'), '*');
+      const variantKeys = await this.client.keys(pattern);
+
+      await this.client.del([this.getCacheKey(soundUrl), this.getOpusCacheKey(soundUrl), ...variantKeys]);
       Logger.debug('Cleared cached audio', { soundUrl });
     } catch (error) {
       Logger.error('Error clearing cache', { soundUrl }, error);
@@ -155,10 +254,14 @@ export class CacheService {
     try {
       const info = await this.client.info('stats');
       const keys = await this.client.keys('audio:*');
+      const opusKeys = await this.client.keys('opus:*');
+      const variantKeys = await this.client.keys('fx:*');
 
       return {
         connected: true,
-        cachedSounds: keys.length,
+        cachedSounds: keys.length + opusKeys.length,
+        encodedSounds: opusKeys.length,
+        effectVariants: variantKeys.length,
         info,
       };
     } catch (error) {
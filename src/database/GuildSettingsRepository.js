@@ -0,0 +1,101 @@
+import { db } from './connection.js';
+import { config } from '../config/config.js';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Defaults used for guilds that have never changed a setting
+ */
+const DEFAULT_SETTINGS = {
+  interrupt_policy: config.bot.defaultInterruptPolicy,
+  moderator_interrupt: false,
+  mix_mode: false,
+  target_loudness: config.bot.defaultTargetLoudness,
+  master_volume: 100,
+  channel_policy: config.bot.defaultChannelPolicy,
+  join_sounds: false,
+  leave_sounds: false,
+  join_sound_cooldown: config.bot.defaultJoinSoundCooldown,
+  timezone: config.bot.defaultTimezone,
+  max_file_size_kb: config.bot.defaultMaxFileSize,
+  max_duration: config.bot.defaultMaxDuration,
+  allowed_mime_types: config.bot.defaultAllowedMimeTypes,
+  link_alerts: true,
+  alert_channel_id: null,
+};
+
+/**
+ * Repository for per-guild bot settings
+ * Follows Repository Pattern for data access abstraction
+ */
+export class GuildSettingsRepository {
+  /**
+   * Valid values for the interrupt policy setting
+   */
+  static INTERRUPT_POLICIES = ['interrupt', 'queue', 'ignore'];
+
+  /**
+   * Valid values for the channel policy setting (what to do when the requester
+   * is in a different voice channel than the bot)
+   */
+  static CHANNEL_POLICIES = ['move', 'refuse', 'move_if_empty'];
+
+  /**
+   * Get settings for a guild (defaults are used for missing values)
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object>} - Settings record
+   */
+  async getSettings(guildId) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `SELECT * FROM guild_settings WHERE guild_id = $1`,
+        [guildId]
+      );
+
+      return { ...DEFAULT_SETTINGS, guild_id: guildId, ...result.rows[0] };
+    } catch (error) {
+      Logger.error('Error fetching guild settings', { guildId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update one or more settings for a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} updates - Column/value pairs (only known settings are accepted)
+   * @returns {Promise<Object>} - Updated settings record
+   */
+  async updateSettings(guildId, updates) {
+    const pool = db.getPool();
+    const columns = Object.keys(updates).filter((column) => column in DEFAULT_SETTINGS);
+
+    if (columns.length === 0) {
+      throw new Error('No valid settings to update');
+    }
+
+    try {
+      const values = columns.map((column) => updates[column]);
+      const placeholders = columns.map((_, index) => `$${index + 2}`);
+      const assignments = columns.map((column) => `${column} = EXCLUDED.${column}`);
+
+      const result = await pool.query(
+        `INSERT INTO guild_settings (guild_id, ${columns.join(', ')})
+         VALUES ($1, ${placeholders.join(', ')})
+         ON CONFLICT (guild_id) DO UPDATE
+         SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [guildId, ...values]
+      );
+
+      Logger.logDatabase('Guild settings updated', guildId, {
+        settings: columns.join(', '),
+      });
+
+      return { ...DEFAULT_SETTINGS, ...result.rows[0] };
+    } catch (error) {
+      Logger.error('Error updating guild settings', { guildId }, error);
+      throw error;
+    }
+  }
+}
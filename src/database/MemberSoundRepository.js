@@ -0,0 +1,95 @@
+import { db } from './connection.js';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Repository for members' personal join/leave sounds
+ * Follows Repository Pattern for data access abstraction
+ */
+export class MemberSoundRepository {
+  /**
+   * Voice events a member can have a personal sound for
+   */
+  static EVENTS = ['join', 'leave'];
+
+  /**
+   * Set a member's sound for an event
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {string} event - 'join' or 'leave'
+   * @param {number} soundId - ID of one of the guild's saved sounds
+   * @returns {Promise<Object>} - Member sound record
+   */
+  async setSound(guildId, userId, event, soundId) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO member_sounds (guild_id, user_id, event, sound_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (guild_id, user_id, event) DO UPDATE
+         SET sound_id = EXCLUDED.sound_id, updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [guildId, userId, event, soundId]
+      );
+
+      Logger.logDatabase('Member sound set', guildId, { userId, event, soundId });
+      return result.rows[0];
+    } catch (error) {
+      Logger.error('Error setting member sound', { guildId, userId, event }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member's sound for an event
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {string} event - 'join' or 'leave'
+   * @returns {Promise<boolean>} - True if removed, false if none was set
+   */
+  async clearSound(guildId, userId, event) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `DELETE FROM member_sounds
+         WHERE guild_id = $1 AND user_id = $2 AND event = $3`,
+        [guildId, userId, event]
+      );
+
+      if (result.rowCount > 0) {
+        Logger.logDatabase('Member sound cleared', guildId, { userId, event });
+      }
+
+      return result.rowCount > 0;
+    } catch (error) {
+      Logger.error('Error clearing member sound', { guildId, userId, event }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the saved sound a member has for an event
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {string} event - 'join' or 'leave'
+   * @returns {Promise<Object|null>} - Sound record (from guild_sounds) or null
+   */
+  async getSound(guildId, userId, event) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `SELECT s.* FROM member_sounds m
+         JOIN guild_sounds s ON s.id = m.sound_id
+         WHERE m.guild_id = $1 AND m.user_id = $2 AND m.event = $3`,
+        [guildId, userId, event]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      Logger.error('Error getting member sound', { guildId, userId, event }, error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,169 @@
+import { db } from './connection.js';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Repository for scheduled sound playback
+ * Follows Repository Pattern for data access abstraction
+ */
+export class ScheduleRepository {
+  /**
+   * Add a schedule
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} scheduleData - Schedule information
+   * @param {string} scheduleData.channelId - Voice channel to play in
+   * @param {number} scheduleData.soundId - ID of one of the guild's saved sounds
+   * @param {string|null} scheduleData.cronExpression - Recurrence, null for a one-off run
+   * @param {Date} scheduleData.nextRunAt - First run
+   * @param {string} scheduleData.createdBy - User ID of the creator
+   * @returns {Promise<Object>} - Created schedule record
+   */
+  async addSchedule(guildId, scheduleData) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO scheduled_sounds
+           (guild_id, channel_id, sound_id, cron_expression, next_run_at, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [
+          guildId,
+          scheduleData.channelId,
+          scheduleData.soundId,
+          scheduleData.cronExpression,
+          scheduleData.nextRunAt,
+          scheduleData.createdBy,
+        ]
+      );
+
+      Logger.logDatabase('Schedule added', guildId, {
+        scheduleId: result.rows[0].id,
+        soundId: scheduleData.soundId,
+        cronExpression: scheduleData.cronExpression,
+      });
+      return result.rows[0];
+    } catch (error) {
+      Logger.error('Error adding schedule', { guildId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all schedules for a guild, soonest first
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} - Schedule records, each with its sound's title
+   */
+  async getSchedules(guildId) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `SELECT sch.*, s.title
+         FROM scheduled_sounds sch
+         JOIN guild_sounds s ON s.id = sch.sound_id
+         WHERE sch.guild_id = $1
+         ORDER BY sch.next_run_at ASC`,
+        [guildId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      Logger.error('Error fetching schedules', { guildId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the number of schedules for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<number>}
+   */
+  async getCount(guildId) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `SELECT COUNT(*) as count FROM scheduled_sounds WHERE guild_id = $1`,
+        [guildId]
+      );
+
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      Logger.error('Error counting schedules', { guildId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get schedules (across all guilds) whose next run is due
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} - Schedule records
+   */
+  async getDueSchedules(now) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `SELECT * FROM scheduled_sounds
+         WHERE next_run_at <= $1
+         ORDER BY next_run_at ASC`,
+        [now]
+      );
+
+      return result.rows;
+    } catch (error) {
+      Logger.error('Error fetching due schedules', {}, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a recurring schedule on to its next run
+   * @param {number} scheduleId - Schedule ID
+   * @param {Date} nextRunAt - Next run
+   * @param {Date|null} lastRunAt - When it last ran (null to keep the current value)
+   * @returns {Promise<void>}
+   */
+  async updateNextRun(scheduleId, nextRunAt, lastRunAt = null) {
+    const pool = db.getPool();
+
+    try {
+      await pool.query(
+        `UPDATE scheduled_sounds
+         SET next_run_at = $2, last_run_at = COALESCE($3, last_run_at)
+         WHERE id = $1`,
+        [scheduleId, nextRunAt, lastRunAt]
+      );
+    } catch (error) {
+      Logger.error('Error updating schedule', { scheduleId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a schedule
+   * @param {string} guildId - Discord guild ID
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  async deleteSchedule(guildId, scheduleId) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `DELETE FROM scheduled_sounds
+         WHERE guild_id = $1 AND id = $2`,
+        [guildId, scheduleId]
+      );
+
+      if (result.rowCount > 0) {
+        Logger.logDatabase('Schedule deleted', guildId, { scheduleId });
+      }
+
+      return result.rowCount > 0;
+    } catch (error) {
+      Logger.error('Error deleting schedule', { guildId, scheduleId }, error);
+      throw error;
+    }
+  }
+}
@@ -1,14 +1,41 @@
 import { db } from '../database/connection.js';
 import { config } from '../config/config.js';
+import { FFmpeg } from '../utils/ffmpeg.js';
 import { Logger } from '../utils/logger.js';
 
+// Limits for loudness normalization gain (dB), so quiet clips aren't boosted into noise
+const MIN_GAIN_DB = -20;
+const MAX_GAIN_DB = 12;
+
 /**
  * Repository for managing guild sounds in the database
  * Follows Repository Pattern for data access abstraction
  */
 export class SoundRepository {
+  /**
+   * Prefix of the sound_url of uploaded sounds ("upload://<guildId>/<uuid>");
+   * their audio lives in sound_files instead of on the web
+   */
+  static UPLOAD_URL_PREFIX = 'upload://';
+
+  /**
+   * Check whether a sound was uploaded to the bot (rather than found on the web)
+   * @param {string} soundUrl - The sound's sound_url
+   * @returns {boolean}
+   */
+  static isUpload(soundUrl) {
+    return soundUrl.startsWith(SoundRepository.UPLOAD_URL_PREFIX);
+  }
+
   /**
    * Add a new sound to a guild's collection
+   * When soundData.audioBuffer is given, its loudness is measured for normalization.
+   * soundData.trimStart/trimEnd (seconds) optionally limit the part that plays.
+   * soundData.addedBy is the user ID of the member who added it.
+   * soundData.duration (seconds) is how long the untrimmed sound plays.
+   * soundData.mimeType is the MIME type its file was served as; the file's size is taken from audioBuffer.
+   * soundData.provider is the name of the provider it came from (see ProviderRegistry), or 'upload'.
+   * soundData.description/tags/uploader/thumbnailUrl/color are the details found on its page (optional).
    * @param {string} guildId - Discord guild ID
    * @param {Object} soundData - Sound information
    * @returns {Promise<Object|null>} - Created sound record or null if duplicate
@@ -33,17 +60,50 @@ export class SoundRepository {
         await this.removeOldest(guildId);
       }
 
+      // Measure loudness so playback can be normalized
+      let loudness = null;
+      let gain = 0;
+      if (soundData.audioBuffer) {
+        loudness = await this.analyzeLoudness(soundData.audioBuffer, soundData.title);
+        if (loudness !== null) {
+          gain = this.calculateGain(await this.getTargetLoudness(guildId), loudness);
+        }
+      }
+
       // Insert new sound
       const result = await pool.query(
-        `INSERT INTO guild_sounds (guild_id, sound_url, title, original_url)
-         VALUES ($1, $2, $3, $4)
+        `INSERT INTO guild_sounds
+           (guild_id, sound_url, title, original_url, loudness_lufs, gain_db, trim_start, trim_end, added_by, duration,
+            provider, description, tags, uploader, thumbnail_url, color, file_size, mime_type)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
          RETURNING *`,
-        [guildId, soundData.soundUrl, soundData.title, soundData.originalUrl]
+        [
+          guildId,
+          soundData.soundUrl,
+          soundData.title,
+          soundData.originalUrl,
+          loudness,
+          gain,
+          soundData.trimStart ?? null,
+          soundData.trimEnd ?? null,
+          soundData.addedBy ?? null,
+          soundData.duration ?? null,
+          soundData.provider ?? 'myinstants',
+          soundData.description ?? null,
+          soundData.tags ?? [],
+          soundData.uploader ?? null,
+          soundData.thumbnailUrl ?? null,
+          soundData.color ?? null,
+          soundData.audioBuffer?.length ?? null,
+          soundData.mimeType ?? null,
+        ]
       );
 
       Logger.logDatabase('Sound added to database', guildId, {
         title: soundData.title,
         soundId: result.rows[0].id,
+        loudness,
+        gain,
       });
       return result.rows[0];
     } catch (error) {
@@ -76,6 +136,29 @@ export class SoundRepository {
     }
   }
 
+  /**
+   * Get a specific sound by its audio URL
+   * @param {string} guildId - Discord guild ID
+   * @param {string} soundUrl - Direct URL to the audio file
+   * @returns {Promise<Object|null>} - Sound record or null
+   */
+  async getSoundByUrl(guildId, soundUrl) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `SELECT * FROM guild_sounds
+         WHERE guild_id = $1 AND sound_url = $2`,
+        [guildId, soundUrl]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      Logger.error('Error getting sound by URL', { guildId }, error);
+      throw error;
+    }
+  }
+
   /**
    * Check if a sound already exists for a guild
    * @param {string} guildId - Discord guild ID
@@ -217,4 +300,424 @@ export class SoundRepository {
       throw error;
     }
   }
+
+  /**
+   * Set the volume override for a sound
+   * @param {string} guildId - Discord guild ID
+   * @param {number} soundId - Sound ID
+   * @param {number} volume - Volume in percent (100 = unchanged)
+   * @returns {Promise<Object|null>} - Updated sound record or null if not found
+   */
+  async updateVolume(guildId, soundId, volume) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `UPDATE guild_sounds
+         SET volume = $3
+         WHERE guild_id = $1 AND id = $2
+         RETURNING *`,
+        [guildId, soundId, volume]
+      );
+
+      if (result.rows.length > 0) {
+        Logger.logDatabase('Sound volume updated', guildId, { soundId, volume });
+      }
+
+      return result.rows[0] || null;
+    } catch (error) {
+      Logger.error('Error updating sound volume', { guildId, soundId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the start/end offsets a sound is cut to at playback
+   * @param {string} guildId - Discord guild ID
+   * @param {number} soundId - Sound ID
+   * @param {number|null} trimStart - Offset to start from (seconds), null for the beginning
+   * @param {number|null} trimEnd - Offset to stop at (seconds), null for the end
+   * @returns {Promise<Object|null>} - Updated sound record or null if not found
+   */
+  async updateTrim(guildId, soundId, trimStart, trimEnd) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `UPDATE guild_sounds
+         SET trim_start = $3, trim_end = $4
+         WHERE guild_id = $1 AND id = $2
+         RETURNING *`,
+        [guildId, soundId, trimStart, trimEnd]
+      );
+
+      if (result.rows.length > 0) {
+        Logger.logDatabase('Sound trim updated', guildId, { soundId, trimStart, trimEnd });
+      }
+
+      return result.rows[0] || null;
+    } catch (error) {
+      Logger.error('Error updating sound trim', { guildId, soundId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the audio of an uploaded sound
+   * @param {number} soundId - Sound ID
+   * @param {Buffer} audioBuffer - Ogg/Opus audio data
+   * @returns {Promise<void>}
+   */
+  async saveUploadedAudio(soundId, audioBuffer) {
+    const pool = db.getPool();
+
+    try {
+      await pool.query(
+        `INSERT INTO sound_files (sound_id, audio_data)
+         VALUES ($1, $2)
+         ON CONFLICT (sound_id) DO UPDATE SET audio_data = EXCLUDED.audio_data`,
+        [soundId, audioBuffer]
+      );
+    } catch (error) {
+      Logger.error('Error storing uploaded audio', { soundId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the audio of an uploaded sound
+   * @param {number} soundId - Sound ID
+   * @returns {Promise<Buffer|null>} - Ogg/Opus audio data, or null if none is stored
+   */
+  async getUploadedAudio(soundId) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `SELECT audio_data FROM sound_files WHERE sound_id = $1`,
+        [soundId]
+      );
+
+      return result.rows[0]?.audio_data || null;
+    } catch (error) {
+      Logger.error('Error fetching uploaded audio', { soundId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store how long a sound plays (for sounds saved before durations were measured)
+   * @param {string} guildId - Discord guild ID
+   * @param {number} soundId - Sound ID
+   * @param {number} duration - Untrimmed duration (seconds)
+   * @returns {Promise<void>}
+   */
+  async updateDuration(guildId, soundId, duration) {
+    const pool = db.getPool();
+
+    try {
+      await pool.query(
+        `UPDATE guild_sounds
+         SET duration = $3
+         WHERE guild_id = $1 AND id = $2`,
+        [guildId, soundId, duration]
+      );
+    } catch (error) {
+      Logger.error('Error updating sound duration', { guildId, soundId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the sounds whose links are due for a check, across all guilds (uploads have no link)
+   * @param {Date} checkedBefore - Only sounds last checked before this (or never)
+   * @param {number} limit - Maximum sounds to return
+   * @returns {Promise<Array>} - Sound records, least recently checked first
+   */
+  async getSoundsToCheck(checkedBefore, limit) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `SELECT * FROM guild_sounds
+         WHERE provider <> 'upload'
+           AND (last_checked_at IS NULL OR last_checked_at < $1)
+         ORDER BY last_checked_at ASC NULLS FIRST, id
+         LIMIT $2`,
+        [checkedBefore, limit]
+      );
+
+      return result.rows;
+    } catch (error) {
+      Logger.error('Error fetching sounds to check', {}, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the result of a link check
+   * @param {string} guildId - Discord guild ID
+   * @param {number} soundId - Sound ID
+   * @param {boolean|null} broken - Whether the link is broken (null if the check was inconclusive)
+   * @returns {Promise<void>}
+   */
+  async updateLinkStatus(guildId, soundId, broken) {
+    const pool = db.getPool();
+
+    try {
+      await pool.query(
+        `UPDATE guild_sounds
+         SET last_checked_at = CURRENT_TIMESTAMP,
+             broken_at = CASE
+               WHEN $3::boolean IS NULL THEN broken_at
+               WHEN $3 THEN COALESCE(broken_at, CURRENT_TIMESTAMP)
+               ELSE NULL
+             END
+         WHERE guild_id = $1 AND id = $2`,
+        [guildId, soundId, broken]
+      );
+    } catch (error) {
+      Logger.error('Error updating sound link status', { guildId, soundId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Point a sound at the new location of its audio file (after it moved on its site)
+   * @param {string} guildId - Discord guild ID
+   * @param {number} soundId - Sound ID
+   * @param {string} soundUrl - New direct URL to the audio file
+   * @returns {Promise<Object|null>} - Updated sound record or null if not found
+   */
+  async updateSoundUrl(guildId, soundId, soundUrl) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `UPDATE guild_sounds
+         SET sound_url = $3, broken_at = NULL, last_checked_at = CURRENT_TIMESTAMP
+         WHERE guild_id = $1 AND id = $2
+         RETURNING *`,
+        [guildId, soundId, soundUrl]
+      );
+
+      if (result.rows.length > 0) {
+        Logger.logDatabase('Sound URL updated', guildId, { soundId, soundUrl });
+      }
+
+      return result.rows[0] || null;
+    } catch (error) {
+      Logger.error('Error updating sound URL', { guildId, soundId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a sound to the front of the link checker's queue (e.g. after its download failed)
+   * @param {string} guildId - Discord guild ID
+   * @param {number} soundId - Sound ID
+   * @returns {Promise<void>}
+   */
+  async requestLinkCheck(guildId, soundId) {
+    const pool = db.getPool();
+
+    try {
+      await pool.query(
+        `UPDATE guild_sounds
+         SET last_checked_at = NULL
+         WHERE guild_id = $1 AND id = $2`,
+        [guildId, soundId]
+      );
+    } catch (error) {
+      Logger.error('Error requesting sound link check', { guildId, soundId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the tags of a sound
+   * @param {string} guildId - Discord guild ID
+   * @param {number} soundId - Sound ID
+   * @param {Array<string>} tags - Lowercase tags
+   * @returns {Promise<Object|null>} - Updated sound record or null if not found
+   */
+  async updateTags(guildId, soundId, tags) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `UPDATE guild_sounds
+         SET tags = $3
+         WHERE guild_id = $1 AND id = $2
+         RETURNING *`,
+        [guildId, soundId, tags]
+      );
+
+      if (result.rows.length > 0) {
+        Logger.logDatabase('Sound tags updated', guildId, { soundId, tags: tags.join(',') });
+      }
+
+      return result.rows[0] || null;
+    } catch (error) {
+      Logger.error('Error updating sound tags', { guildId, soundId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a play of a sound
+   * @param {string} guildId - Discord guild ID
+   * @param {number} soundId - Sound ID
+   * @returns {Promise<void>}
+   */
+  async recordPlay(guildId, soundId) {
+    const pool = db.getPool();
+
+    try {
+      await pool.query(
+        `UPDATE guild_sounds
+         SET play_count = play_count + 1, last_played_at = CURRENT_TIMESTAMP
+         WHERE guild_id = $1 AND id = $2`,
+        [guildId, soundId]
+      );
+    } catch (error) {
+      Logger.error('Error recording sound play', { guildId, soundId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the sounds a random pick can choose from
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} filters - Selection filters
+   * @param {number} filters.excludeRecent - Skip this many of the most recently played sounds
+   * @param {string|null} filters.tag - Only sounds with this tag
+   * @param {string|null} filters.addedBy - Only sounds added by this user ID
+   * @returns {Promise<Array>} - Array of sound records
+   */
+  async getRandomCandidates(guildId, { excludeRecent = 0, tag = null, addedBy = null } = {}) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `SELECT * FROM guild_sounds
+         WHERE guild_id = $1
+           AND broken_at IS NULL
+           AND ($2::text IS NULL OR $2 = ANY(tags))
+           AND ($3::varchar IS NULL OR added_by = $3)
+           AND id NOT IN (
+             SELECT id FROM guild_sounds
+             WHERE guild_id = $1 AND last_played_at IS NOT NULL
+             ORDER BY last_played_at DESC
+             LIMIT $4
+           )`,
+        [guildId, tag, addedBy, excludeRecent]
+      );
+
+      return result.rows;
+    } catch (error) {
+      Logger.error('Error fetching random sound candidates', { guildId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Measure a sound's loudness, logging instead of failing
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {string} title - Sound title (for logging)
+   * @returns {Promise<number|null>} - Loudness in LUFS, or null if it could not be measured
+   */
+  async analyzeLoudness(audioBuffer, title) {
+    try {
+      return await FFmpeg.measureLoudness(audioBuffer);
+    } catch (error) {
+      Logger.warn('Failed to measure sound loudness', { title, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Store a new loudness measurement for a sound and update its gain
+   * @param {string} guildId - Discord guild ID
+   * @param {number} soundId - Sound ID
+   * @param {number|null} loudness - Loudness in LUFS
+   * @returns {Promise<Object|null>} - Updated sound record or null if not found
+   */
+  async updateLoudness(guildId, soundId, loudness) {
+    const pool = db.getPool();
+
+    try {
+      const gain = loudness === null
+        ? 0
+        : this.calculateGain(await this.getTargetLoudness(guildId), loudness);
+
+      const result = await pool.query(
+        `UPDATE guild_sounds
+         SET loudness_lufs = $3, gain_db = $4
+         WHERE guild_id = $1 AND id = $2
+         RETURNING *`,
+        [guildId, soundId, loudness, gain]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      Logger.error('Error updating sound loudness', { guildId, soundId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalculate every sound's gain for a new target loudness
+   * @param {string} guildId - Discord guild ID
+   * @param {number} targetLoudness - Target loudness in LUFS
+   * @returns {Promise<number>} - Number of sounds updated
+   */
+  async recalculateGains(guildId, targetLoudness) {
+    const pool = db.getPool();
+
+    try {
+      const result = await pool.query(
+        `UPDATE guild_sounds
+         SET gain_db = LEAST(GREATEST($2 - loudness_lufs, $3), $4)
+         WHERE guild_id = $1 AND loudness_lufs IS NOT NULL`,
+        [guildId, targetLoudness, MIN_GAIN_DB, MAX_GAIN_DB]
+      );
+
+      Logger.logDatabase('Recalculated sound gains', guildId, {
+        targetLoudness,
+        updated: result.rowCount,
+      });
+      return result.rowCount;
+    } catch (error) {
+      Logger.error('Error recalculating sound gains', { guildId }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the guild's target loudness
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<number>} - Target loudness in LUFS
+   * @private
+   */
+  async getTargetLoudness(guildId) {
+    const pool = db.getPool();
+    const result = await pool.query(
+      `SELECT target_loudness FROM guild_settings WHERE guild_id = $1`,
+      [guildId]
+    );
+
+    return result.rows[0]?.target_loudness ?? config.bot.defaultTargetLoudness;
+  }
+
+  /**
+   * Calculate the gain that brings a sound to the target loudness
+   * @param {number} targetLoudness - Target loudness in LUFS
+   * @param {number} loudness - Measured loudness in LUFS
+   * @returns {number} - Gain in dB
+   * @private
+   */
+  calculateGain(targetLoudness, loudness) {
+    return Math.max(MIN_GAIN_DB, Math.min(MAX_GAIN_DB, targetLoudness - loudness));
+  }
 }
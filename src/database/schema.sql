@@ -16,3 +16,81 @@ CREATE INDEX IF NOT EXISTS idx_guild_sounds_guild_id ON guild_sounds(guild_id);
 
 -- Create index on created_at for ordering
 CREATE INDEX IF NOT EXISTS idx_guild_sounds_created_at ON guild_sounds(guild_id, created_at DESC);
+
+-- Create guild_settings table (one row per guild, created on first change)
+CREATE TABLE IF NOT EXISTS guild_settings (
+    guild_id VARCHAR(20) PRIMARY KEY,
+    interrupt_policy VARCHAR(10) NOT NULL DEFAULT 'queue',
+    moderator_interrupt BOOLEAN NOT NULL DEFAULT FALSE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create member_sounds table (personal join/leave sounds, one per member and event)
+CREATE TABLE IF NOT EXISTS member_sounds (
+    guild_id VARCHAR(20) NOT NULL,
+    user_id VARCHAR(20) NOT NULL,
+    event VARCHAR(5) NOT NULL,
+    sound_id INTEGER NOT NULL REFERENCES guild_sounds(id) ON DELETE CASCADE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (guild_id, user_id, event)
+);
+
+-- Create scheduled_sounds table (one-off runs have no cron expression)
+CREATE TABLE IF NOT EXISTS scheduled_sounds (
+    id SERIAL PRIMARY KEY,
+    guild_id VARCHAR(20) NOT NULL,
+    channel_id VARCHAR(20) NOT NULL,
+    sound_id INTEGER NOT NULL REFERENCES guild_sounds(id) ON DELETE CASCADE,
+    cron_expression VARCHAR(100),
+    next_run_at TIMESTAMPTZ NOT NULL,
+    last_run_at TIMESTAMPTZ,
+    created_by VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on next_run_at for the scheduler's due check
+CREATE INDEX IF NOT EXISTS idx_scheduled_sounds_next_run_at ON scheduled_sounds(next_run_at);
+
+-- Create sound_files table (audio of uploaded sounds, stored as Ogg/Opus)
+CREATE TABLE IF NOT EXISTS sound_files (
+    sound_id INTEGER PRIMARY KEY REFERENCES guild_sounds(id) ON DELETE CASCADE,
+    audio_data BYTEA NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Migrations for existing databases
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS mix_mode BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS target_loudness REAL NOT NULL DEFAULT -16;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS loudness_lufs REAL;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS gain_db REAL NOT NULL DEFAULT 0;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS master_volume INTEGER NOT NULL DEFAULT 100;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS volume INTEGER NOT NULL DEFAULT 100;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS trim_start REAL;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS trim_end REAL;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS channel_policy VARCHAR(15) NOT NULL DEFAULT 'move_if_empty';
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS join_sounds BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS leave_sounds BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS join_sound_cooldown INTEGER NOT NULL DEFAULT 60;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS play_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS last_played_at TIMESTAMP;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS added_by VARCHAR(20);
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS max_file_size_kb INTEGER NOT NULL DEFAULT 5120;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS max_duration INTEGER NOT NULL DEFAULT 30;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS allowed_mime_types TEXT[] NOT NULL
+    DEFAULT '{audio/mpeg,audio/mp3,audio/ogg,audio/opus,audio/wav,audio/x-wav,audio/wave,audio/webm,audio/aac,audio/mp4,audio/x-m4a,audio/flac}';
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS duration REAL;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS provider VARCHAR(30) NOT NULL DEFAULT 'myinstants';
+UPDATE guild_sounds SET provider = 'upload' WHERE sound_url LIKE 'upload://%' AND provider <> 'upload';
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS uploader VARCHAR(100);
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS color INTEGER;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS broken_at TIMESTAMP;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS link_alerts BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS alert_channel_id VARCHAR(20);
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS file_size INTEGER;
+ALTER TABLE guild_sounds ADD COLUMN IF NOT EXISTS mime_type VARCHAR(100);
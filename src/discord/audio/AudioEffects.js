@@ -0,0 +1,138 @@
+/**
+ * Playback effects, each implemented as an ffmpeg audio filter
+ * Listed in the order they are applied when combined
+ */
+const EFFECTS = {
+  speed: {
+    label: 'Speed up',
+    emoji: '⏩',
+    filter: 'atempo=1.5',
+  },
+  pitch: {
+    label: 'Pitch up',
+    emoji: '🐿️',
+    // Raise the pitch by resampling, then restore the original tempo
+    filter: 'aresample=48000,asetrate=60000,aresample=48000,atempo=0.8',
+  },
+  reverse: {
+    label: 'Reverse',
+    emoji: '⏪',
+    filter: 'areverse',
+  },
+  echo: {
+    label: 'Echo',
+    emoji: '🏔️',
+    filter: 'aecho=0.8:0.88:250:0.4',
+  },
+  bass: {
+    label: 'Bass boost',
+    emoji: '💥',
+    filter: 'bass=g=12',
+  },
+};
+
+/**
+ * Registry of playback effects and builder for the ffmpeg filter chains that apply them
+ * Effects never touch the stored sound - they are applied while decoding for playback
+ */
+export class AudioEffects {
+  /**
+   * All available effects, in application order
+   * @returns {Object} - { name: { label, emoji, filter } }
+   */
+  static get effects() {
+    return EFFECTS;
+  }
+
+  /**
+   * Names of all available effects
+   * @returns {Array<string>}
+   */
+  static get names() {
+    return Object.keys(EFFECTS);
+  }
+
+  /**
+   * Parse a user-supplied effect list (e.g. "speed, echo")
+   * @param {string|Array<string>|null} input - Comma/space separated names or an array of names
+   * @returns {{effects: Array<string>, invalid: Array<string>}} - Valid effects in application order, unknown names
+   */
+  static parse(input) {
+    if (!input) {
+      return { effects: [], invalid: [] };
+    }
+
+    const names = (Array.isArray(input) ? input : input.split(/[\s,+]+/))
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    return {
+      effects: this.normalize(names),
+      invalid: [...new Set(names.filter((name) => !EFFECTS[name]))],
+    };
+  }
+
+  /**
+   * Drop unknown and repeated effects and sort them into application order
+   * @param {Array<string>} effects - Effect names
+   * @returns {Array<string>}
+   */
+  static normalize(effects = []) {
+    return this.names.filter((name) => effects.includes(name));
+  }
+
+  /**
+   * Build the filter chain for a playback: trim to the sound's offsets, then apply effects
+   * @param {Object} options - Playback options
+   * @param {number|null} options.trimStart - Offset to start playing from (seconds)
+   * @param {number|null} options.trimEnd - Offset to stop playing at (seconds)
+   * @param {Array<string>} options.effects - Effect names
+   * @returns {Array<string>} - ffmpeg audio filters, empty when the audio plays unchanged
+   */
+  static buildFilterChain({ trimStart = null, trimEnd = null, effects = [] } = {}) {
+    const filters = [];
+
+    // Trim on the original timeline, before any effect changes its length
+    if (trimStart !== null || trimEnd !== null) {
+      const bounds = [];
+      if (trimStart !== null) {
+        bounds.push(`start=${trimStart}`);
+      }
+      if (trimEnd !== null) {
+        bounds.push(`end=${trimEnd}`);
+      }
+      filters.push(`atrim=${bounds.join(':')}`, 'asetpts=PTS-STARTPTS');
+    }
+
+    for (const name of this.normalize(effects)) {
+      filters.push(EFFECTS[name].filter);
+    }
+
+    return filters;
+  }
+
+  /**
+   * Identify a rendered effect variant of a sound (used as part of its cache key)
+   * @param {Object} options - Same options as buildFilterChain
+   * @returns {string|null} - e.g. "speed+echo@0.1-2.5", or null without effects
+   */
+  static getVariantKey({ trimStart = null, trimEnd = null, effects = [] } = {}) {
+    const names = this.normalize(effects);
+    if (names.length === 0) {
+      return null;
+    }
+
+    return `${names.join('+')}@${trimStart ?? ''}-${trimEnd ?? ''}`;
+  }
+
+  /**
+   * Describe a set of effects for users
+   * @param {Array<string>} effects - Effect names
+   * @returns {string} - e.g. "⏩ Speed up + 🏔️ Echo"
+   */
+  static describe(effects = []) {
+    return this.normalize(effects)
+      .map((name) => `${EFFECTS[name].emoji} ${EFFECTS[name].label}`)
+      .join(' + ');
+  }
+}
@@ -0,0 +1,226 @@
+import { Readable } from 'stream';
+
+// 20ms of signed 16-bit, 48kHz, stereo PCM (one Discord voice frame)
+const FRAME_SIZE = 3840;
+// Bytes per sample frame (2 channels x 2 bytes)
+const SAMPLE_FRAME_SIZE = 4;
+// Pause a layer's decoder once this much PCM is waiting (~1 second)
+const MAX_LAYER_BUFFER = FRAME_SIZE * 50;
+
+/**
+ * Mixes several PCM streams ("layers") into a single PCM stream
+ * Each layer has its own volume; the mix ends once every layer has finished
+ *
+ * Events:
+ * - layerEnd (layer) - a layer played to the end
+ * - layerError (error, layer) - a layer's decoder failed (the layer is dropped)
+ */
+export class AudioMixer extends Readable {
+  constructor() {
+    super({ highWaterMark: FRAME_SIZE });
+    this.layers = [];
+    // Whether the consumer asked for data we could not provide yet
+    this.waiting = false;
+    // Whether the mix has ended (no more layers can be added)
+    this.finished = false;
+  }
+
+  /**
+   * Number of layers currently mixed
+   * @returns {number}
+   */
+  get layerCount() {
+    return this.layers.length;
+  }
+
+  /**
+   * Titles of the layers currently mixed (oldest first)
+   * @returns {Array<string>}
+   */
+  get titles() {
+    return this.layers.map((layer) => layer.title);
+  }
+
+  /**
+   * Add a PCM stream to the mix
+   * @param {Readable} pcmStream - Signed 16-bit, 48kHz, stereo PCM
+   * @param {Object} options - Layer options
+   * @param {string} options.title - Title of the sound
+   * @param {number} options.volume - Volume multiplier (1 = unchanged)
+   * @returns {Object} - The layer
+   */
+  addLayer(pcmStream, { title = 'Unknown Sound', volume = 1 } = {}) {
+    const layer = {
+      stream: pcmStream,
+      title,
+      volume,
+      chunks: [],
+      buffered: 0,
+      ended: false,
+    };
+
+    pcmStream.on('data', (chunk) => {
+      layer.chunks.push(chunk);
+      layer.buffered += chunk.length;
+
+      if (layer.buffered >= MAX_LAYER_BUFFER) {
+        pcmStream.pause();
+      }
+
+      this.wake();
+    });
+
+    pcmStream.once('end', () => {
+      layer.ended = true;
+      this.wake();
+    });
+
+    pcmStream.once('error', (error) => {
+      // Drop whatever is left of a broken layer
+      layer.ended = true;
+      layer.chunks = [];
+      layer.buffered = 0;
+      this.emit('layerError', error, layer);
+      this.wake();
+    });
+
+    this.layers.push(layer);
+    return layer;
+  }
+
+  /**
+   * Remove a layer from the mix immediately (no layerEnd event)
+   * @param {Object} layer - Layer returned by addLayer
+   */
+  removeLayer(layer) {
+    const index = this.layers.indexOf(layer);
+    if (index === -1) {
+      return;
+    }
+
+    this.layers.splice(index, 1);
+    layer.stream.destroy();
+    // Deferred so a replacement layer can be added before the mix decides it has ended
+    setImmediate(() => this.wake());
+  }
+
+  /**
+   * Remove the layer that started first
+   * @returns {Object|null} - The removed layer
+   */
+  removeOldestLayer() {
+    const oldest = this.layers[0] || null;
+    if (oldest) {
+      this.removeLayer(oldest);
+    }
+    return oldest;
+  }
+
+  _read() {
+    this.waiting = true;
+    this.mix();
+  }
+
+  _destroy(error, callback) {
+    for (const layer of this.layers) {
+      layer.stream.destroy();
+    }
+    this.layers = [];
+    callback(error);
+  }
+
+  /**
+   * Retry a pending read once new data is available
+   * @private
+   */
+  wake() {
+    if (this.waiting && !this.finished && !this.destroyed) {
+      this.mix();
+    }
+  }
+
+  /**
+   * Mix one frame from every layer that has data and push it
+   * @private
+   */
+  mix() {
+    // Retire layers that finished playing everything they decoded
+    for (const layer of [...this.layers]) {
+      if (layer.ended && layer.buffered === 0) {
+        this.layers.splice(this.layers.indexOf(layer), 1);
+        this.emit('layerEnd', layer);
+      }
+    }
+
+    if (this.layers.length === 0) {
+      this.waiting = false;
+      this.finished = true;
+      this.push(null);
+      return;
+    }
+
+    // Layers still decoding their first bytes simply join the mix later
+    const ready = this.layers.filter(
+      (layer) => layer.buffered >= SAMPLE_FRAME_SIZE || (layer.ended && layer.buffered > 0)
+    );
+    if (ready.length === 0) {
+      return;
+    }
+
+    const mixed = new Int32Array(FRAME_SIZE / 2);
+
+    for (const layer of ready) {
+      const data = this.take(layer, FRAME_SIZE);
+      const samples = Math.floor(data.length / 2);
+
+      for (let i = 0; i < samples; i++) {
+        mixed[i] += data.readInt16LE(i * 2) * layer.volume;
+      }
+    }
+
+    const frame = Buffer.alloc(FRAME_SIZE);
+    for (let i = 0; i < mixed.length; i++) {
+      frame.writeInt16LE(Math.max(-32768, Math.min(32767, mixed[i])), i * 2);
+    }
+
+    this.waiting = false;
+    this.push(frame);
+  }
+
+  /**
+   * Take up to `size` bytes from a layer's buffer, keeping sample alignment
+   * @private
+   */
+  take(layer, size) {
+    let length = Math.min(size, layer.buffered);
+    if (!layer.ended) {
+      length -= length % SAMPLE_FRAME_SIZE;
+    }
+
+    const data = Buffer.alloc(length);
+    let offset = 0;
+
+    while (offset < length) {
+      const chunk = layer.chunks[0];
+      const needed = length - offset;
+
+      if (chunk.length <= needed) {
+        chunk.copy(data, offset);
+        offset += chunk.length;
+        layer.chunks.shift();
+      } else {
+        chunk.copy(data, offset, 0, needed);
+        layer.chunks[0] = chunk.subarray(needed);
+        offset += needed;
+      }
+    }
+
+    layer.buffered -= length;
+
+    if (layer.buffered < MAX_LAYER_BUFFER && layer.stream.isPaused() && !layer.ended) {
+      layer.stream.resume();
+    }
+
+    return data;
+  }
+}
@@ -6,7 +6,65 @@ import {
   StringSelectMenuBuilder,
   StringSelectMenuOptionBuilder,
 } from 'discord.js';
+import { AudioEffects } from '../audio/AudioEffects.js';
 import { config } from '../../config/config.js';
+import { SoundLimits } from '../../utils/limits.js';
+
+// Sounds per dashboard page: a select menu holds up to 25 options; buttons fill
+// 4 rows of 5 (Discord allows 5 action rows, the last one is for pagination)
+const SOUNDS_PER_PAGE = {
+  SELECT: 25,
+  BUTTONS: 20,
+};
+
+/**
+ * Appearance and component IDs for each dashboard mode
+ */
+const DASHBOARD_MODES = {
+  play: {
+    title: '🎵 Guild Sound Dashboard',
+    color: 0x5865f2,
+    emoji: '🔊',
+    buttonStyle: ButtonStyle.Primary,
+    buttonPrefix: 'play_sound_',
+    selectPrefix: 'sound_select_page_',
+    valuePrefix: 'sound_',
+    placeholder: '🎵 Select a sound to play',
+    empty: '📭 No sounds saved yet! Use `/play` to add sounds to this guild.',
+  },
+  delete: {
+    title: '🗑️ Delete Sound',
+    color: 0xff4444,
+    emoji: '🗑️',
+    buttonStyle: ButtonStyle.Danger,
+    buttonPrefix: 'delete_sound_',
+    selectPrefix: 'delete_select_page_',
+    valuePrefix: 'delete_',
+    placeholder: '🗑️ Select a sound to delete',
+    empty: '📭 No sounds to delete! Use `/play` to add sounds to this guild.',
+  },
+  manage: {
+    title: '🎛️ Manage Sounds',
+    color: 0xf1c40f,
+    emoji: '🎛️',
+    buttonStyle: ButtonStyle.Secondary,
+    buttonPrefix: 'manage_sound_',
+    selectPrefix: 'manage_select_page_',
+    valuePrefix: 'manage_',
+    placeholder: '🎛️ Select a sound to edit',
+    empty: '📭 No sounds to manage! Use `/play` to add sounds to this guild.',
+  },
+};
+
+/**
+ * How each provider (guild_sounds.provider) is named on /info
+ */
+const SOURCE_LABELS = {
+  myinstants: 'MyInstants',
+  '101soundboards': '101soundboards',
+  direct: 'Direct link',
+  upload: 'Uploaded file',
+};
 
 /**
  * Unified UI Builder for sound dashboards
@@ -15,17 +73,19 @@ import { config } from '../../config/config.js';
  */
 export class UIBuilder {
   /**
-   * Build dashboard for sounds (play or delete mode)
+   * Build dashboard for sounds (play, delete or manage mode)
    * @param {Array} sounds - Array of sound records from database
    * @param {number} currentPage - Current page number (0-indexed)
-   * @param {string} mode - 'play' or 'delete'
+   * @param {string} mode - 'play', 'delete' or 'manage'
+   * @param {Object} settings - Guild settings record (optional, shows the master volume)
    * @returns {Object} - {embed, components}
    */
-  static buildSoundsDashboard(sounds, currentPage = 0, mode = 'play') {
+  static buildSoundsDashboard(sounds, currentPage = 0, mode = 'play', settings = null) {
     const uiType = config.bot.uiType;
 
-    // Build embed (common for both UI types)
-    const embed = this.buildEmbed(sounds, currentPage, mode);
+    // Build embed (common for both UI types), paged like the components below
+    const soundsPerPage = uiType === 'SELECT' ? SOUNDS_PER_PAGE.SELECT : SOUNDS_PER_PAGE.BUTTONS;
+    const embed = this.buildEmbed(sounds, currentPage, mode, settings, soundsPerPage);
 
     if (sounds.length === 0) {
       return { embed, components: [] };
@@ -43,22 +103,18 @@ export class UIBuilder {
    * Build embed (shared across both UI types)
    * @private
    */
-  static buildEmbed(sounds, currentPage, mode) {
-    const soundsPerPage = 25;
+  static buildEmbed(sounds, currentPage, mode, settings = null, soundsPerPage = SOUNDS_PER_PAGE.SELECT) {
     const totalPages = Math.ceil(sounds.length / soundsPerPage);
     currentPage = Math.max(0, Math.min(currentPage, totalPages - 1));
+    const modeConfig = this.getModeConfig(mode);
 
     const embed = new EmbedBuilder()
-      .setTitle(mode === 'delete' ? '🗑️ Delete Sound' : '🎵 Guild Sound Dashboard')
-      .setColor(mode === 'delete' ? 0xff4444 : 0x5865f2)
+      .setTitle(modeConfig.title)
+      .setColor(modeConfig.color)
       .setTimestamp();
 
     if (sounds.length === 0) {
-      embed.setDescription(
-        mode === 'delete'
-          ? '📭 No sounds to delete! Use `/play` to add sounds to this guild.'
-          : '📭 No sounds saved yet! Use `/play` to add sounds to this guild.'
-      );
+      embed.setDescription(modeConfig.empty);
     } else {
       embed.setDescription(
         `Your guild's saved sounds (${sounds.length}/${config.bot.maxSoundsPerGuild})\n` +
@@ -66,6 +122,10 @@ export class UIBuilder {
       );
     }
 
+    if (settings && mode !== 'delete') {
+      embed.setFooter({ text: `🔊 Master volume: ${settings.master_volume}%` });
+    }
+
     return embed;
   }
 
@@ -74,7 +134,7 @@ export class UIBuilder {
    * @private
    */
   static buildSelectComponents(sounds, currentPage, mode) {
-    const soundsPerPage = 25;
+    const soundsPerPage = SOUNDS_PER_PAGE.SELECT;
     const totalPages = Math.ceil(sounds.length / soundsPerPage);
     currentPage = Math.max(0, Math.min(currentPage, totalPages - 1));
 
@@ -84,10 +144,9 @@ export class UIBuilder {
     const soundsOnPage = sounds.slice(startIndex, endIndex);
 
     // Create select menu
-    const customId = mode === 'delete' ? `delete_select_page_${currentPage}` : `sound_select_page_${currentPage}`;
-    const placeholder = mode === 'delete'
-      ? `🗑️ Select a sound to delete (${startIndex + 1}-${endIndex} of ${sounds.length})`
-      : `🎵 Select a sound to play (${startIndex + 1}-${endIndex} of ${sounds.length})`;
+    const modeConfig = this.getModeConfig(mode);
+    const customId = `${modeConfig.selectPrefix}${currentPage}`;
+    const placeholder = `${modeConfig.placeholder} (${startIndex + 1}-${endIndex} of ${sounds.length})`;
 
     const selectMenu = new StringSelectMenuBuilder()
       .setCustomId(customId)
@@ -97,7 +156,7 @@ export class UIBuilder {
 
     soundsOnPage.forEach((sound, index) => {
       const absoluteIndex = startIndex + index;
-      const cleanTitle = this.cleanTitle(sound.title);
+      const cleanTitle = this.buildSoundLabel(sound, mode);
       const soundNumber = String(absoluteIndex + 1).padStart(3, '0');
       let optionLabel = `${soundNumber}. ${cleanTitle}`;
 
@@ -107,16 +166,22 @@ export class UIBuilder {
 
       const option = new StringSelectMenuOptionBuilder()
         .setLabel(optionLabel)
-        .setValue(mode === 'delete' ? `delete_${sound.id}` : `sound_${sound.id}`)
-        .setEmoji(mode === 'delete' ? '🗑️' : '🔊');
+        .setValue(`${modeConfig.valuePrefix}${sound.id}`)
+        .setEmoji(modeConfig.emoji);
+
+      const details = this.buildSoundDetails(sound);
+      if (details) {
+        option.setDescription(details.substring(0, 100));
+      }
 
       selectMenu.addOptions(option);
     });
 
     components.push(new ActionRowBuilder().addComponents(selectMenu));
 
-    if (totalPages > 1) {
-      components.push(this.buildPaginationRow(currentPage, totalPages, mode));
+    const paginationRow = this.buildPaginationRow(currentPage, totalPages, mode);
+    if (paginationRow.components.length > 0) {
+      components.push(paginationRow);
     }
 
     return components;
@@ -127,7 +192,7 @@ export class UIBuilder {
    * @private
    */
   static buildButtonComponents(sounds, currentPage, mode) {
-    const soundsPerPage = 20; // 4 rows of 5 buttons each (Discord max is 5 action rows)
+    const soundsPerPage = SOUNDS_PER_PAGE.BUTTONS;
     const totalPages = Math.ceil(sounds.length / soundsPerPage);
     currentPage = Math.max(0, Math.min(currentPage, totalPages - 1));
 
@@ -136,6 +201,7 @@ export class UIBuilder {
     const endIndex = Math.min(startIndex + soundsPerPage, sounds.length);
     const soundsOnPage = sounds.slice(startIndex, endIndex);
     const buttonsPerRow = 5;
+    const modeConfig = this.getModeConfig(mode);
 
     for (let i = 0; i < soundsOnPage.length; i += buttonsPerRow) {
       const row = new ActionRowBuilder();
@@ -143,7 +209,7 @@ export class UIBuilder {
       for (let j = i; j < Math.min(i + buttonsPerRow, soundsOnPage.length); j++) {
         const sound = soundsOnPage[j];
         const absoluteIndex = startIndex + j;
-        const cleanTitle = this.cleanTitle(sound.title);
+        const cleanTitle = this.buildSoundLabel(sound, mode);
         const soundNumber = String(absoluteIndex + 1).padStart(2, '0');
         let buttonLabel = `${soundNumber}. ${cleanTitle}`;
 
@@ -152,10 +218,10 @@ export class UIBuilder {
         }
 
         const button = new ButtonBuilder()
-          .setCustomId(mode === 'delete' ? `delete_sound_${sound.id}` : `play_sound_${sound.id}`)
+          .setCustomId(`${modeConfig.buttonPrefix}${sound.id}`)
           .setLabel(buttonLabel)
-          .setStyle(mode === 'delete' ? ButtonStyle.Danger : ButtonStyle.Primary)
-          .setEmoji(mode === 'delete' ? '🗑️' : '🔊');
+          .setStyle(modeConfig.buttonStyle)
+          .setEmoji(modeConfig.emoji);
 
         row.addComponents(button);
       }
@@ -163,8 +229,9 @@ export class UIBuilder {
       components.push(row);
     }
 
-    if (totalPages > 1) {
-      components.push(this.buildPaginationRow(currentPage, totalPages, mode));
+    const paginationRow = this.buildPaginationRow(currentPage, totalPages, mode);
+    if (paginationRow.components.length > 0) {
+      components.push(paginationRow);
     }
 
     return components;
@@ -172,11 +239,51 @@ export class UIBuilder {
 
   /**
    * Build pagination button row (shared across both UI types)
+   * The play dashboard also gets its playback controls here; the row is empty
+   * when there is a single page and no controls. Discord allows 5 buttons per row,
+   * so the play dashboard leaves out the page number (the embed shows it).
    * @private
    */
   static buildPaginationRow(currentPage, totalPages, mode) {
     const paginationRow = new ActionRowBuilder();
 
+    if (totalPages > 1) {
+      const [prevButton, pageButton, nextButton] = this.buildPageButtons(currentPage, totalPages, mode);
+      paginationRow.addComponents(
+        ...(mode === 'play' ? [prevButton, nextButton] : [prevButton, pageButton, nextButton])
+      );
+    }
+
+    if (mode === 'play') {
+      const stopButton = new ButtonBuilder()
+        .setCustomId('stop_playback')
+        .setLabel('Stop')
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji('⏹️');
+
+      const randomButton = new ButtonBuilder()
+        .setCustomId('random_sound')
+        .setLabel('Random')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('🎲');
+
+      const effectsButton = new ButtonBuilder()
+        .setCustomId('effects_menu')
+        .setLabel('Effects')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('✨');
+
+      paginationRow.addComponents(stopButton, randomButton, effectsButton);
+    }
+
+    return paginationRow;
+  }
+
+  /**
+   * Build Previous/Page/Next buttons
+   * @private
+   */
+  static buildPageButtons(currentPage, totalPages, mode) {
     const prevButton = new ButtonBuilder()
       .setCustomId(`page_prev_${currentPage}_${mode}`)
       .setLabel('◀️ Previous')
@@ -195,14 +302,388 @@ export class UIBuilder {
       .setStyle(ButtonStyle.Secondary)
       .setDisabled(currentPage === totalPages - 1);
 
-    paginationRow.addComponents(prevButton, pageButton, nextButton);
-    return paginationRow;
+    return [prevButton, pageButton, nextButton];
   }
 
   /**
-   * Clean up sound title (remove common suffixes)
+   * Build the effects picker shown when pressing Effects on the play dashboard
+   * @param {Array<string>} selected - Effects the user currently has on
+   * @returns {Object} - {content, components}
+   */
+  static buildEffectsMenu(selected = []) {
+    const selectMenu = new StringSelectMenuBuilder()
+      .setCustomId('effects_select')
+      .setPlaceholder('✨ No effects - sounds play unchanged')
+      .setMinValues(0)
+      .setMaxValues(AudioEffects.names.length);
+
+    for (const [name, effect] of Object.entries(AudioEffects.effects)) {
+      selectMenu.addOptions(
+        new StringSelectMenuOptionBuilder()
+          .setLabel(effect.label)
+          .setValue(name)
+          .setEmoji(effect.emoji)
+          .setDefault(selected.includes(name))
+      );
+    }
+
+    const content = selected.length > 0
+      ? `✨ Sounds you play from the dashboard use: ${AudioEffects.describe(selected)}`
+      : '✨ Pick effects for the sounds you play from the dashboard (they can be combined).';
+
+    return {
+      content,
+      components: [new ActionRowBuilder().addComponents(selectMenu)],
+    };
+  }
+
+  /**
+   * Get appearance and component IDs for a dashboard mode
+   * @private
+   */
+  static getModeConfig(mode) {
+    return DASHBOARD_MODES[mode] || DASHBOARD_MODES.play;
+  }
+
+  /**
+   * Build the title shown for a sound (manage mode also shows its settings, play mode its length;
+   * sounds whose link is broken get a ⚠️ badge)
+   * @private
+   */
+  static buildSoundLabel(sound, mode) {
+    const cleanTitle = (sound.broken_at ? '⚠️ ' : '') + this.cleanTitle(sound.title);
+
+    if (mode === 'manage' && sound.volume !== undefined && sound.volume !== 100) {
+      return `[${sound.volume}%] ${cleanTitle}`;
+    }
+
+    if (mode === 'play' && sound.duration != null) {
+      return `${cleanTitle} (${SoundLimits.formatDuration(SoundLimits.getPlayedDuration(sound))})`;
+    }
+
+    return cleanTitle;
+  }
+
+  /**
+   * Build the one-line summary of a sound's details shown under it in select menus
+   * @returns {string} - e.g. "🏷️ meme, funny · 👤 someone" (empty if it has none)
+   * @private
+   */
+  static buildSoundDetails(sound) {
+    const details = [];
+    if (sound.tags?.length > 0) {
+      details.push(`🏷️ ${sound.tags.join(', ')}`);
+    }
+    if (sound.uploader) {
+      details.push(`👤 ${sound.uploader}`);
+    }
+    return details.join(' · ');
+  }
+
+  /**
+   * Build the /info embed of a saved sound
+   * @param {Object} sound - Sound record
+   * @param {number} soundNumber - Its number on the /sounds dashboard
+   * @returns {EmbedBuilder}
+   */
+  static buildSoundInfo(sound, soundNumber) {
+    const embed = new EmbedBuilder()
+      .setTitle(this.cleanTitle(sound.title).substring(0, 256))
+      .setColor(sound.color ?? DASHBOARD_MODES.play.color)
+      .setFooter({ text: `Sound #${soundNumber} on /sounds` })
+      .setTimestamp(new Date(sound.created_at));
+
+    // Uploads have no page to link to
+    if (/^https?:\/\//.test(sound.original_url)) {
+      embed.setURL(sound.original_url);
+    }
+    if (sound.broken_at) {
+      const brokenSince = Math.floor(new Date(sound.broken_at).getTime() / 1000);
+      embed.setDescription(
+        `⚠️ **Broken link** since <t:${brokenSince}:R>: the audio file is gone from its site.` +
+        (sound.description ? `\n\n${sound.description}` : '')
+      );
+    } else if (sound.description) {
+      embed.setDescription(sound.description);
+    }
+    if (/^https?:\/\//.test(sound.thumbnail_url || '')) {
+      embed.setThumbnail(sound.thumbnail_url);
+    }
+
+    let duration = 'Not measured yet';
+    if (sound.duration != null) {
+      const played = SoundLimits.getPlayedDuration(sound);
+      duration = SoundLimits.formatDuration(sound.duration) +
+        (played < sound.duration ? ` (plays ${SoundLimits.formatDuration(played)} trimmed)` : '');
+    }
+
+    embed.addFields(
+      { name: '⏱️ Duration', value: duration, inline: true },
+      { name: '🌐 Source', value: SOURCE_LABELS[sound.provider] || sound.provider, inline: true },
+      { name: '▶️ Plays', value: String(sound.play_count ?? 0), inline: true },
+      { name: '🏷️ Tags', value: sound.tags?.length > 0 ? sound.tags.join(', ') : 'None', inline: true },
+      { name: '👤 Uploader', value: sound.uploader || 'Unknown', inline: true },
+      { name: '➕ Added by', value: sound.added_by ? `<@${sound.added_by}>` : 'Unknown', inline: true }
+    );
+
+    if (sound.volume !== undefined && sound.volume !== 100) {
+      embed.addFields({ name: '🔊 Volume', value: `${sound.volume}%`, inline: true });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Build queue embed showing the current sound and the sounds waiting to play
+   * @param {Object} queue - {nowPlaying, upcoming} from VoiceService.getQueue
+   * @returns {EmbedBuilder}
+   */
+  static buildQueueEmbed(queue) {
+    const embed = new EmbedBuilder()
+      .setTitle('🎶 Sound Queue')
+      .setColor(0x5865f2)
+      .setTimestamp();
+
+    if (!queue.nowPlaying && queue.upcoming.length === 0) {
+      embed.setDescription('📭 Nothing is playing right now. Press a sound on the dashboard to start!');
+      return embed;
+    }
+
+    embed.addFields({
+      name: '🔊 Now Playing',
+      value: queue.nowPlaying ? this.cleanTitle(queue.nowPlaying) : 'Nothing',
+    });
+
+    if (queue.upcoming.length > 0) {
+      // Embed field values are limited to 1024 characters
+      const maxListed = 15;
+      const lines = queue.upcoming
+        .slice(0, maxListed)
+        .map((title, index) => `${index + 1}. ${this.cleanTitle(title)}`.substring(0, 60));
+
+      if (queue.upcoming.length > maxListed) {
+        lines.push(`…and ${queue.upcoming.length - maxListed} more`);
+      }
+
+      embed.addFields({
+        name: `⏳ Up Next (${queue.upcoming.length})`,
+        value: lines.join('\n'),
+      });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Build the /search results: a list of hits, a picker and Preview/Save buttons
+   * @param {string} query - What was searched for
+   * @param {Array<Object>} results - Hits from ScraperService.searchSounds
+   * @param {number|null} selected - Index of the picked hit (buttons are disabled until one is picked)
+   * @returns {{embed: EmbedBuilder, components: Array<ActionRowBuilder>}}
+   */
+  static buildSearchResults(query, results, selected = null) {
+    const embed = new EmbedBuilder()
+      .setTitle(`🔎 Results for "${query}"`.substring(0, 256))
+      .setColor(0x5865f2)
+      .setDescription(
+        results
+          .map((result, index) => `**${index + 1}.** [${this.cleanTitle(result.title)}](${result.pageUrl})`)
+          .join('\n')
+      )
+      .setFooter({ text: 'Pick a sound, then preview it in voice or save it to this server' });
+
+    const selectMenu = new StringSelectMenuBuilder()
+      .setCustomId('search_select')
+      .setPlaceholder('🔎 Pick a sound')
+      .addOptions(
+        results.map((result, index) =>
+          new StringSelectMenuOptionBuilder()
+            .setLabel(`${index + 1}. ${this.cleanTitle(result.title)}`.substring(0, 100))
+            .setValue(String(index))
+            .setDefault(index === selected)
+        )
+      );
+
+    const previewButton = new ButtonBuilder()
+      .setCustomId('search_preview')
+      .setLabel('Preview')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('🎧')
+      .setDisabled(selected === null);
+
+    const saveButton = new ButtonBuilder()
+      .setCustomId('search_save')
+      .setLabel('Save')
+      .setStyle(ButtonStyle.Success)
+      .setEmoji('💾')
+      .setDisabled(selected === null);
+
+    return {
+      embed,
+      components: [
+        new ActionRowBuilder().addComponents(selectMenu),
+        new ActionRowBuilder().addComponents(previewButton, saveButton),
+      ],
+    };
+  }
+
+  /**
+   * Build the preview of a bulk import, with Import/Cancel buttons
+   * @param {Object} job - Prepared import (see ImportService.prepare)
+   * @returns {{embed: EmbedBuilder, components: Array<ActionRowBuilder>}}
+   */
+  static buildImportPreview(job) {
+    const lines = [`Found **${job.found}** sound${job.found === 1 ? '' : 's'} on ${job.sourceUrl}`];
+    if (job.duplicates > 0) {
+      lines.push(`⏭️ ${job.duplicates} already saved (skipped)`);
+    }
+    if (job.overLimit > 0) {
+      lines.push(`🚫 ${job.overLimit} over the limit of ${config.bot.maxSoundsPerGuild} sounds per server (skipped)`);
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle('📥 Import Preview')
+      .setColor(0x5865f2)
+      .setDescription(lines.join('\n'));
+
+    if (job.items.length > 0) {
+      embed.addFields({
+        name: `Will add (${job.items.length})`,
+        value: this.buildTitleList(job.items.map((item) => item.title)),
+      });
+    } else {
+      embed.addFields({ name: 'Will add', value: '📭 Nothing new to import' });
+    }
+
+    const importButton = new ButtonBuilder()
+      .setCustomId('import_start')
+      .setLabel(`Import ${job.items.length}`)
+      .setStyle(ButtonStyle.Success)
+      .setEmoji('📥')
+      .setDisabled(job.items.length === 0);
+
+    const cancelButton = new ButtonBuilder()
+      .setCustomId('import_cancel')
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('✖️');
+
+    return {
+      embed,
+      components: [new ActionRowBuilder().addComponents(importButton, cancelButton)],
+    };
+  }
+
+  /**
+   * Build the progress (or final report) of a bulk import
+   * @param {Object} job - Import job (see ImportService)
+   * @returns {{embed: EmbedBuilder, components: Array<ActionRowBuilder>}}
+   */
+  static buildImportProgress(job) {
+    const titles = {
+      running: job.cancelled ? '⏳ Cancelling Import...' : '⏳ Importing...',
+      finished: '✅ Import Finished',
+      cancelled: '⏹️ Import Cancelled',
+    };
+
+    const lines = [
+      `📊 Progress: ${job.processed}/${job.items.length}`,
+      `✅ Added: ${job.added}`,
+      `⏭️ Already saved: ${job.skipped}`,
+      `❌ Failed: ${job.failed.length}`,
+    ];
+    if (job.full) {
+      lines.push(`📦 Stopped early: the server reached ${config.bot.maxSoundsPerGuild} sounds`);
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(titles[job.status] || titles.running)
+      .setColor(job.status === 'finished' ? 0x57f287 : 0x5865f2)
+      .setDescription(lines.join('\n'));
+
+    if (job.failed.length > 0) {
+      embed.addFields({
+        name: 'Failed',
+        value: this.buildTitleList(job.failed.map((failure) => `${failure.title} - ${failure.reason}`)),
+      });
+    }
+
+    const components = [];
+    if (job.status === 'running' && !job.cancelled) {
+      components.push(
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId('import_cancel')
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Danger)
+            .setEmoji('⏹️')
+        )
+      );
+    }
+
+    return { embed, components };
+  }
+
+  /**
+   * Build the summary of a link check sent to a guild's admins
+   * @param {Object} summary - Sounds that broke, were repaired (moved) or were restored (see LinkCheckService)
+   * @returns {EmbedBuilder}
+   */
+  static buildLinkCheckSummary(summary) {
+    const embed = new EmbedBuilder()
+      .setTitle('🔗 Sound Link Check')
+      .setColor(summary.broken.length > 0 ? 0xfee75c : 0x57f287)
+      .setDescription(
+        summary.broken.length > 0
+          ? 'Some sounds can no longer be downloaded. They are marked ⚠️ on dashboards and still play if ' +
+            'cached; replace or `/delete` them. They are checked again, in case they come back.'
+          : 'Sounds that had moved or gone missing work again.'
+      )
+      .setTimestamp();
+
+    if (summary.broken.length > 0) {
+      embed.addFields({
+        name: `⚠️ Broken (${summary.broken.length})`,
+        value: this.buildTitleList(summary.broken.map((sound) => sound.title)),
+      });
+    }
+    if (summary.repaired.length > 0) {
+      embed.addFields({
+        name: `🔧 Moved and repaired (${summary.repaired.length})`,
+        value: this.buildTitleList(summary.repaired.map((sound) => sound.title)),
+      });
+    }
+    if (summary.restored.length > 0) {
+      embed.addFields({
+        name: `✅ Working again (${summary.restored.length})`,
+        value: this.buildTitleList(summary.restored.map((sound) => sound.title)),
+      });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Build a numbered list of titles that fits in an embed field
    * @private
    */
+  static buildTitleList(titles) {
+    // Embed field values are limited to 1024 characters
+    const maxListed = 15;
+    const lines = titles
+      .slice(0, maxListed)
+      .map((title, index) => `${index + 1}. ${this.cleanTitle(title)}`.substring(0, 60));
+
+    if (titles.length > maxListed) {
+      lines.push(`…and ${titles.length - maxListed} more`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Clean up sound title (remove common suffixes)
+   */
   static cleanTitle(title) {
     return title
       .replace(/\s*-\s*Botón de sonido\s*/gi, '')
@@ -0,0 +1,56 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Clear command - Removes every sound waiting in the queue
+ * Follows Command Pattern
+ */
+export class ClearCommand {
+  constructor(voiceService) {
+    this.voiceService = voiceService;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('clear')
+      .setDescription('Remove all sounds waiting in the queue');
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      Logger.logCommand('clear', interaction);
+
+      const removed = this.voiceService.clearQueue(interaction.guild.id);
+
+      if (removed === 0) {
+        return interaction.reply({
+          content: '📭 The queue is already empty!',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      Logger.info('Cleared sound queue', {
+        ...Logger.getUserContext(interaction),
+        removed,
+      });
+
+      await interaction.reply({
+        content: `🧹 Removed ${removed} sound${removed === 1 ? '' : 's'} from the queue.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    } catch (error) {
+      Logger.error('Error in clear command', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+}
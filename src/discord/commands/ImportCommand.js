@@ -0,0 +1,176 @@
+import { SlashCommandBuilder, PermissionFlagsBits, MessageFlags } from 'discord.js';
+import { UIBuilder } from '../builders/UIBuilder.js';
+import { UnsafeUrlError } from '../../utils/urls.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Import command - Adds every sound listed on a MyInstants page to the guild
+ * (also handles the Import/Cancel buttons of the preview and progress messages)
+ * Follows Command Pattern
+ */
+export class ImportCommand {
+  constructor(scraperService, importService) {
+    this.scraperService = scraperService;
+    this.importService = importService;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('import')
+      .setDescription('Add every sound on a myinstants.com list, category or favorites page')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addStringOption((option) =>
+        option
+          .setName('url')
+          .setDescription('The myinstants.com page URL')
+          .setRequired(true)
+      );
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      const input = interaction.options.getString('url').trim();
+
+      Logger.logCommand('import', interaction, { url: input });
+
+      let url;
+      try {
+        url = this.scraperService.canonicalizePageUrl(input).href;
+      } catch (error) {
+        if (!(error instanceof UnsafeUrlError)) {
+          throw error;
+        }
+        return interaction.reply({
+          content: '❌ Please provide a valid myinstants.com URL!',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      if (this.importService.getJob(interaction.guild.id)?.status === 'running') {
+        return interaction.reply({
+          content: '⏳ An import is already running in this server. Wait for it to finish or cancel it first.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      const sounds = await this.scraperService.scrapeSoundList(url);
+      if (sounds.length === 0) {
+        return interaction.editReply('📭 No sounds found on that page.');
+      }
+
+      const job = await this.importService.prepare(interaction.guild.id, interaction.user.id, url, sounds);
+      if (!job) {
+        return interaction.editReply(
+          '⏳ An import is already running in this server. Wait for it to finish or cancel it first.'
+        );
+      }
+
+      Logger.info('Import prepared', {
+        ...Logger.getUserContext(interaction),
+        found: job.found,
+        toAdd: job.items.length,
+        duplicates: job.duplicates,
+        overLimit: job.overLimit,
+      });
+
+      const { embed, components } = UIBuilder.buildImportPreview(job);
+      await interaction.editReply({ embeds: [embed], components });
+    } catch (error) {
+      Logger.error('Error in import command', Logger.getUserContext(interaction), error);
+      const replyMethod = interaction.deferred || interaction.replied ? 'editReply' : 'reply';
+      await interaction[replyMethod]({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Handle the Import and Cancel buttons
+   * @param {Object} interaction - Discord button interaction
+   */
+  async handleButton(interaction) {
+    try {
+      const job = this.importService.getJob(interaction.guild.id);
+
+      if (!job || job.userId !== interaction.user.id) {
+        return interaction.reply({
+          content: '❌ This import has ended or belongs to someone else. Run `/import` again.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      if (interaction.customId === 'import_start') {
+        await this.startImport(interaction);
+      } else {
+        await this.cancelImport(interaction);
+      }
+    } catch (error) {
+      Logger.error('Error handling import button', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Start the previewed import, reporting progress on the same message
+   * @param {Object} interaction - Discord button interaction
+   * @private
+   */
+  async startImport(interaction) {
+    const job = this.importService.start(interaction.guild.id, (progress) => {
+      const { embed, components } = UIBuilder.buildImportProgress(progress);
+      return interaction.editReply({ embeds: [embed], components });
+    });
+
+    if (!job) {
+      return interaction.reply({
+        content: '⏳ This import has already started.',
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    Logger.info('Import started by user', {
+      ...Logger.getUserContext(interaction),
+      sounds: job.items.length,
+    });
+
+    const { embed, components } = UIBuilder.buildImportProgress(job);
+    await interaction.update({ embeds: [embed], components });
+  }
+
+  /**
+   * Cancel the import (before it starts, or while it runs)
+   * @param {Object} interaction - Discord button interaction
+   * @private
+   */
+  async cancelImport(interaction) {
+    const job = this.importService.cancel(interaction.guild.id);
+
+    if (!job) {
+      return interaction.reply({
+        content: '❌ This import has already ended.',
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    // A running import sends its final report once the current sound is done
+    if (job.status === 'cancelled') {
+      await interaction.update({ content: '✖️ Import cancelled.', embeds: [], components: [] });
+    } else {
+      const { embed, components } = UIBuilder.buildImportProgress(job);
+      await interaction.update({ embeds: [embed], components });
+    }
+  }
+}
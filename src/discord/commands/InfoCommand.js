@@ -0,0 +1,62 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { UIBuilder } from '../builders/UIBuilder.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Info command - Shows the details of a saved sound (duration, tags, source, ...)
+ * Follows Command Pattern
+ */
+export class InfoCommand {
+  constructor(soundRepository) {
+    this.soundRepository = soundRepository;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('info')
+      .setDescription('Show the details of a saved sound')
+      .addIntegerOption((option) =>
+        option
+          .setName('sound')
+          .setDescription('Sound number as shown on the /sounds dashboard')
+          .setRequired(true)
+          .setMinValue(1)
+      );
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      const soundNumber = interaction.options.getInteger('sound');
+
+      Logger.logCommand('info', interaction, { soundNumber });
+
+      const sound = await this.soundRepository.getSoundByIndex(interaction.guild.id, soundNumber - 1);
+
+      if (!sound) {
+        return interaction.reply({
+          content: `❌ There is no sound #${soundNumber}! Check the numbers on \`/sounds\`.`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      await interaction.reply({
+        embeds: [UIBuilder.buildSoundInfo(sound, soundNumber)],
+        flags: MessageFlags.Ephemeral,
+      });
+    } catch (error) {
+      Logger.error('Error in info command', Logger.getUserContext(interaction), error);
+      const replyMethod = interaction.deferred || interaction.replied ? 'editReply' : 'reply';
+      await interaction[replyMethod]({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+}
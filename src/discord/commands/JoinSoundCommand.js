@@ -0,0 +1,170 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { MemberSoundRepository } from '../../database/MemberSoundRepository.js';
+import { UIBuilder } from '../builders/UIBuilder.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Joinsound command - Lets members pick a saved sound that plays when they join (or leave) voice
+ * Follows Command Pattern
+ */
+export class JoinSoundCommand {
+  constructor(memberSoundRepository, soundRepository, guildSettingsRepository) {
+    this.memberSoundRepository = memberSoundRepository;
+    this.soundRepository = soundRepository;
+    this.guildSettingsRepository = guildSettingsRepository;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    const eventOption = (option) =>
+      option
+        .setName('event')
+        .setDescription('When the sound plays (default: join)')
+        .addChoices(
+          ...MemberSoundRepository.EVENTS.map((event) => ({
+            name: event,
+            value: event,
+          }))
+        );
+
+    return new SlashCommandBuilder()
+      .setName('joinsound')
+      .setDescription('Pick a sound that plays when you join or leave a voice channel')
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('set')
+          .setDescription('Set your personal join (or leave) sound')
+          .addIntegerOption((option) =>
+            option
+              .setName('sound')
+              .setDescription('Sound number as shown on the /sounds dashboard')
+              .setRequired(true)
+              .setMinValue(1)
+          )
+          .addStringOption(eventOption)
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('clear')
+          .setDescription('Remove your personal join (or leave) sound')
+          .addStringOption(eventOption)
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('show')
+          .setDescription('Show your personal join and leave sounds')
+      );
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      Logger.logCommand('joinsound', interaction, { subcommand });
+
+      switch (subcommand) {
+        case 'set':
+          await this.setSound(interaction);
+          break;
+        case 'clear':
+          await this.clearSound(interaction);
+          break;
+        default:
+          await this.showSounds(interaction);
+      }
+    } catch (error) {
+      Logger.error('Error in joinsound command', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Set the member's sound for an event
+   * @param {Object} interaction - Discord interaction
+   */
+  async setSound(interaction) {
+    const soundNumber = interaction.options.getInteger('sound');
+    const event = interaction.options.getString('event') || 'join';
+
+    const sound = await this.soundRepository.getSoundByIndex(interaction.guild.id, soundNumber - 1);
+
+    if (!sound) {
+      return interaction.reply({
+        content: `❌ There is no sound #${soundNumber}! Check the numbers on \`/sounds\`.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    await this.memberSoundRepository.setSound(interaction.guild.id, interaction.user.id, event, sound.id);
+
+    Logger.info('Member sound set', {
+      ...Logger.getUserContext(interaction),
+      event,
+      soundId: sound.id,
+    });
+
+    const settings = await this.guildSettingsRepository.getSettings(interaction.guild.id);
+    const enabled = event === 'join' ? settings.join_sounds : settings.leave_sounds;
+    const note = enabled
+      ? ''
+      : `\n⚠️ ${event === 'join' ? 'Join' : 'Leave'} sounds are turned off on this server. An admin can enable them with \`/settings joinsounds\`.`;
+
+    await interaction.reply({
+      content: `✅ **${UIBuilder.cleanTitle(sound.title)}** will play when you ${event} a voice channel${note}`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Remove the member's sound for an event
+   * @param {Object} interaction - Discord interaction
+   */
+  async clearSound(interaction) {
+    const event = interaction.options.getString('event') || 'join';
+
+    const removed = await this.memberSoundRepository.clearSound(
+      interaction.guild.id,
+      interaction.user.id,
+      event
+    );
+
+    await interaction.reply({
+      content: removed
+        ? `✅ Removed your ${event} sound`
+        : `📭 You don't have a ${event} sound`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Show the member's sounds
+   * @param {Object} interaction - Discord interaction
+   */
+  async showSounds(interaction) {
+    const lines = [];
+
+    for (const event of MemberSoundRepository.EVENTS) {
+      const sound = await this.memberSoundRepository.getSound(
+        interaction.guild.id,
+        interaction.user.id,
+        event
+      );
+      const label = event === 'join' ? '👋 Join' : '🚪 Leave';
+      lines.push(`${label}: ${sound ? `**${UIBuilder.cleanTitle(sound.title)}**` : 'none'}`);
+    }
+
+    await interaction.reply({
+      content: lines.join('\n'),
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+}
@@ -0,0 +1,54 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Leave command - Stops playback and leaves voice channel
+ * Follows Command Pattern
+ */
+export class LeaveCommand {
+  constructor(voiceService) {
+    this.voiceService = voiceService;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('leave')
+      .setDescription('Stop playing and leave the voice channel');
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      Logger.logCommand('leave', interaction);
+
+      const wasConnected = this.voiceService.disconnect(interaction.guild.id);
+
+      if (!wasConnected) {
+        Logger.info('Leave command called but bot not connected', Logger.getUserContext(interaction));
+        return interaction.reply({
+          content: "❌ I'm not in a voice channel right now!",
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      Logger.info('Successfully stopped playback and disconnected', Logger.getUserContext(interaction));
+
+      await interaction.reply({
+        content: '👋 Stopped playing and left the voice channel.',
+        flags: MessageFlags.Ephemeral,
+      });
+    } catch (error) {
+      Logger.error('Error in leave command', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+}
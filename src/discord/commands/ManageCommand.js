@@ -0,0 +1,183 @@
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ActionRowBuilder,
+  MessageFlags,
+} from 'discord.js';
+import { UIBuilder } from '../builders/UIBuilder.js';
+import { config } from '../../config/config.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Manage command - Edits per-sound settings (volume override, tags) using unified UI
+ * Follows Command Pattern
+ */
+export class ManageCommand {
+  constructor(soundRepository, dashboardService = null) {
+    this.soundRepository = soundRepository;
+    this.dashboardService = dashboardService;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('manage')
+      .setDescription('Edit the settings of this guild\'s sounds')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      Logger.logCommand('manage', interaction, {});
+
+      // Same dashboard as /sounds, in manage mode
+      await this.dashboardService.displayDashboard(interaction, 0, 'manage');
+    } catch (error) {
+      Logger.error('Error in manage command', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Handle manage button/select interactions by opening the sound's settings form
+   * @param {Object} interaction - Discord interaction
+   */
+  async handleSelect(interaction) {
+    try {
+      // Button format: manage_sound_123, select value format: manage_123
+      const soundId = interaction.isStringSelectMenu()
+        ? parseInt(interaction.values[0].split('_')[1])
+        : parseInt(interaction.customId.split('_')[2]);
+
+      const sound = await this.soundRepository.getSoundById(interaction.guild.id, soundId);
+
+      if (!sound) {
+        return interaction.reply({
+          content: '❌ Sound not found! It may have been deleted.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      const volumeInput = new TextInputBuilder()
+        .setCustomId('volume')
+        .setLabel('Volume in percent (0-200, 100 = normal)')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(sound.volume))
+        .setMinLength(1)
+        .setMaxLength(3)
+        .setRequired(true);
+
+      const tagsInput = new TextInputBuilder()
+        .setCustomId('tags')
+        .setLabel('Tags (comma separated, used by /random)')
+        .setStyle(TextInputStyle.Short)
+        .setValue((sound.tags || []).join(', '))
+        .setMaxLength(200)
+        .setRequired(false);
+
+      const modal = new ModalBuilder()
+        .setCustomId(`sound_settings_modal_${sound.id}`)
+        .setTitle(UIBuilder.cleanTitle(sound.title).substring(0, 45))
+        .addComponents(
+          new ActionRowBuilder().addComponents(volumeInput),
+          new ActionRowBuilder().addComponents(tagsInput)
+        );
+
+      await interaction.showModal(modal);
+    } catch (error) {
+      Logger.error('Error handling manage interaction', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Handle the sound settings form submission
+   * @param {Object} interaction - Discord modal submit interaction
+   */
+  async handleSubmit(interaction) {
+    try {
+      const soundId = parseInt(interaction.customId.split('_')[3]);
+      const volumeText = interaction.fields.getTextInputValue('volume').trim();
+      const volume = parseInt(volumeText);
+      const tags = this.parseTags(interaction.fields.getTextInputValue('tags'));
+
+      if (!/^\d+$/.test(volumeText) || volume > 200) {
+        return interaction.reply({
+          content: '❌ Volume must be a whole number between 0 and 200.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      if (tags.length > config.bot.maxTagsPerSound) {
+        return interaction.reply({
+          content: `❌ A sound can have at most ${config.bot.maxTagsPerSound} tags.`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      await this.soundRepository.updateTags(interaction.guild.id, soundId, tags);
+      const sound = await this.soundRepository.updateVolume(interaction.guild.id, soundId, volume);
+
+      if (!sound) {
+        return interaction.reply({
+          content: '❌ Sound not found! It may have been deleted.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      Logger.info('Sound settings updated', {
+        ...Logger.getUserContext(interaction),
+        soundId,
+        volume,
+        tags: tags.join(','),
+      });
+
+      const tagNote = tags.length > 0 ? `\n🏷️ Tags: ${tags.join(', ')}` : '';
+      await interaction.reply({
+        content: `✅ **${UIBuilder.cleanTitle(sound.title)}** will play at **${volume}%**${tagNote}`,
+        flags: MessageFlags.Ephemeral,
+      });
+
+      if (this.dashboardService) {
+        await this.dashboardService.refreshDashboards(interaction.guild.id);
+      }
+    } catch (error) {
+      Logger.error('Error saving sound settings', Logger.getUserContext(interaction), error);
+      const replyMethod = interaction.replied ? 'followUp' : 'reply';
+      await interaction[replyMethod]({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Parse comma separated tags into unique lowercase tags
+   * @param {string} text - Tags as typed in the form
+   * @returns {Array<string>}
+   * @private
+   */
+  parseTags(text) {
+    const tags = text
+      .split(',')
+      .map((tag) => tag.trim().toLowerCase().substring(0, 30))
+      .filter(Boolean);
+
+    return [...new Set(tags)];
+  }
+}
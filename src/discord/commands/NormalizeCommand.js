@@ -0,0 +1,126 @@
+import { SlashCommandBuilder, PermissionFlagsBits, MessageFlags } from 'discord.js';
+import { SoundRepository } from '../../database/SoundRepository.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Normalize command - Re-analyzes the loudness of saved sounds
+ * Follows Command Pattern
+ */
+export class NormalizeCommand {
+  constructor(soundRepository, scraperService, cacheService) {
+    this.soundRepository = soundRepository;
+    this.scraperService = scraperService;
+    this.cacheService = cacheService;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('normalize')
+      .setDescription('Measure the loudness of saved sounds so they play at the same volume')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addBooleanOption((option) =>
+        option
+          .setName('all')
+          .setDescription('Re-analyze every sound, not just the ones never measured')
+      );
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      const reanalyzeAll = interaction.options.getBoolean('all') ?? false;
+
+      Logger.logCommand('normalize', interaction, { reanalyzeAll });
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      const sounds = (await this.soundRepository.getSounds(interaction.guild.id))
+        .filter((sound) => reanalyzeAll || sound.loudness_lufs === null);
+
+      if (sounds.length === 0) {
+        return interaction.editReply('✅ Every sound has already been analyzed!');
+      }
+
+      await interaction.editReply(`🔍 Analyzing ${sounds.length} sound${sounds.length === 1 ? '' : 's'}...`);
+
+      let analyzed = 0;
+      let failed = 0;
+
+      // One at a time - ffmpeg is CPU heavy and this runs next to playback
+      for (const [index, sound] of sounds.entries()) {
+        try {
+          const audioBuffer = await this.getAudio(sound);
+          const loudness = await this.soundRepository.analyzeLoudness(audioBuffer, sound.title);
+
+          if (loudness === null) {
+            failed++;
+          } else {
+            await this.soundRepository.updateLoudness(interaction.guild.id, sound.id, loudness);
+            analyzed++;
+          }
+        } catch (error) {
+          Logger.warn('Failed to re-analyze sound', {
+            ...Logger.getUserContext(interaction),
+            soundId: sound.id,
+            error: error.message,
+          });
+          failed++;
+        }
+
+        if ((index + 1) % 5 === 0 && index + 1 < sounds.length) {
+          await interaction.editReply(`🔍 Analyzing sounds... ${index + 1}/${sounds.length}`).catch(() => {});
+        }
+      }
+
+      Logger.info('Finished re-analyzing sound loudness', {
+        ...Logger.getUserContext(interaction),
+        analyzed,
+        failed,
+      });
+
+      await interaction.editReply(
+        `✅ Normalized ${analyzed} sound${analyzed === 1 ? '' : 's'}.` +
+        (failed > 0 ? `\n⚠️ ${failed} could not be analyzed.` : '')
+      );
+    } catch (error) {
+      Logger.error('Error in normalize command', Logger.getUserContext(interaction), error);
+      const replyMethod = interaction.deferred ? 'editReply' : 'reply';
+      await interaction[replyMethod]({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Get a sound's audio from cache, falling back to upload storage or a download on a cache miss
+   * @param {Object} sound - Sound record
+   * @returns {Promise<Buffer>}
+   * @private
+   */
+  async getAudio(sound) {
+    const cached = (await this.cacheService.getOpus(sound.sound_url)) ||
+      (await this.cacheService.getAudio(sound.sound_url));
+
+    if (cached) {
+      return cached;
+    }
+
+    if (SoundRepository.isUpload(sound.sound_url)) {
+      const uploaded = await this.soundRepository.getUploadedAudio(sound.id);
+      if (!uploaded) {
+        throw new Error('The audio of this uploaded sound is missing');
+      }
+      return uploaded;
+    }
+
+    const { audioBuffer } = await this.scraperService.downloadSound(sound.sound_url);
+    return audioBuffer;
+  }
+}
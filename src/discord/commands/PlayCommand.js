@@ -1,16 +1,38 @@
 import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { AudioEffects } from '../audio/AudioEffects.js';
+import { UIBuilder } from '../builders/UIBuilder.js';
+import { isModerator } from '../utils/permissions.js';
+import { config } from '../../config/config.js';
+import { Fuzzy } from '../../utils/fuzzy.js';
+import { SoundLimitError } from '../../utils/limits.js';
 import { Logger } from '../../utils/logger.js';
 
+// Autocomplete value of a saved sound: "saved:123" (123 is the DB sound ID)
+const SAVED_SOUND_PREFIX = 'saved:';
+
+// Discord shows at most 25 autocomplete choices
+const MAX_CHOICES = 25;
+
 /**
- * Play command - Plays a sound from MyInstants and saves it to the guild
+ * Play command - Plays a sound from any supported site and saves it to the guild
+ * Accepts a URL (see ProviderRegistry), a sound title, or one of the suggestions offered while typing
  * Follows Command Pattern - encapsulates all logic for this command
  */
 export class PlayCommand {
-  constructor(scraperService, voiceService, soundRepository, dashboardService = null) {
+  constructor(
+    scraperService,
+    providerRegistry,
+    voiceService,
+    soundRepository,
+    soundLibraryService,
+    audioService = null
+  ) {
     this.scraperService = scraperService;
+    this.providerRegistry = providerRegistry;
     this.voiceService = voiceService;
     this.soundRepository = soundRepository;
-    this.dashboardService = dashboardService;
+    this.soundLibraryService = soundLibraryService;
+    this.audioService = audioService;
   }
 
   /**
@@ -19,33 +41,114 @@ export class PlayCommand {
   get definition() {
     return new SlashCommandBuilder()
       .setName('play')
-      .setDescription('Play a sound from myinstants.com')
+      .setDescription('Play a sound from myinstants.com, 101soundboards.com or a link to an audio file')
       .addStringOption((option) =>
         option
           .setName('url')
-          .setDescription('The myinstants.com URL')
+          .setDescription('A sound page or audio file URL, or a sound title (suggestions appear as you type)')
           .setRequired(true)
+          .setAutocomplete(true)
+      )
+      .addStringOption((option) =>
+        option
+          .setName('effect')
+          .setDescription(`Effects to apply, combine with commas (${AudioEffects.names.join(', ')})`)
+          .setRequired(false)
       );
   }
 
+  /**
+   * Suggest saved sounds, then MyInstants search results, for the url option
+   * @param {Object} interaction - Discord autocomplete interaction
+   */
+  async autocomplete(interaction) {
+    const query = interaction.options.getFocused().trim();
+
+    try {
+      const sounds = await this.soundRepository.getSounds(interaction.guild.id);
+      const saved = Fuzzy.rank(query, sounds, (sound) => UIBuilder.cleanTitle(sound.title))
+        .slice(0, MAX_CHOICES)
+        .map((sound) => ({
+          name: `💾 ${UIBuilder.cleanTitle(sound.title)}`.substring(0, 100),
+          value: `${SAVED_SOUND_PREFIX}${sound.id}`,
+        }));
+
+      // Live results only for real queries, and never blocking past Discord's deadline
+      let found = [];
+      if (query.length >= 2 && saved.length < MAX_CHOICES && !/^https?:\/\//i.test(query)) {
+        const savedUrls = new Set(sounds.map((sound) => sound.sound_url));
+        const results = await this.scraperService
+          .searchSounds(query, MAX_CHOICES, { timeout: config.bot.autocompleteTimeout, retries: 0 })
+          .catch(() => []);
+
+        found = results
+          .filter((result) => !savedUrls.has(result.soundUrl) && result.pageUrl.length <= 100)
+          .slice(0, MAX_CHOICES - saved.length)
+          .map((result) => ({
+            name: `🔎 ${UIBuilder.cleanTitle(result.title)}`.substring(0, 100),
+            value: result.pageUrl,
+          }));
+      }
+
+      await interaction.respond([...saved, ...found]);
+    } catch (error) {
+      Logger.error('Error in play autocomplete', { ...Logger.getUserContext(interaction), query }, error);
+      await interaction.respond([]).catch(() => {});
+    }
+  }
+
   /**
    * Execute the command
    * @param {Object} interaction - Discord interaction
    */
   async execute(interaction) {
     try {
-      const url = interaction.options.getString('url');
+      const input = interaction.options.getString('url').trim();
+      const effectInput = interaction.options.getString('effect');
 
-      Logger.logCommand('play', interaction, { url });
+      Logger.logCommand('play', interaction, { url: input, effect: effectInput });
 
-      // Validate it's a myinstants URL
-      if (!url.includes('myinstants.com')) {
+      // Validate effects before doing any work
+      const { effects, invalid } = AudioEffects.parse(effectInput);
+      if (invalid.length > 0) {
         return interaction.reply({
-          content: '❌ Please provide a valid myinstants.com URL!',
+          content: `❌ Unknown effect: ${invalid.join(', ')}. Available effects: ${AudioEffects.names.join(', ')}`,
           flags: MessageFlags.Ephemeral,
         });
       }
 
+      const isUrl = /^https?:\/\//i.test(input);
+
+      // Validate a provider can handle the URL
+      if (isUrl && !this.providerRegistry.find(input)) {
+        return interaction.reply({
+          content: `❌ I can't play sounds from that link. Sounds can come from ${this.providerRegistry.describe()}.`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      // Saved sounds (picked from the suggestions or typed by title) play from cache
+      if (!isUrl) {
+        const savedSound = await this.findSavedSound(interaction.guild.id, input);
+        if (savedSound) {
+          Logger.info('Playing saved sound', {
+            ...Logger.getUserContext(interaction),
+            soundId: savedSound.id,
+            title: savedSound.title,
+          });
+          await this.audioService.playSound(interaction, savedSound.id, null, effects);
+          return;
+        }
+
+        // A suggestion for a sound deleted since it was shown - don't search MyInstants for "saved:123"
+        if (input.startsWith(SAVED_SOUND_PREFIX)) {
+          return interaction.reply({
+            content: '❌ Sound not found! It may have been deleted. Check `/sounds` for the current ones.',
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+      }
+
       // Check if user is in a voice channel
       const voiceChannel = interaction.member.voice.channel;
       if (!voiceChannel) {
@@ -68,19 +171,30 @@ export class PlayCommand {
       // Defer reply since this might take a while
       await interaction.deferReply();
 
-      Logger.info('Scraping sound from MyInstants', {
+      // A title that isn't saved yet plays MyInstants' best match
+      let url = input;
+      if (!isUrl) {
+        const [match] = await this.scraperService.searchSounds(input, 1);
+        if (!match) {
+          return interaction.editReply(`📭 No sound called **${input}** found here or on MyInstants.`);
+        }
+        url = match.pageUrl;
+      }
+
+      Logger.info('Resolving sound', {
         ...Logger.getUserContext(interaction),
         url,
       });
 
-      // Scrape the sound URL
+      // Resolve the audio URL and title through the site's provider
       let soundData;
       try {
-        soundData = await this.scraperService.scrapeMyInstantsSound(url);
-        Logger.info('Successfully scraped sound', {
+        soundData = await this.providerRegistry.resolve(url);
+        Logger.info('Successfully resolved sound', {
           ...Logger.getUserContext(interaction),
           title: soundData.title,
           soundUrl: soundData.soundUrl,
+          provider: soundData.provider,
         });
       } catch (error) {
         Logger.error('Failed to scrape sound', Logger.getUserContext(interaction), error);
@@ -109,59 +223,121 @@ export class PlayCommand {
         });
       }
 
-      // Download the sound
+      // Download the sound within the guild's size, type and duration limits
       let audioBuffer;
+      let mimeType;
+      let duration;
       try {
-        audioBuffer = await this.scraperService.downloadSound(soundData.soundUrl);
+        ({ audioBuffer, mimeType, duration } = await this.soundLibraryService.download(
+          interaction.guild.id,
+          soundData.soundUrl,
+          { ...Logger.getUserContext(interaction), title: soundData.title }
+        ));
         Logger.info('Successfully downloaded sound', {
           ...Logger.getUserContext(interaction),
           title: soundData.title,
           bufferSize: audioBuffer.length,
+          duration,
         });
       } catch (error) {
+        if (error instanceof SoundLimitError) {
+          return interaction.editReply(`🚫 ${error.message}`);
+        }
+
         Logger.error('Failed to download sound', Logger.getUserContext(interaction), error);
         return interaction.editReply(
           `❌ Failed to download sound: ${error.message}`
         );
       }
 
-      // Save to database (only if not duplicate)
-      if (!isDuplicate) {
-        try {
-          await this.soundRepository.addSound(interaction.guild.id, {
-            soundUrl: soundData.soundUrl,
-            title: soundData.title,
-            originalUrl: url,
-          });
+      // Encode to Ogg/Opus once (and cache it), so this play and every later one skip transcoding
+      const originalBuffer = audioBuffer;
+      const encoded = await this.soundLibraryService.encode(
+        soundData.soundUrl,
+        audioBuffer,
+        { ...Logger.getUserContext(interaction), title: soundData.title }
+      );
+      audioBuffer = encoded.audioBuffer;
+      const { format } = encoded;
 
-          // Refresh all active dashboards for this guild
-          if (this.dashboardService) {
-            await this.dashboardService.refreshDashboards(interaction.guild.id);
-            Logger.info('Dashboards refreshed after adding new sound', {
-              ...Logger.getUserContext(interaction),
+      // Save to database (only if not duplicate), measuring loudness for normalization
+      let savedSound = null;
+      if (isDuplicate) {
+        savedSound = await this.soundRepository.getSoundByUrl(interaction.guild.id, soundData.soundUrl)
+          .catch(() => null);
+      } else {
+        try {
+          savedSound = await this.soundLibraryService.save(
+            interaction.guild.id,
+            {
+              soundUrl: soundData.soundUrl,
               title: soundData.title,
-            });
-          }
+              originalUrl: soundData.pageUrl,
+              audioBuffer: originalBuffer,
+              mimeType,
+              duration,
+              addedBy: interaction.user.id,
+              provider: soundData.provider,
+              description: soundData.description,
+              tags: soundData.tags,
+              uploader: soundData.uploader,
+              thumbnailUrl: soundData.thumbnailUrl,
+              color: soundData.color,
+              encoded,
+            },
+            Logger.getUserContext(interaction)
+          );
         } catch (error) {
           Logger.error('Failed to save sound to database', Logger.getUserContext(interaction), error);
           // Continue anyway, don't fail the command
         }
       }
 
-      await interaction.editReply({
-        content: `🔊 Playing: **${soundData.title}**`,
-      });
-
-      // Play the audio
+      // Play the audio (or add it to the guild's queue)
       try {
-        await this.voiceService.playAudio(
+        const { status, position, channelId, movedFrom } = await this.voiceService.playAudio(
           voiceChannel,
           interaction.guild.id,
           interaction.guild.voiceAdapterCreator,
           audioBuffer,
-          soundData.title
+          soundData.title,
+          {
+            isModerator: isModerator(interaction.member),
+            format,
+            gainDb: savedSound?.gain_db || 0,
+            volume: (savedSound?.volume ?? 100) / 100,
+            trimStart: savedSound?.trim_start ?? null,
+            trimEnd: savedSound?.trim_end ?? null,
+            effects,
+          }
         );
 
+        if (status === 'refused') {
+          return interaction.editReply({
+            content: `🚫 Saved **${soundData.title}**, but I'm already in <#${channelId}>. Join that channel to play it.`,
+          });
+        }
+
+        if (status === 'ignored') {
+          return interaction.editReply({
+            content: `🔇 Saved **${soundData.title}**, but another sound is already playing. Play it from \`/sounds\` once it finishes.`,
+          });
+        }
+
+        if (savedSound) {
+          this.soundRepository.recordPlay(interaction.guild.id, savedSound.id).catch((error) => {
+            Logger.error('Failed to record sound play (non-critical)', { soundId: savedSound.id }, error);
+          });
+        }
+
+        const effectNote = effects.length > 0 ? ` with ${AudioEffects.describe(effects)}` : '';
+        const moveNote = movedFrom ? `\n↪️ Moved from <#${movedFrom}> to your channel` : '';
+        await interaction.editReply({
+          content: (status === 'queued'
+            ? `⏳ Queued: **${soundData.title}**${effectNote} (position ${position})`
+            : `🔊 Playing: **${soundData.title}**${effectNote}`) + moveNote,
+        });
+
         // Delete the status message after playing starts
         setTimeout(async () => {
           await interaction.deleteReply().catch(() => {});
@@ -176,8 +352,8 @@ export class PlayCommand {
           errorMessage += '\n\n💡 **Encryption Error**: The bot is missing required audio encryption libraries (sodium/libsodium-wrappers/tweetnacl).';
         } else if (error.message.includes('permission')) {
           errorMessage += '\n\n💡 Make sure I have **Connect** and **Speak** permissions in your voice channel.';
-        } else if (error.message.includes('EACCES')) {
-          errorMessage += '\n\n💡 **Permission Error**: The bot cannot write temporary files.';
+        } else if (error.message.includes('ffmpeg')) {
+          errorMessage += '\n\n💡 **Audio Error**: The bot could not decode this sound with ffmpeg.';
         }
 
         return interaction.editReply(errorMessage);
@@ -190,4 +366,25 @@ export class PlayCommand {
       ).catch(() => {});
     }
   }
+
+  /**
+   * Find the saved sound a non-URL input refers to
+   * @param {string} guildId - Guild ID
+   * @param {string} input - A suggestion value ("saved:123") or a title
+   * @returns {Promise<Object|null>} - Sound record, or null if it isn't a saved sound
+   * @private
+   */
+  async findSavedSound(guildId, input) {
+    if (input.startsWith(SAVED_SOUND_PREFIX)) {
+      const soundId = parseInt(input.slice(SAVED_SOUND_PREFIX.length));
+      return Number.isInteger(soundId) ? this.soundRepository.getSoundById(guildId, soundId) : null;
+    }
+
+    // Typed titles must match exactly (ignoring case); anything else is searched on MyInstants
+    const title = input.toLowerCase();
+    const sounds = await this.soundRepository.getSounds(guildId);
+    return sounds.find((sound) =>
+      sound.title.toLowerCase() === title || UIBuilder.cleanTitle(sound.title).toLowerCase() === title
+    ) || null;
+  }
 }
@@ -0,0 +1,46 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { UIBuilder } from '../builders/UIBuilder.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Queue command - Shows the sound playing now and the sounds waiting to play
+ * Follows Command Pattern
+ */
+export class QueueCommand {
+  constructor(voiceService) {
+    this.voiceService = voiceService;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('queue')
+      .setDescription('Show the sounds waiting to play');
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      Logger.logCommand('queue', interaction);
+
+      const queue = this.voiceService.getQueue(interaction.guild.id);
+      const embed = UIBuilder.buildQueueEmbed(queue);
+
+      await interaction.reply({
+        embeds: [embed],
+        flags: MessageFlags.Ephemeral,
+      });
+    } catch (error) {
+      Logger.error('Error in queue command', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+}
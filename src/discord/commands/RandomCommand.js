@@ -0,0 +1,167 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { config } from '../../config/config.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * How each weighting turns a sound's play count into its chance of being picked
+ */
+const WEIGHTINGS = {
+  uniform: () => 1,
+  popular: (sound) => sound.play_count + 1,
+  unpopular: (sound) => 1 / (sound.play_count + 1),
+};
+
+/**
+ * Random command - Plays a random saved sound (also handles the dashboard's Random button)
+ * Follows Command Pattern
+ */
+export class RandomCommand {
+  constructor(soundRepository, audioService) {
+    this.soundRepository = soundRepository;
+    this.audioService = audioService;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('random')
+      .setDescription('Play a random sound from this guild')
+      .addIntegerOption((option) =>
+        option
+          .setName('exclude_recent')
+          .setDescription(`Skip this many of the most recently played sounds (default ${config.bot.randomExcludeRecent})`)
+          .setMinValue(0)
+          .setMaxValue(50)
+      )
+      .addStringOption((option) =>
+        option
+          .setName('weight')
+          .setDescription('How play counts affect the pick (default: uniform)')
+          .addChoices(
+            { name: 'uniform - every sound is equally likely', value: 'uniform' },
+            { name: 'popular - favor often played sounds', value: 'popular' },
+            { name: 'unpopular - favor rarely played sounds', value: 'unpopular' }
+          )
+      )
+      .addStringOption((option) =>
+        option
+          .setName('tag')
+          .setDescription('Only pick sounds with this tag')
+      )
+      .addUserOption((option) =>
+        option
+          .setName('added_by')
+          .setDescription('Only pick sounds this member added')
+      );
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      const options = {
+        excludeRecent: interaction.options.getInteger('exclude_recent') ?? config.bot.randomExcludeRecent,
+        weight: interaction.options.getString('weight') || 'uniform',
+        tag: interaction.options.getString('tag')?.trim().toLowerCase() || null,
+        addedBy: interaction.options.getUser('added_by')?.id || null,
+      };
+
+      Logger.logCommand('random', interaction, options);
+
+      await this.playRandom(interaction, options);
+    } catch (error) {
+      Logger.error('Error in random command', Logger.getUserContext(interaction), error);
+      const replyMethod = interaction.deferred || interaction.replied ? 'editReply' : 'reply';
+      await interaction[replyMethod]({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Handle the dashboard's Random button (default options)
+   * @param {Object} interaction - Discord button interaction
+   */
+  async handleButton(interaction) {
+    try {
+      Logger.info('Random button clicked', Logger.getUserContext(interaction));
+
+      await this.playRandom(interaction, {
+        excludeRecent: config.bot.randomExcludeRecent,
+        weight: 'uniform',
+        tag: null,
+        addedBy: null,
+      });
+    } catch (error) {
+      Logger.error('Error handling random button', Logger.getUserContext(interaction), error);
+      const replyMethod = interaction.deferred || interaction.replied ? 'editReply' : 'reply';
+      await interaction[replyMethod]({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Pick a random sound and play it
+   * @param {Object} interaction - Discord interaction
+   * @param {Object} options - {excludeRecent, weight, tag, addedBy}
+   * @private
+   */
+  async playRandom(interaction, { excludeRecent, weight, tag, addedBy }) {
+    const guildId = interaction.guild.id;
+    let candidates = await this.soundRepository.getRandomCandidates(guildId, { excludeRecent, tag, addedBy });
+
+    // Small collections may have played everything recently - allow repeats rather than fail
+    if (candidates.length === 0 && excludeRecent > 0) {
+      candidates = await this.soundRepository.getRandomCandidates(guildId, { tag, addedBy });
+    }
+
+    if (candidates.length === 0) {
+      return interaction.reply({
+        content: tag || addedBy
+          ? '📭 No sounds match those filters!'
+          : '📭 No sounds saved yet! Use `/play` to add sounds to this guild.',
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const sound = this.pickSound(candidates, WEIGHTINGS[weight] || WEIGHTINGS.uniform);
+
+    Logger.info('Picked random sound', {
+      ...Logger.getUserContext(interaction),
+      soundId: sound.id,
+      title: sound.title,
+      candidates: candidates.length,
+      weight,
+    });
+
+    await this.audioService.playSound(interaction, sound.id);
+  }
+
+  /**
+   * Pick one sound, with chances proportional to its weight
+   * @param {Array} sounds - Sound records
+   * @param {Function} getWeight - Weight of a sound
+   * @returns {Object} - Sound record
+   * @private
+   */
+  pickSound(sounds, getWeight) {
+    const weights = sounds.map(getWeight);
+    let remaining = Math.random() * weights.reduce((sum, value) => sum + value, 0);
+
+    for (let i = 0; i < sounds.length; i++) {
+      remaining -= weights[i];
+      if (remaining < 0) {
+        return sounds[i];
+      }
+    }
+
+    return sounds[sounds.length - 1];
+  }
+}
@@ -0,0 +1,280 @@
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  MessageFlags,
+  ChannelType,
+} from 'discord.js';
+import { UIBuilder } from '../builders/UIBuilder.js';
+import { SchedulerService } from '../services/SchedulerService.js';
+import { config } from '../../config/config.js';
+import { CronExpression } from '../../utils/cron.js';
+import { Logger } from '../../utils/logger.js';
+
+// One-off run time as typed by users: "2025-12-31 23:59"
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})$/;
+
+/**
+ * Schedule command - Plays a saved sound at set times in a voice channel
+ * Follows Command Pattern
+ */
+export class ScheduleCommand {
+  constructor(scheduleRepository, soundRepository, guildSettingsRepository) {
+    this.scheduleRepository = scheduleRepository;
+    this.soundRepository = soundRepository;
+    this.guildSettingsRepository = guildSettingsRepository;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('schedule')
+      .setDescription('Play a sound at set times in a voice channel')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('add')
+          .setDescription('Schedule a sound (give either a cron expression or a date and time)')
+          .addIntegerOption((option) =>
+            option
+              .setName('sound')
+              .setDescription('Sound number as shown on the /sounds dashboard')
+              .setRequired(true)
+              .setMinValue(1)
+          )
+          .addChannelOption((option) =>
+            option
+              .setName('channel')
+              .setDescription('Voice channel to play in')
+              .setRequired(true)
+              .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+          )
+          .addStringOption((option) =>
+            option
+              .setName('cron')
+              .setDescription('Recurrence as "minute hour day month weekday", e.g. "0 13 * * 1-5" or @daily')
+          )
+          .addStringOption((option) =>
+            option
+              .setName('at')
+              .setDescription('Play once at "YYYY-MM-DD HH:MM" (server timezone)')
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('list')
+          .setDescription('Show scheduled sounds')
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('remove')
+          .setDescription('Remove a scheduled sound')
+          .addIntegerOption((option) =>
+            option
+              .setName('id')
+              .setDescription('Schedule ID as shown on /schedule list')
+              .setRequired(true)
+              .setMinValue(1)
+          )
+      );
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      Logger.logCommand('schedule', interaction, { subcommand });
+
+      switch (subcommand) {
+        case 'add':
+          await this.addSchedule(interaction);
+          break;
+        case 'remove':
+          await this.removeSchedule(interaction);
+          break;
+        default:
+          await this.listSchedules(interaction);
+      }
+    } catch (error) {
+      Logger.error('Error in schedule command', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Add a schedule
+   * @param {Object} interaction - Discord interaction
+   */
+  async addSchedule(interaction) {
+    const guildId = interaction.guild.id;
+    const soundNumber = interaction.options.getInteger('sound');
+    const channel = interaction.options.getChannel('channel');
+    const cronExpression = interaction.options.getString('cron');
+    const at = interaction.options.getString('at');
+
+    if ((cronExpression === null) === (at === null)) {
+      return interaction.reply({
+        content: '❌ Give either `cron` (to repeat) or `at` (to play once), not both.',
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    if (await this.scheduleRepository.getCount(guildId) >= config.bot.maxSchedulesPerGuild) {
+      return interaction.reply({
+        content: `❌ This server already has ${config.bot.maxSchedulesPerGuild} scheduled sounds. Remove one first.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const sound = await this.soundRepository.getSoundByIndex(guildId, soundNumber - 1);
+    if (!sound) {
+      return interaction.reply({
+        content: `❌ There is no sound #${soundNumber}! Check the numbers on \`/sounds\`.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const { timezone } = await this.guildSettingsRepository.getSettings(guildId);
+
+    let nextRunAt;
+    try {
+      nextRunAt = cronExpression
+        ? SchedulerService.getNextRun(cronExpression, timezone)
+        : this.parseDateTime(at, timezone);
+    } catch (error) {
+      return interaction.reply({
+        content: `❌ ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    if (!nextRunAt) {
+      return interaction.reply({
+        content: '❌ That cron expression never matches a real date.',
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const schedule = await this.scheduleRepository.addSchedule(guildId, {
+      channelId: channel.id,
+      soundId: sound.id,
+      cronExpression,
+      nextRunAt,
+      createdBy: interaction.user.id,
+    });
+
+    Logger.info('Schedule added', {
+      ...Logger.getUserContext(interaction),
+      scheduleId: schedule.id,
+      soundId: sound.id,
+      cronExpression,
+      nextRunAt: nextRunAt.toISOString(),
+    });
+
+    const recurrence = cronExpression ? `\`${cronExpression}\` (${timezone})` : 'once';
+    await interaction.reply({
+      content:
+        `⏰ Scheduled **${UIBuilder.cleanTitle(sound.title)}** in ${channel} ${recurrence}\n` +
+        `Next run: ${this.formatTimestamp(nextRunAt)} · ID: ${schedule.id}`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Show the guild's schedules
+   * @param {Object} interaction - Discord interaction
+   */
+  async listSchedules(interaction) {
+    const schedules = await this.scheduleRepository.getSchedules(interaction.guild.id);
+    const { timezone } = await this.guildSettingsRepository.getSettings(interaction.guild.id);
+
+    const embed = new EmbedBuilder()
+      .setTitle('⏰ Scheduled Sounds')
+      .setColor(0x5865f2)
+      .setFooter({ text: `Server timezone: ${timezone}` })
+      .setTimestamp();
+
+    if (schedules.length === 0) {
+      embed.setDescription('📭 No scheduled sounds. Add one with `/schedule add`.');
+    } else {
+      embed.setDescription(
+        schedules
+          .map((schedule) => {
+            const recurrence = schedule.cron_expression ? `\`${schedule.cron_expression}\`` : 'once';
+            return `**#${schedule.id}** ${UIBuilder.cleanTitle(schedule.title)} · <#${schedule.channel_id}> · ` +
+              `${recurrence} · next ${this.formatTimestamp(new Date(schedule.next_run_at))}`;
+          })
+          .join('\n')
+      );
+    }
+
+    await interaction.reply({
+      embeds: [embed],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Remove a schedule
+   * @param {Object} interaction - Discord interaction
+   */
+  async removeSchedule(interaction) {
+    const scheduleId = interaction.options.getInteger('id');
+    const removed = await this.scheduleRepository.deleteSchedule(interaction.guild.id, scheduleId);
+
+    await interaction.reply({
+      content: removed
+        ? `✅ Removed schedule #${scheduleId}`
+        : `❌ There is no schedule #${scheduleId}! Check \`/schedule list\`.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Parse a one-off run time in the guild's timezone
+   * @param {string} text - "YYYY-MM-DD HH:MM"
+   * @param {string} timeZone - IANA timezone name
+   * @returns {Date}
+   * @throws {Error} - If the format is wrong or the time has passed
+   * @private
+   */
+  parseDateTime(text, timeZone) {
+    const match = text.trim().match(DATE_TIME_PATTERN);
+    if (!match) {
+      throw new Error('Write the time as `YYYY-MM-DD HH:MM`, e.g. `2025-12-31 23:59`.');
+    }
+
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    const runAt = CronExpression.zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+    const parts = CronExpression.getZonedParts(runAt, timeZone);
+
+    if (parts.year !== year || parts.month !== month || parts.day !== day ||
+        parts.hour !== hour || parts.minute !== minute) {
+      throw new Error(`${text} is not a valid time in ${timeZone}.`);
+    }
+
+    if (runAt.getTime() <= Date.now()) {
+      throw new Error('That time has already passed.');
+    }
+
+    return runAt;
+  }
+
+  /**
+   * Format a moment as a Discord timestamp (shown in each reader's local time)
+   * @private
+   */
+  formatTimestamp(date) {
+    const seconds = Math.floor(date.getTime() / 1000);
+    return `<t:${seconds}:f> (<t:${seconds}:R>)`;
+  }
+}
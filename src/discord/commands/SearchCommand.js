@@ -0,0 +1,277 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { UIBuilder } from '../builders/UIBuilder.js';
+import { isModerator } from '../utils/permissions.js';
+import { SoundLimitError } from '../../utils/limits.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Search command - Finds sounds on MyInstants to preview or save
+ * (also handles the result picker and its Preview/Save buttons)
+ * Follows Command Pattern
+ */
+export class SearchCommand {
+  constructor(scraperService, audioService, voiceService, soundRepository, soundLibraryService) {
+    this.scraperService = scraperService;
+    this.audioService = audioService;
+    this.voiceService = voiceService;
+    this.soundRepository = soundRepository;
+    this.soundLibraryService = soundLibraryService;
+    // Each user's latest search: { 'guildId:userId': { query, results, selected } }
+    this.searches = new Map();
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('search')
+      .setDescription('Search myinstants.com for sounds to preview or save')
+      .addStringOption((option) =>
+        option
+          .setName('query')
+          .setDescription('What to search for')
+          .setRequired(true)
+          .setMaxLength(100)
+      );
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      const query = interaction.options.getString('query').trim();
+
+      Logger.logCommand('search', interaction, { query });
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      const results = await this.scraperService.searchSounds(query);
+
+      if (results.length === 0) {
+        return interaction.editReply(`📭 No sounds found for **${query}**. Try other words.`);
+      }
+
+      this.searches.set(this.getKey(interaction), { query, results, selected: null });
+
+      const { embed, components } = UIBuilder.buildSearchResults(query, results);
+      await interaction.editReply({ embeds: [embed], components });
+    } catch (error) {
+      Logger.error('Error in search command', Logger.getUserContext(interaction), error);
+      const replyMethod = interaction.deferred || interaction.replied ? 'editReply' : 'reply';
+      await interaction[replyMethod]({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Handle a hit picked from the results
+   * @param {Object} interaction - Discord select menu interaction
+   */
+  async handleSelect(interaction) {
+    try {
+      const search = await this.getSearch(interaction);
+      if (!search) {
+        return; // Error reply already sent
+      }
+
+      search.selected = parseInt(interaction.values[0]);
+
+      const { embed, components } = UIBuilder.buildSearchResults(search.query, search.results, search.selected);
+      await interaction.update({ embeds: [embed], components });
+    } catch (error) {
+      Logger.error('Error handling search selection', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Handle the Preview and Save buttons
+   * @param {Object} interaction - Discord button interaction
+   */
+  async handleButton(interaction) {
+    try {
+      const search = await this.getSearch(interaction);
+      if (!search) {
+        return; // Error reply already sent
+      }
+
+      const result = search.results[search.selected];
+
+      Logger.info('Search result button clicked', {
+        ...Logger.getUserContext(interaction),
+        action: interaction.customId,
+        title: result.title,
+      });
+
+      if (interaction.customId === 'search_preview') {
+        await this.previewResult(interaction, result);
+      } else {
+        await this.saveResult(interaction, result);
+      }
+    } catch (error) {
+      Logger.error('Error handling search button', Logger.getUserContext(interaction), error);
+      const replyMethod = interaction.deferred || interaction.replied ? 'editReply' : 'reply';
+      await interaction[replyMethod]({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Play a hit in the user's voice channel without saving it
+   * @param {Object} interaction - Discord button interaction
+   * @param {Object} result - Search hit
+   * @private
+   */
+  async previewResult(interaction, result) {
+    const voiceChannel = await this.audioService.validateVoiceAccess(interaction);
+    if (!voiceChannel) {
+      return; // Error reply already sent
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const downloaded = await this.downloadResult(interaction, result);
+    if (!downloaded) {
+      return; // Error reply already sent
+    }
+
+    const { status, position, channelId } = await this.voiceService.playAudio(
+      voiceChannel,
+      interaction.guild.id,
+      interaction.guild.voiceAdapterCreator,
+      downloaded.audioBuffer,
+      result.title,
+      {
+        isModerator: isModerator(interaction.member),
+        format: 'arbitrary',
+      }
+    );
+
+    const title = UIBuilder.cleanTitle(result.title);
+
+    if (status === 'refused') {
+      return interaction.editReply(
+        `🚫 I'm already in <#${channelId}>. Join that channel to preview sounds, or wait until I leave.`
+      );
+    }
+
+    if (status === 'ignored') {
+      return interaction.editReply(
+        '🔇 Another sound is already playing. This server ignores new sounds until it finishes.'
+      );
+    }
+
+    await interaction.editReply(
+      status === 'queued'
+        ? `⏳ Queued preview: **${title}** (position ${position})`
+        : `🎧 Previewing: **${title}** (not saved, press 💾 Save to keep it)`
+    );
+  }
+
+  /**
+   * Save a hit to the guild's sounds
+   * @param {Object} interaction - Discord button interaction
+   * @param {Object} result - Search hit
+   * @private
+   */
+  async saveResult(interaction, result) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const title = UIBuilder.cleanTitle(result.title);
+
+    if (await this.soundRepository.isDuplicate(interaction.guild.id, result.soundUrl)) {
+      return interaction.editReply(`⚠️ **${title}** is already in this guild's sounds!`);
+    }
+
+    const downloaded = await this.downloadResult(interaction, result);
+    if (!downloaded) {
+      return; // Error reply already sent
+    }
+
+    const savedSound = await this.soundLibraryService.save(
+      interaction.guild.id,
+      {
+        soundUrl: result.soundUrl,
+        title: result.title,
+        originalUrl: result.pageUrl,
+        audioBuffer: downloaded.audioBuffer,
+        mimeType: downloaded.mimeType,
+        duration: downloaded.duration,
+        addedBy: interaction.user.id,
+        provider: 'myinstants',
+      },
+      Logger.getUserContext(interaction)
+    );
+
+    await interaction.editReply(
+      savedSound
+        ? `✅ Saved **${title}**! Play it from \`/sounds\`.`
+        : `⚠️ **${title}** is already in this guild's sounds!`
+    );
+  }
+
+  /**
+   * Download a hit within the guild's limits, replying with the reason on failure
+   * @param {Object} interaction - Deferred Discord interaction
+   * @param {Object} result - Search hit
+   * @returns {Promise<{audioBuffer: Buffer, duration: number|null}|null>} - Audio data and duration,
+   *   or null if it can't be used (reply sent)
+   * @private
+   */
+  async downloadResult(interaction, result) {
+    try {
+      return await this.soundLibraryService.download(
+        interaction.guild.id,
+        result.soundUrl,
+        { ...Logger.getUserContext(interaction), title: result.title }
+      );
+    } catch (error) {
+      if (error instanceof SoundLimitError) {
+        await interaction.editReply(`🚫 ${error.message}`);
+        return null;
+      }
+
+      Logger.error('Failed to download search result', Logger.getUserContext(interaction), error);
+      await interaction.editReply(`❌ Failed to download sound: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the user's search that a component belongs to, replying if it is gone
+   * @param {Object} interaction - Discord component interaction
+   * @returns {Promise<Object|null>} - {query, results, selected}, or null (reply sent)
+   * @private
+   */
+  async getSearch(interaction) {
+    const search = this.searches.get(this.getKey(interaction));
+
+    if (!search || (interaction.isButton() && search.selected === null)) {
+      await interaction.reply({
+        content: '❌ This search has expired. Run `/search` again.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return null;
+    }
+
+    return search;
+  }
+
+  /**
+   * Key a user's search is stored under
+   * @private
+   */
+  getKey(interaction) {
+    return `${interaction.guild.id}:${interaction.user.id}`;
+  }
+}
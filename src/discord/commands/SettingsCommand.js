@@ -0,0 +1,562 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, MessageFlags, ChannelType } from 'discord.js';
+import { GuildSettingsRepository } from '../../database/GuildSettingsRepository.js';
+import { config } from '../../config/config.js';
+import { CronExpression } from '../../utils/cron.js';
+import { SoundLimits } from '../../utils/limits.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Human-readable descriptions of each interrupt policy
+ */
+const INTERRUPT_POLICY_LABELS = {
+  interrupt: '⏩ Interrupt - new sounds cut off the one playing',
+  queue: '⏳ Queue - new sounds wait for the one playing',
+  ignore: '🔇 Ignore - new sounds are rejected while one is playing',
+};
+
+/**
+ * Human-readable descriptions of each channel policy
+ */
+const CHANNEL_POLICY_LABELS = {
+  move: '↪️ Move - follow whoever plays a sound',
+  refuse: '🚫 Refuse - stay put until the bot leaves',
+  move_if_empty: '👥 Move if empty - only follow when nobody is left listening',
+};
+
+/**
+ * Settings command - Shows and changes per-guild bot settings
+ * Follows Command Pattern
+ */
+export class SettingsCommand {
+  constructor(guildSettingsRepository, soundRepository = null, schedulerService = null) {
+    this.guildSettingsRepository = guildSettingsRepository;
+    this.soundRepository = soundRepository;
+    this.schedulerService = schedulerService;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('settings')
+      .setDescription('Show or change bot settings for this guild')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('show')
+          .setDescription('Show the current settings')
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('interrupt')
+          .setDescription('Choose what happens when a sound is played while another is playing')
+          .addStringOption((option) =>
+            option
+              .setName('policy')
+              .setDescription('What to do with new sounds while busy')
+              .setRequired(true)
+              .addChoices(
+                ...GuildSettingsRepository.INTERRUPT_POLICIES.map((policy) => ({
+                  name: policy,
+                  value: policy,
+                }))
+              )
+          )
+          .addBooleanOption((option) =>
+            option
+              .setName('moderator_override')
+              .setDescription('Let voice moderators always interrupt, whatever the policy')
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('mixing')
+          .setDescription('Play overlapping sounds at the same time instead of one after another')
+          .addBooleanOption((option) =>
+            option
+              .setName('enabled')
+              .setDescription('Whether overlapping sounds are mixed together')
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('loudness')
+          .setDescription('Set the loudness saved sounds are normalized to')
+          .addNumberOption((option) =>
+            option
+              .setName('target')
+              .setDescription(`Target loudness in LUFS (default ${config.bot.defaultTargetLoudness}, higher is louder)`)
+              .setRequired(true)
+              .setMinValue(-30)
+              .setMaxValue(-5)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('channel')
+          .setDescription('Choose what happens when a sound is played from a different voice channel')
+          .addStringOption((option) =>
+            option
+              .setName('policy')
+              .setDescription('Whether the bot follows the member into their channel')
+              .setRequired(true)
+              .addChoices(
+                ...GuildSettingsRepository.CHANNEL_POLICIES.map((policy) => ({
+                  name: policy,
+                  value: policy,
+                }))
+              )
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('joinsounds')
+          .setDescription('Play members\' personal sounds when they join (or leave) a voice channel')
+          .addBooleanOption((option) =>
+            option
+              .setName('enabled')
+              .setDescription('Whether join sounds play')
+              .setRequired(true)
+          )
+          .addBooleanOption((option) =>
+            option
+              .setName('leave_sounds')
+              .setDescription('Whether leave sounds play too')
+          )
+          .addIntegerOption((option) =>
+            option
+              .setName('cooldown')
+              .setDescription(`Seconds before a member's sound can play again (default ${config.bot.defaultJoinSoundCooldown})`)
+              .setMinValue(0)
+              .setMaxValue(3600)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('timezone')
+          .setDescription('Set the timezone scheduled sounds are written in')
+          .addStringOption((option) =>
+            option
+              .setName('timezone')
+              .setDescription('IANA timezone name, e.g. Europe/Madrid or America/Santiago')
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('limits')
+          .setDescription('Limit the size, length and file types of sounds')
+          .addNumberOption((option) =>
+            option
+              .setName('max_size')
+              .setDescription(`Largest file in MB (default ${config.bot.defaultMaxFileSize / 1024})`)
+              .setMinValue(0.1)
+              .setMaxValue(config.bot.maxFileSizeLimit / 1024)
+          )
+          .addIntegerOption((option) =>
+            option
+              .setName('max_duration')
+              .setDescription(`Longest sound in seconds (default ${config.bot.defaultMaxDuration})`)
+              .setMinValue(1)
+              .setMaxValue(config.bot.maxDurationLimit)
+          )
+          .addStringOption((option) =>
+            option
+              .setName('mime_types')
+              .setDescription('Allowed types, comma separated (e.g. audio/mpeg, audio/ogg), or "default"')
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('alerts')
+          .setDescription('Choose whether and where admins are told about broken sound links')
+          .addBooleanOption((option) =>
+            option
+              .setName('enabled')
+              .setDescription('Whether link check summaries are sent')
+              .setRequired(true)
+          )
+          .addChannelOption((option) =>
+            option
+              .setName('channel')
+              .setDescription('Channel to send them to (default: the server\'s system channel)')
+              .addChannelTypes(ChannelType.GuildText)
+          )
+      );
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      Logger.logCommand('settings', interaction, { subcommand });
+
+      switch (subcommand) {
+        case 'interrupt':
+          await this.updateInterruptPolicy(interaction);
+          break;
+        case 'mixing':
+          await this.updateMixMode(interaction);
+          break;
+        case 'loudness':
+          await this.updateTargetLoudness(interaction);
+          break;
+        case 'channel':
+          await this.updateChannelPolicy(interaction);
+          break;
+        case 'joinsounds':
+          await this.updateJoinSounds(interaction);
+          break;
+        case 'timezone':
+          await this.updateTimezone(interaction);
+          break;
+        case 'limits':
+          await this.updateLimits(interaction);
+          break;
+        case 'alerts':
+          await this.updateAlerts(interaction);
+          break;
+        default:
+          await this.showSettings(interaction);
+      }
+    } catch (error) {
+      Logger.error('Error in settings command', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Show the current settings for the guild
+   * @param {Object} interaction - Discord interaction
+   */
+  async showSettings(interaction) {
+    const settings = await this.guildSettingsRepository.getSettings(interaction.guild.id);
+
+    await interaction.reply({
+      embeds: [this.buildSettingsEmbed(settings)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Update the interrupt policy for the guild
+   * @param {Object} interaction - Discord interaction
+   */
+  async updateInterruptPolicy(interaction) {
+    const updates = {
+      interrupt_policy: interaction.options.getString('policy'),
+    };
+
+    const moderatorOverride = interaction.options.getBoolean('moderator_override');
+    if (moderatorOverride !== null) {
+      updates.moderator_interrupt = moderatorOverride;
+    }
+
+    const settings = await this.guildSettingsRepository.updateSettings(interaction.guild.id, updates);
+
+    Logger.info('Interrupt policy updated', {
+      ...Logger.getUserContext(interaction),
+      policy: settings.interrupt_policy,
+      moderatorInterrupt: settings.moderator_interrupt,
+    });
+
+    await interaction.reply({
+      content: '✅ Settings updated!',
+      embeds: [this.buildSettingsEmbed(settings)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Enable or disable mixing mode for the guild
+   * @param {Object} interaction - Discord interaction
+   */
+  async updateMixMode(interaction) {
+    const settings = await this.guildSettingsRepository.updateSettings(interaction.guild.id, {
+      mix_mode: interaction.options.getBoolean('enabled'),
+    });
+
+    Logger.info('Mixing mode updated', {
+      ...Logger.getUserContext(interaction),
+      mixMode: settings.mix_mode,
+    });
+
+    await interaction.reply({
+      content: '✅ Settings updated!',
+      embeds: [this.buildSettingsEmbed(settings)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Update the target loudness and recalculate every sound's gain
+   * @param {Object} interaction - Discord interaction
+   */
+  async updateTargetLoudness(interaction) {
+    const settings = await this.guildSettingsRepository.updateSettings(interaction.guild.id, {
+      target_loudness: interaction.options.getNumber('target'),
+    });
+
+    const updated = await this.soundRepository.recalculateGains(
+      interaction.guild.id,
+      settings.target_loudness
+    );
+
+    Logger.info('Target loudness updated', {
+      ...Logger.getUserContext(interaction),
+      targetLoudness: settings.target_loudness,
+      soundsUpdated: updated,
+    });
+
+    await interaction.reply({
+      content: `✅ Settings updated! Re-normalized ${updated} sound${updated === 1 ? '' : 's'}.`,
+      embeds: [this.buildSettingsEmbed(settings)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Update the channel policy for the guild
+   * @param {Object} interaction - Discord interaction
+   */
+  async updateChannelPolicy(interaction) {
+    const settings = await this.guildSettingsRepository.updateSettings(interaction.guild.id, {
+      channel_policy: interaction.options.getString('policy'),
+    });
+
+    Logger.info('Channel policy updated', {
+      ...Logger.getUserContext(interaction),
+      policy: settings.channel_policy,
+    });
+
+    await interaction.reply({
+      content: '✅ Settings updated!',
+      embeds: [this.buildSettingsEmbed(settings)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Enable or disable members' join/leave sounds for the guild
+   * @param {Object} interaction - Discord interaction
+   */
+  async updateJoinSounds(interaction) {
+    const updates = {
+      join_sounds: interaction.options.getBoolean('enabled'),
+    };
+
+    const leaveSounds = interaction.options.getBoolean('leave_sounds');
+    if (leaveSounds !== null) {
+      updates.leave_sounds = leaveSounds;
+    }
+
+    const cooldown = interaction.options.getInteger('cooldown');
+    if (cooldown !== null) {
+      updates.join_sound_cooldown = cooldown;
+    }
+
+    const settings = await this.guildSettingsRepository.updateSettings(interaction.guild.id, updates);
+
+    Logger.info('Join sounds updated', {
+      ...Logger.getUserContext(interaction),
+      joinSounds: settings.join_sounds,
+      leaveSounds: settings.leave_sounds,
+      cooldown: settings.join_sound_cooldown,
+    });
+
+    await interaction.reply({
+      content: '✅ Settings updated!',
+      embeds: [this.buildSettingsEmbed(settings)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Update the guild's timezone and move recurring schedules to match
+   * @param {Object} interaction - Discord interaction
+   */
+  async updateTimezone(interaction) {
+    const timezone = interaction.options.getString('timezone').trim();
+
+    if (!CronExpression.isValidTimeZone(timezone)) {
+      return interaction.reply({
+        content: `❌ Unknown timezone **${timezone}**. Use an IANA name such as \`Europe/Madrid\` or \`America/Santiago\`.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const settings = await this.guildSettingsRepository.updateSettings(interaction.guild.id, { timezone });
+
+    const rescheduled = this.schedulerService
+      ? await this.schedulerService.rescheduleGuild(interaction.guild.id, settings.timezone)
+      : 0;
+
+    Logger.info('Timezone updated', {
+      ...Logger.getUserContext(interaction),
+      timezone: settings.timezone,
+      rescheduled,
+    });
+
+    await interaction.reply({
+      content: `✅ Settings updated!${rescheduled > 0 ? ` Rescheduled ${rescheduled} recurring sound${rescheduled === 1 ? '' : 's'}.` : ''}`,
+      embeds: [this.buildSettingsEmbed(settings)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Update the guild's limits on sound size, duration and file type
+   * @param {Object} interaction - Discord interaction
+   */
+  async updateLimits(interaction) {
+    const updates = {};
+
+    const maxSize = interaction.options.getNumber('max_size');
+    if (maxSize !== null) {
+      updates.max_file_size_kb = Math.round(maxSize * 1024);
+    }
+
+    const maxDuration = interaction.options.getInteger('max_duration');
+    if (maxDuration !== null) {
+      updates.max_duration = maxDuration;
+    }
+
+    const mimeTypesInput = interaction.options.getString('mime_types');
+    if (mimeTypesInput !== null) {
+      if (mimeTypesInput.trim().toLowerCase() === 'default') {
+        updates.allowed_mime_types = config.bot.defaultAllowedMimeTypes;
+      } else {
+        const { mimeTypes, invalid } = SoundLimits.parseMimeTypes(mimeTypesInput);
+
+        if (invalid.length > 0 || mimeTypes.length === 0) {
+          return interaction.reply({
+            content: `❌ ${invalid.length > 0 ? `Not a MIME type: ${invalid.join(', ')}. ` : ''}` +
+              'List types like `audio/mpeg, audio/ogg`, or use `default`.',
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+
+        updates.allowed_mime_types = mimeTypes;
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return interaction.reply({
+        content: '❌ Give at least one of `max_size`, `max_duration` or `mime_types`.',
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const settings = await this.guildSettingsRepository.updateSettings(interaction.guild.id, updates);
+
+    Logger.info('Sound limits updated', {
+      ...Logger.getUserContext(interaction),
+      maxFileSizeKb: settings.max_file_size_kb,
+      maxDuration: settings.max_duration,
+      allowedMimeTypes: settings.allowed_mime_types.join(', '),
+    });
+
+    await interaction.reply({
+      content: '✅ Settings updated!',
+      embeds: [this.buildSettingsEmbed(settings)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Enable or disable link check summaries for the guild, optionally choosing their channel
+   * @param {Object} interaction - Discord interaction
+   */
+  async updateAlerts(interaction) {
+    const updates = {
+      link_alerts: interaction.options.getBoolean('enabled'),
+    };
+
+    const channel = interaction.options.getChannel('channel');
+    if (channel) {
+      updates.alert_channel_id = channel.id;
+    }
+
+    const settings = await this.guildSettingsRepository.updateSettings(interaction.guild.id, updates);
+
+    Logger.info('Link alerts updated', {
+      ...Logger.getUserContext(interaction),
+      linkAlerts: settings.link_alerts,
+      alertChannelId: settings.alert_channel_id,
+    });
+
+    await interaction.reply({
+      content: '✅ Settings updated!',
+      embeds: [this.buildSettingsEmbed(settings)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Build settings embed
+   * @param {Object} settings - Settings record
+   * @returns {EmbedBuilder}
+   * @private
+   */
+  buildSettingsEmbed(settings) {
+    return new EmbedBuilder()
+      .setTitle('⚙️ Guild Settings')
+      .setColor(0x5865f2)
+      .addFields(
+        {
+          name: 'Interrupt Policy',
+          value: INTERRUPT_POLICY_LABELS[settings.interrupt_policy] || settings.interrupt_policy,
+        },
+        {
+          name: 'Moderators Can Always Interrupt',
+          value: settings.moderator_interrupt ? '✅ Yes' : '❌ No',
+        },
+        {
+          name: 'Mixing Mode',
+          value: settings.mix_mode
+            ? `✅ On - up to ${config.bot.maxMixLayers} sounds play at once`
+            : '❌ Off - one sound at a time',
+        },
+        {
+          name: 'Target Loudness',
+          value: `🔉 ${settings.target_loudness} LUFS`,
+        },
+        {
+          name: 'Voice Channel Policy',
+          value: CHANNEL_POLICY_LABELS[settings.channel_policy] || settings.channel_policy,
+        },
+        {
+          name: 'Join/Leave Sounds',
+          value: settings.join_sounds || settings.leave_sounds
+            ? `👋 Join: ${settings.join_sounds ? 'on' : 'off'} · 🚪 Leave: ${settings.leave_sounds ? 'on' : 'off'} · ⏱️ Cooldown: ${settings.join_sound_cooldown}s`
+            : '❌ Off',
+        },
+        {
+          name: 'Timezone',
+          value: `🕒 ${settings.timezone}`,
+        },
+        {
+          name: 'Sound Limits',
+          value: `📦 Up to ${SoundLimits.formatSize(settings.max_file_size_kb * 1024)} · ` +
+            `⏱️ Up to ${SoundLimits.formatDuration(settings.max_duration)}\n` +
+            `🎼 ${settings.allowed_mime_types.join(', ')}`,
+        },
+        {
+          name: 'Broken Link Alerts',
+          value: settings.link_alerts
+            ? `✅ On - sent to ${settings.alert_channel_id ? `<#${settings.alert_channel_id}>` : 'the system channel'}`
+            : '❌ Off',
+        }
+      )
+      .setTimestamp();
+  }
+}
@@ -0,0 +1,57 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { UIBuilder } from '../builders/UIBuilder.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Skip command - Skips the current sound and plays the next one in the queue
+ * Follows Command Pattern
+ */
+export class SkipCommand {
+  constructor(voiceService) {
+    this.voiceService = voiceService;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('skip')
+      .setDescription('Skip the sound that is playing now');
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      Logger.logCommand('skip', interaction);
+
+      const skippedTitle = this.voiceService.skip(interaction.guild.id);
+
+      if (!skippedTitle) {
+        return interaction.reply({
+          content: "❌ I'm not playing anything right now!",
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      Logger.info('Skipped current sound', {
+        ...Logger.getUserContext(interaction),
+        title: skippedTitle,
+      });
+
+      await interaction.reply({
+        content: `⏭️ Skipped: **${UIBuilder.cleanTitle(skippedTitle)}**`,
+        flags: MessageFlags.Ephemeral,
+      });
+    } catch (error) {
+      Logger.error('Error in skip command', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+}
@@ -1,8 +1,10 @@
 import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { UIBuilder } from '../builders/UIBuilder.js';
 import { Logger } from '../../utils/logger.js';
 
 /**
- * Stop command - Stops playback and leaves voice channel
+ * Stop command - Stops playback and clears the queue, staying in the voice channel
+ * (also handles the dashboard's Stop button)
  * Follows Command Pattern
  */
 export class StopCommand {
@@ -16,7 +18,7 @@ export class StopCommand {
   get definition() {
     return new SlashCommandBuilder()
       .setName('stop')
-      .setDescription('Stop playing and leave the voice channel');
+      .setDescription('Stop the sound playing now and clear the queue (use /leave to disconnect)');
   }
 
   /**
@@ -27,28 +29,66 @@ export class StopCommand {
     try {
       Logger.logCommand('stop', interaction);
 
-      const wasConnected = this.voiceService.disconnect(interaction.guild.id);
-
-      if (!wasConnected) {
-        Logger.info('Stop command called but bot not connected', Logger.getUserContext(interaction));
-        return interaction.reply({
-          content: "❌ I'm not playing anything right now!",
-          flags: MessageFlags.Ephemeral,
-        });
-      }
-
-      Logger.info('Successfully stopped playback and disconnected', Logger.getUserContext(interaction));
-
+      await this.stopPlayback(interaction);
+    } catch (error) {
+      Logger.error('Error in stop command', Logger.getUserContext(interaction), error);
       await interaction.reply({
-        content: '⏹️ Stopped playing and left the voice channel.',
+        content: `❌ An error occurred: ${error.message}`,
         flags: MessageFlags.Ephemeral,
-      });
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Handle the dashboard's Stop button
+   * @param {Object} interaction - Discord button interaction
+   */
+  async handleButton(interaction) {
+    try {
+      Logger.info('Stop button clicked', Logger.getUserContext(interaction));
+
+      await this.stopPlayback(interaction);
     } catch (error) {
-      Logger.error('Error in stop command', Logger.getUserContext(interaction), error);
+      Logger.error('Error handling stop button', Logger.getUserContext(interaction), error);
       await interaction.reply({
         content: `❌ An error occurred: ${error.message}`,
         flags: MessageFlags.Ephemeral,
       }).catch(() => {});
     }
   }
+
+  /**
+   * Stop playback and report what was stopped
+   * @param {Object} interaction - Discord interaction
+   * @private
+   */
+  async stopPlayback(interaction) {
+    const result = this.voiceService.stop(interaction.guild.id);
+
+    if (!result || (!result.stoppedTitle && result.cleared === 0)) {
+      return interaction.reply({
+        content: "❌ I'm not playing anything right now!",
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    Logger.info('Stopped playback', {
+      ...Logger.getUserContext(interaction),
+      title: result.stoppedTitle,
+      cleared: result.cleared,
+    });
+
+    const lines = [];
+    if (result.stoppedTitle) {
+      lines.push(`⏹️ Stopped: **${UIBuilder.cleanTitle(result.stoppedTitle)}**`);
+    }
+    if (result.cleared > 0) {
+      lines.push(`🧹 Cleared ${result.cleared} queued sound${result.cleared === 1 ? '' : 's'}`);
+    }
+
+    await interaction.reply({
+      content: lines.join('\n'),
+      flags: MessageFlags.Ephemeral,
+    });
+  }
 }
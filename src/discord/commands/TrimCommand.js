@@ -0,0 +1,104 @@
+import { SlashCommandBuilder, PermissionFlagsBits, MessageFlags } from 'discord.js';
+import { UIBuilder } from '../builders/UIBuilder.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Trim command - Cuts a saved sound to start/end offsets at playback
+ * Follows Command Pattern
+ */
+export class TrimCommand {
+  constructor(soundRepository, dashboardService = null) {
+    this.soundRepository = soundRepository;
+    this.dashboardService = dashboardService;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('trim')
+      .setDescription('Cut a saved sound to start and end offsets (leave both empty to reset)')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addIntegerOption((option) =>
+        option
+          .setName('sound')
+          .setDescription('Sound number as shown on the /sounds dashboard')
+          .setRequired(true)
+          .setMinValue(1)
+      )
+      .addNumberOption((option) =>
+        option
+          .setName('start')
+          .setDescription('Start playing at this many seconds')
+          .setMinValue(0)
+      )
+      .addNumberOption((option) =>
+        option
+          .setName('end')
+          .setDescription('Stop playing at this many seconds')
+          .setMinValue(0)
+      );
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      const soundNumber = interaction.options.getInteger('sound');
+      const start = interaction.options.getNumber('start');
+      const end = interaction.options.getNumber('end');
+
+      Logger.logCommand('trim', interaction, { soundNumber, start, end });
+
+      if (start !== null && end !== null && end <= start) {
+        return interaction.reply({
+          content: '❌ The end must be after the start!',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      const sound = await this.soundRepository.getSoundByIndex(interaction.guild.id, soundNumber - 1);
+
+      if (!sound) {
+        return interaction.reply({
+          content: `❌ There is no sound #${soundNumber}! Check the numbers on \`/sounds\`.`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      await this.soundRepository.updateTrim(interaction.guild.id, sound.id, start, end);
+
+      const title = UIBuilder.cleanTitle(sound.title);
+
+      Logger.info('Sound trim updated', {
+        ...Logger.getUserContext(interaction),
+        soundId: sound.id,
+        start,
+        end,
+      });
+
+      const content = start === null && end === null
+        ? `✅ **${title}** will play in full`
+        : `✂️ **${title}** will play from **${start ?? 0}s** to **${end !== null ? `${end}s` : 'the end'}**`;
+
+      await interaction.reply({
+        content,
+        flags: MessageFlags.Ephemeral,
+      });
+
+      // Dashboards show each sound's trimmed length
+      if (this.dashboardService) {
+        await this.dashboardService.refreshDashboards(interaction.guild.id);
+      }
+    } catch (error) {
+      Logger.error('Error in trim command', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+}
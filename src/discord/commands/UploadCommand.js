@@ -0,0 +1,113 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { SoundLibraryService } from '../services/SoundLibraryService.js';
+import { FFmpeg } from '../../utils/ffmpeg.js';
+import { SoundLimitError } from '../../utils/limits.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Upload command - Adds an audio file attached by the user to the guild's sounds
+ * The file is checked against the guild's limits, encoded to Ogg/Opus and stored by the bot.
+ * Follows Command Pattern
+ */
+export class UploadCommand {
+  constructor(soundLibraryService) {
+    this.soundLibraryService = soundLibraryService;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('upload')
+      .setDescription('Add your own audio file to this server\'s sounds')
+      .addAttachmentOption((option) =>
+        option
+          .setName('file')
+          .setDescription('The audio file (mp3, ogg, wav, ...)')
+          .setRequired(true)
+      )
+      .addStringOption((option) =>
+        option
+          .setName('title')
+          .setDescription('Name to show on the dashboard')
+          .setRequired(true)
+          .setMaxLength(100)
+      );
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      const attachment = interaction.options.getAttachment('file');
+      const title = interaction.options.getString('title').trim();
+
+      Logger.logCommand('upload', interaction, {
+        fileName: attachment.name,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        title,
+      });
+
+      if (!title) {
+        return interaction.reply({
+          content: '❌ Please give the sound a title!',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      const context = { ...Logger.getUserContext(interaction), title };
+
+      let downloaded;
+      try {
+        downloaded = await this.soundLibraryService.download(interaction.guild.id, attachment.url, context);
+      } catch (error) {
+        if (error instanceof SoundLimitError) {
+          return interaction.editReply(`🚫 ${error.message}`);
+        }
+        throw error;
+      }
+
+      // Store the playback encoding so the sound never needs transcoding again
+      let opusBuffer;
+      try {
+        opusBuffer = await FFmpeg.encodeOpus(downloaded.audioBuffer);
+      } catch (error) {
+        Logger.warn('Failed to encode uploaded sound', { ...context, error: error.message });
+        return interaction.editReply(`❌ **${attachment.name}** isn't audio I can play.`);
+      }
+
+      const savedSound = await this.soundLibraryService.save(
+        interaction.guild.id,
+        {
+          soundUrl: SoundLibraryService.createUploadUrl(interaction.guild.id),
+          title,
+          originalUrl: 'upload',
+          audioBuffer: downloaded.audioBuffer,
+          mimeType: downloaded.mimeType,
+          duration: downloaded.duration,
+          addedBy: interaction.user.id,
+          provider: 'upload',
+          uploadedAudio: opusBuffer,
+        },
+        context
+      );
+
+      Logger.info('Sound uploaded', { ...context, soundId: savedSound?.id, bufferSize: opusBuffer.length });
+
+      await interaction.editReply(`✅ Uploaded **${title}**! Play it from \`/sounds\`.`);
+    } catch (error) {
+      Logger.error('Error in upload command', Logger.getUserContext(interaction), error);
+      const replyMethod = interaction.deferred || interaction.replied ? 'editReply' : 'reply';
+      await interaction[replyMethod]({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+}
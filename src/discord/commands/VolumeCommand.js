@@ -0,0 +1,76 @@
+import { SlashCommandBuilder, PermissionFlagsBits, MessageFlags } from 'discord.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Volume command - Shows or sets the guild's master volume
+ * Follows Command Pattern
+ */
+export class VolumeCommand {
+  constructor(guildSettingsRepository, dashboardService = null) {
+    this.guildSettingsRepository = guildSettingsRepository;
+    this.dashboardService = dashboardService;
+  }
+
+  /**
+   * Get command definition
+   */
+  get definition() {
+    return new SlashCommandBuilder()
+      .setName('volume')
+      .setDescription('Show or set the master volume for this guild')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addIntegerOption((option) =>
+        option
+          .setName('level')
+          .setDescription('Volume in percent (100 = normal)')
+          .setMinValue(0)
+          .setMaxValue(200)
+      );
+  }
+
+  /**
+   * Execute the command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    try {
+      const level = interaction.options.getInteger('level');
+
+      Logger.logCommand('volume', interaction, { level });
+
+      if (level === null) {
+        const settings = await this.guildSettingsRepository.getSettings(interaction.guild.id);
+        return interaction.reply({
+          content: `🔊 Master volume is **${settings.master_volume}%**`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      await this.guildSettingsRepository.updateSettings(interaction.guild.id, {
+        master_volume: level,
+      });
+
+      Logger.info('Master volume updated', {
+        ...Logger.getUserContext(interaction),
+        level,
+      });
+
+      await interaction.reply({
+        content: `🔊 Master volume set to **${level}%** (applies from the next sound)`,
+        flags: MessageFlags.Ephemeral,
+      });
+
+      // Dashboards show the master volume
+      if (this.dashboardService) {
+        await this.dashboardService.refreshDashboards(interaction.guild.id);
+      }
+    } catch (error) {
+      Logger.error('Error in volume command', Logger.getUserContext(interaction), error);
+      const replyMethod = interaction.replied ? 'followUp' : 'reply';
+      await interaction[replyMethod]({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+}
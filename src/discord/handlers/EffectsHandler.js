@@ -0,0 +1,65 @@
+import { UIBuilder } from '../builders/UIBuilder.js';
+import { Logger } from '../../utils/logger.js';
+import { MessageFlags } from 'discord.js';
+
+/**
+ * Effects handler for the play dashboard
+ * Handles the Effects button and the effects picker it opens
+ * Follows Single Responsibility Principle
+ */
+export class EffectsHandler {
+  constructor(audioService) {
+    this.audioService = audioService;
+  }
+
+  /**
+   * Show the effects picker (ephemeral, per user)
+   * @param {Object} interaction - Discord button interaction
+   */
+  async showMenu(interaction) {
+    try {
+      const selected = this.audioService.getEffects(interaction.guild.id, interaction.user.id);
+      const { content, components } = UIBuilder.buildEffectsMenu(selected);
+
+      await interaction.reply({
+        content,
+        components,
+        flags: MessageFlags.Ephemeral,
+      });
+    } catch (error) {
+      Logger.error('Error showing effects menu', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Handle effects picked from the picker
+   * @param {Object} interaction - Discord select menu interaction
+   */
+  async handleSelect(interaction) {
+    try {
+      const effects = this.audioService.setEffects(
+        interaction.guild.id,
+        interaction.user.id,
+        interaction.values
+      );
+
+      Logger.info('Dashboard effects changed', {
+        ...Logger.getUserContext(interaction),
+        effects: effects.join(',') || 'none',
+      });
+
+      const { content, components } = UIBuilder.buildEffectsMenu(effects);
+      await interaction.update({ content, components });
+    } catch (error) {
+      Logger.error('Error in effects handler', Logger.getUserContext(interaction), error);
+      await interaction.reply({
+        content: `❌ An error occurred: ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => {});
+    }
+  }
+}
@@ -8,8 +8,9 @@ import { MessageFlags } from 'discord.js';
  * Follows Single Responsibility Principle
  */
 export class PaginationHandler {
-  constructor(soundRepository) {
+  constructor(soundRepository, guildSettingsRepository = null) {
     this.soundRepository = soundRepository;
+    this.guildSettingsRepository = guildSettingsRepository;
   }
 
   /**
@@ -48,11 +49,14 @@ export class PaginationHandler {
         mode,
       });
 
-      // Fetch sounds for this guild
+      // Fetch sounds and settings for this guild
       const sounds = await this.soundRepository.getSounds(interaction.guild.id);
+      const settings = this.guildSettingsRepository
+        ? await this.guildSettingsRepository.getSettings(interaction.guild.id)
+        : null;
 
       // Build the new page with the correct mode
-      const { embed, components } = UIBuilder.buildSoundsDashboard(sounds, newPage, mode);
+      const { embed, components } = UIBuilder.buildSoundsDashboard(sounds, newPage, mode, settings);
 
       // Update the message
       await interaction.update({
@@ -1,4 +1,10 @@
 import { MessageFlags } from 'discord.js';
+import { AudioEffects } from '../audio/AudioEffects.js';
+import { isModerator } from '../utils/permissions.js';
+import { FFmpeg } from '../../utils/ffmpeg.js';
+import { SoundLimits, SoundLimitError } from '../../utils/limits.js';
+import { SoundRepository } from '../../database/SoundRepository.js';
+import { SoundUnavailableError } from '../../myinstants/ScraperService.js';
 import { Logger } from '../../utils/logger.js';
 
 /**
@@ -6,10 +12,44 @@ import { Logger } from '../../utils/logger.js';
  * Follows Single Responsibility Principle - only handles audio playback logic
  */
 export class AudioService {
-  constructor(scraperService, voiceService, cacheService) {
+  constructor(scraperService, voiceService, cacheService, soundRepository, guildSettingsRepository) {
     this.scraperService = scraperService;
     this.voiceService = voiceService;
     this.cacheService = cacheService;
+    this.soundRepository = soundRepository;
+    this.guildSettingsRepository = guildSettingsRepository;
+    // Effects each user picked on the dashboard: { 'guildId:userId': ['speed', ...] }
+    this.userEffects = new Map();
+  }
+
+  /**
+   * Get the effects a user applies to sounds played from the dashboard
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - User ID
+   * @returns {Array<string>} - Effect names
+   */
+  getEffects(guildId, userId) {
+    return this.userEffects.get(`${guildId}:${userId}`) || [];
+  }
+
+  /**
+   * Set the effects a user applies to sounds played from the dashboard
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - User ID
+   * @param {Array<string>} effects - Effect names (empty to play sounds unchanged)
+   * @returns {Array<string>} - The effects that were kept, in application order
+   */
+  setEffects(guildId, userId, effects) {
+    const normalized = AudioEffects.normalize(effects);
+    const key = `${guildId}:${userId}`;
+
+    if (normalized.length > 0) {
+      this.userEffects.set(key, normalized);
+    } else {
+      this.userEffects.delete(key);
+    }
+
+    return normalized;
   }
 
   /**
@@ -41,14 +81,278 @@ export class AudioService {
     return voiceChannel;
   }
 
+  /**
+   * Encode audio to Ogg/Opus for playback, falling back to the original on failure
+   * @param {Buffer} audioBuffer - Original audio data (e.g. MP3)
+   * @param {string} soundTitle - Title of the sound (for logging)
+   * @returns {Promise<{audioBuffer: Buffer, format: string}>} - Format is 'opus' or 'arbitrary'
+   */
+  async encodeForPlayback(audioBuffer, soundTitle) {
+    try {
+      const opusBuffer = await FFmpeg.encodeOpus(audioBuffer);
+      Logger.debug('Encoded sound to Ogg/Opus', {
+        title: soundTitle,
+        originalSize: audioBuffer.length,
+        encodedSize: opusBuffer.length,
+      });
+      return { audioBuffer: opusBuffer, format: 'opus' };
+    } catch (error) {
+      Logger.warn('Failed to encode sound to Ogg/Opus, playing original', {
+        title: soundTitle,
+        error: error.message,
+      });
+      return { audioBuffer, format: 'arbitrary' };
+    }
+  }
+
+  /**
+   * Render an effect variant of a sound and cache it (non-blocking, failures are only logged)
+   * @param {Object} sound - Sound record
+   * @param {string} variant - Variant key (see AudioEffects.getVariantKey)
+   * @param {Buffer} audioBuffer - Audio data without effects
+   * @param {Array<string>} filters - Filter chain that produces the variant
+   * @private
+   */
+  cacheVariant(sound, variant, audioBuffer, filters) {
+    FFmpeg.encodeOpus(audioBuffer, filters)
+      .then((variantBuffer) => this.cacheService.setVariant(sound.sound_url, variant, variantBuffer))
+      .catch((error) => {
+        Logger.error('Failed to cache effect variant (non-critical)', {
+          soundUrl: sound.sound_url,
+          variant,
+        }, error);
+      });
+  }
+
+  /**
+   * Count a play of a saved sound (non-blocking, failures are only logged)
+   * @param {Object} sound - Sound record
+   * @private
+   */
+  recordPlay(sound) {
+    this.soundRepository.recordPlay(sound.guild_id, sound.id).catch((error) => {
+      Logger.error('Failed to record sound play (non-critical)', { soundId: sound.id }, error);
+    });
+  }
+
+  /**
+   * Load a saved sound for playback, enforcing the guild's limits
+   * Size and file type are checked against what was stored when the sound was added, so a
+   * tightened limit also applies to cached sounds. Sounds saved before their duration was
+   * measured are measured (and updated) here; those saved before their size and type were
+   * stored are checked when they are downloaded again.
+   * @param {Object} sound - Sound record
+   * @param {Array<string>} effects - Playback effects (see AudioEffects)
+   * @param {Object} context - Logging context
+   * @returns {Promise<{audioBuffer: Buffer, options: Object, cache: Function}>} - Audio and
+   *   VoiceService.playAudio options; call cache() once playback started to cache what was
+   *   downloaded, encoded or rendered (non-blocking)
+   * @throws {SoundLimitError} - If the sound breaks one of the guild's limits
+   * @throws {SoundUnavailableError} - If its audio file is gone (the link checker is asked to look at it)
+   */
+  async loadSound(sound, effects = [], context = {}) {
+    const limits = SoundLimits.fromSettings(await this.guildSettingsRepository.getSettings(sound.guild_id));
+
+    try {
+      if (sound.file_size != null) {
+        SoundLimits.checkSize(sound.file_size, limits);
+      }
+      if (sound.mime_type != null) {
+        SoundLimits.checkMimeType(sound.mime_type, limits);
+      }
+      if (sound.duration != null) {
+        SoundLimits.checkDuration(SoundLimits.getPlayedDuration(sound, sound.duration), limits);
+      }
+
+      const loaded = await this.fetchSound(sound, effects, context, limits);
+
+      if (sound.duration == null) {
+        const duration = await FFmpeg.probeDuration(loaded.audioBuffer).catch(() => null);
+
+        if (loaded.isVariant) {
+          // Already trimmed, and effects may have changed its length - don't store it
+          SoundLimits.checkDuration(duration, limits);
+        } else if (duration !== null) {
+          this.soundRepository.updateDuration(sound.guild_id, sound.id, duration).catch((error) => {
+            Logger.error('Failed to store sound duration (non-critical)', { soundId: sound.id }, error);
+          });
+          SoundLimits.checkDuration(SoundLimits.getPlayedDuration(sound, duration), limits);
+        }
+      }
+
+      return loaded;
+    } catch (error) {
+      if (error instanceof SoundLimitError) {
+        SoundLimits.logViolation(error, { ...context, soundId: sound.id, title: sound.title });
+      }
+      // Check it on the next run so a moved sound is repaired (or marked broken) soon
+      if (error instanceof SoundUnavailableError) {
+        this.soundRepository.requestLinkCheck(sound.guild_id, sound.id).catch((checkError) => {
+          Logger.error('Failed to request link check (non-critical)', { soundId: sound.id }, checkError);
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a saved sound's audio
+   * Tries a rendered effect variant first, then the encoded cache, then the original audio,
+   * and downloads on a cache miss
+   * @param {Object} sound - Sound record
+   * @param {Array<string>} effects - Playback effects (see AudioEffects)
+   * @param {Object} context - Logging context
+   * @param {Object} limits - Guild limits enforced on downloads (see SoundLimits)
+   * @returns {Promise<{audioBuffer: Buffer, options: Object, cache: Function, isVariant: boolean}>}
+   * @private
+   */
+  async fetchSound(sound, effects, context, limits) {
+    const playback = {
+      trimStart: sound.trim_start ?? null,
+      trimEnd: sound.trim_end ?? null,
+      effects,
+    };
+    const variant = AudioEffects.getVariantKey(playback);
+
+    let audioBuffer = null;
+    let format = 'opus';
+    let cacheFormat = null;
+    let variantCached = false;
+
+    if (variant) {
+      audioBuffer = await this.cacheService.getVariant(sound.sound_url, variant);
+      variantCached = audioBuffer !== null;
+    }
+
+    if (!variantCached) {
+      // Check Redis cache for the Ogg/Opus encoding (no transcoding needed)
+      audioBuffer = await this.cacheService.getOpus(sound.sound_url);
+    }
+
+    if (variantCached) {
+      Logger.info('Retrieved effect variant from cache', {
+        ...context,
+        title: sound.title,
+        variant,
+        bufferSize: audioBuffer.length,
+      });
+    } else if (audioBuffer) {
+      Logger.info('Retrieved encoded sound from cache', {
+        ...context,
+        title: sound.title,
+        bufferSize: audioBuffer.length,
+      });
+    } else if (SoundRepository.isUpload(sound.sound_url)) {
+      // Uploads are stored already encoded to Ogg/Opus
+      audioBuffer = await this.soundRepository.getUploadedAudio(sound.id);
+      if (!audioBuffer) {
+        throw new Error('The audio of this uploaded sound is missing');
+      }
+      cacheFormat = 'opus';
+      Logger.info('Loaded uploaded sound from storage', {
+        ...context,
+        title: sound.title,
+        bufferSize: audioBuffer.length,
+      });
+    } else {
+      let originalBuffer = await this.cacheService.getAudio(sound.sound_url);
+
+      if (originalBuffer) {
+        Logger.info('Retrieved sound from cache', {
+          ...context,
+          title: sound.title,
+          bufferSize: originalBuffer.length,
+        });
+      } else {
+        // Cache miss - download from the site it came from
+        ({ audioBuffer: originalBuffer } = await this.scraperService.downloadSound(sound.sound_url, limits));
+        cacheFormat = 'original';
+        Logger.info('Downloaded sound (cache miss)', {
+          ...context,
+          title: sound.title,
+          provider: sound.provider,
+          bufferSize: originalBuffer.length,
+        });
+      }
+
+      // Encode once so every later play skips transcoding
+      ({ audioBuffer, format } = await this.encodeForPlayback(originalBuffer, sound.title));
+      if (format === 'opus') {
+        cacheFormat = 'opus';
+      }
+    }
+
+    const cache = () => {
+      if (cacheFormat) {
+        const write = cacheFormat === 'opus'
+          ? this.cacheService.setOpus(sound.sound_url, audioBuffer)
+          : this.cacheService.setAudio(sound.sound_url, audioBuffer);
+
+        write.catch((error) => {
+          Logger.error('Failed to cache audio (non-critical)', { soundUrl: sound.sound_url }, error);
+        });
+      }
+
+      // Render the effect variant once so the next play with the same effects skips filtering
+      if (variant && !variantCached) {
+        this.cacheVariant(sound, variant, audioBuffer, AudioEffects.buildFilterChain(playback));
+      }
+    };
+
+    return {
+      audioBuffer,
+      options: {
+        format,
+        gainDb: sound.gain_db || 0,
+        volume: (sound.volume ?? 100) / 100,
+        // A cached variant is already trimmed and has its effects applied
+        ...(variantCached ? {} : playback),
+      },
+      cache,
+      isVariant: variantCached,
+    };
+  }
+
+  /**
+   * Play a saved sound without an interaction (e.g. join sounds, scheduled sounds)
+   * @param {Object} voiceChannel - Discord voice channel
+   * @param {Object} sound - Sound record
+   * @param {Object} options - Playback options
+   * @param {boolean} options.isModerator - Whether the sound counts as played by a voice moderator
+   * @param {Array<string>} options.effects - Playback effects (see AudioEffects)
+   * @param {Object} options.context - Logging context
+   * @returns {Promise<Object>} - Result of VoiceService.playAudio
+   */
+  async playSavedSound(voiceChannel, sound, { isModerator = false, effects = [], context = {} } = {}) {
+    const loaded = await this.loadSound(sound, effects, context);
+
+    const result = await this.voiceService.playAudio(
+      voiceChannel,
+      voiceChannel.guild.id,
+      voiceChannel.guild.voiceAdapterCreator,
+      loaded.audioBuffer,
+      sound.title,
+      { isModerator, ...loaded.options }
+    );
+
+    if (result.status === 'playing' || result.status === 'queued') {
+      loaded.cache();
+      this.recordPlay(sound);
+    }
+
+    return result;
+  }
+
   /**
    * Download and play a sound in a voice channel
+   * Effects the user picked on the dashboard are applied at playback unless others are given
    * @param {Object} interaction - Discord interaction
    * @param {number|Object} soundIdOrVoiceChannel - Sound ID or voice channel
    * @param {Object} sound - Optional sound object (when called with voiceChannel)
+   * @param {Array<string>|null} effects - Effects to apply instead of the user's dashboard effects
    * @returns {Promise<boolean>} - True if successful, false otherwise
    */
-  async playSound(interaction, soundIdOrVoiceChannel, sound = null) {
+  async playSound(interaction, soundIdOrVoiceChannel, sound = null, effects = null) {
     try {
       let voiceChannel;
 
@@ -69,9 +373,7 @@ export class AudioService {
         await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
         // Fetch sound from database by ID
-        const SoundRepository = (await import('../../database/SoundRepository.js')).SoundRepository;
-        const soundRepo = new SoundRepository();
-        sound = await soundRepo.getSoundById(interaction.guild.id, soundId);
+        sound = await this.soundRepository.getSoundById(interaction.guild.id, soundId);
 
         if (!sound) {
           await interaction.editReply('❌ Sound not found!');
@@ -82,30 +384,25 @@ export class AudioService {
         voiceChannel = soundIdOrVoiceChannel;
       }
 
-      // Try to get from cache first, download if cache miss
-      let audioBuffer;
-      let fromCache = false;
+      effects = effects ?? this.getEffects(interaction.guild.id, interaction.user.id);
+
+      let loaded;
       try {
-        // Check Redis cache first
-        audioBuffer = await this.cacheService.getAudio(sound.sound_url);
-
-        if (audioBuffer) {
-          fromCache = true;
-          Logger.info('Retrieved sound from cache', {
-            ...Logger.getUserContext(interaction),
-            title: sound.title,
-            bufferSize: audioBuffer.length,
-          });
-        } else {
-          // Cache miss - download from MyInstants
-          audioBuffer = await this.scraperService.downloadSound(sound.sound_url);
-          Logger.info('Downloaded sound from MyInstants (cache miss)', {
-            ...Logger.getUserContext(interaction),
-            title: sound.title,
-            bufferSize: audioBuffer.length,
-          });
-        }
+        loaded = await this.loadSound(sound, effects, Logger.getUserContext(interaction));
       } catch (error) {
+        if (error instanceof SoundLimitError) {
+          await interaction.editReply(`🚫 ${error.message}`);
+          return false;
+        }
+
+        if (error instanceof SoundUnavailableError) {
+          await interaction.editReply(
+            `⚠️ **${sound.title}** is no longer available on the site it came from. ` +
+            'If it only moved it will be repaired automatically soon; otherwise an admin can replace it.'
+          );
+          return false;
+        }
+
         Logger.error('Failed to get sound', Logger.getUserContext(interaction), error);
         await interaction.editReply(
           `❌ Failed to get sound: ${error.message}`
@@ -113,25 +410,46 @@ export class AudioService {
         return false;
       }
 
-      await interaction.editReply(`🔊 Playing: **${sound.title}**`);
-
-      // Play the audio
+      // Play the audio (or add it to the guild's queue)
       try {
-        await this.voiceService.playAudio(
+        const { status, position, channelId, movedFrom } = await this.voiceService.playAudio(
           voiceChannel,
           interaction.guild.id,
           interaction.guild.voiceAdapterCreator,
-          audioBuffer,
-          sound.title
+          loaded.audioBuffer,
+          sound.title,
+          {
+            isModerator: isModerator(interaction.member),
+            ...loaded.options,
+          }
         );
 
-        // Cache for next time AFTER playing starts (non-blocking)
-        if (!fromCache) {
-          this.cacheService.setAudio(sound.sound_url, audioBuffer).catch((error) => {
-            Logger.error('Failed to cache audio (non-critical)', { soundUrl: sound.sound_url }, error);
-          });
+        if (status === 'refused') {
+          await interaction.editReply(
+            `🚫 I'm already in <#${channelId}>. Join that channel to play sounds, or wait until I leave.`
+          );
+          return false;
         }
 
+        if (status === 'ignored') {
+          await interaction.editReply(
+            '🔇 Another sound is already playing. This server ignores new sounds until it finishes.'
+          );
+          return false;
+        }
+
+        const effectNote = effects.length > 0 ? ` with ${AudioEffects.describe(effects)}` : '';
+        const moveNote = movedFrom ? `\n↪️ Moved from <#${movedFrom}> to your channel` : '';
+        await interaction.editReply(
+          (status === 'queued'
+            ? `⏳ Queued: **${sound.title}**${effectNote} (position ${position})`
+            : `🔊 Playing: **${sound.title}**${effectNote}`) + moveNote
+        );
+
+        // Cache for next time AFTER playing starts (non-blocking)
+        loaded.cache();
+        this.recordPlay(sound);
+
         // Delete the status message after playing starts
         setTimeout(async () => {
           await interaction.deleteReply().catch(() => {});
@@ -148,8 +466,8 @@ export class AudioService {
           errorMessage += '\n\n💡 **Encryption Error**: The bot is missing required audio encryption libraries (sodium/libsodium-wrappers/tweetnacl).';
         } else if (error.message.includes('permission')) {
           errorMessage += '\n\n💡 Make sure I have **Connect** and **Speak** permissions in your voice channel.';
-        } else if (error.message.includes('EACCES')) {
-          errorMessage += '\n\n💡 **Permission Error**: The bot cannot write temporary files.';
+        } else if (error.message.includes('ffmpeg')) {
+          errorMessage += '\n\n💡 **Audio Error**: The bot could not decode this sound with ffmpeg.';
         }
 
         await interaction.editReply(errorMessage);
@@ -7,9 +7,10 @@ import { Logger } from '../../utils/logger.js';
  * Centralizes dashboard operations for better maintainability (SOLID)
  */
 export class DashboardService {
-  constructor(soundRepository, client) {
+  constructor(soundRepository, client, guildSettingsRepository = null) {
     this.soundRepository = soundRepository;
     this.client = client;
+    this.guildSettingsRepository = guildSettingsRepository;
     // Store active dashboard messages per guild: { guildId: [{ channelId, messageId, page }] }
     this.activeDashboards = new Map();
   }
@@ -18,12 +19,13 @@ export class DashboardService {
    * Display a sound dashboard in a channel
    * @param {Object} interaction - Discord interaction or message
    * @param {number} page - Page number to display (0-indexed)
-   * @param {string} mode - 'play' or 'delete'
+   * @param {string} mode - 'play', 'delete' or 'manage'
    */
   async displayDashboard(interaction, page = 0, mode = 'play') {
     try {
       const sounds = await this.soundRepository.getSounds(interaction.guild.id);
-      const { embed, components } = UIBuilder.buildSoundsDashboard(sounds, page, mode);
+      const settings = await this.getSettings(interaction.guild.id);
+      const { embed, components } = UIBuilder.buildSoundsDashboard(sounds, page, mode, settings);
 
       let message;
       if (interaction.replied || interaction.deferred) {
@@ -66,7 +68,7 @@ export class DashboardService {
    * @param {string} channelId - Channel ID
    * @param {string} messageId - Message ID
    * @param {number} page - Current page
-   * @param {string} mode - 'play' or 'delete'
+   * @param {string} mode - 'play', 'delete' or 'manage'
    */
   trackDashboard(guildId, channelId, messageId, page = 0, mode = 'play') {
     if (!this.activeDashboards.has(guildId)) {
@@ -111,8 +113,9 @@ export class DashboardService {
       dashboardCount: dashboards.length,
     });
 
-    // Fetch updated sounds
+    // Fetch updated sounds and settings
     const sounds = await this.soundRepository.getSounds(guildId);
+    const settings = await this.getSettings(guildId);
 
     // Refresh each dashboard
     const refreshPromises = dashboards.map(async (dashboard) => {
@@ -136,7 +139,12 @@ export class DashboardService {
         }
 
         // Build updated dashboard with mode
-        const { embed, components } = UIBuilder.buildSoundsDashboard(sounds, dashboard.page, dashboard.mode || 'play');
+        const { embed, components } = UIBuilder.buildSoundsDashboard(
+          sounds,
+          dashboard.page,
+          dashboard.mode || 'play',
+          settings
+        );
 
         // Update the message
         await message.edit({
@@ -184,6 +192,23 @@ export class DashboardService {
     }
   }
 
+  /**
+   * Get guild settings shown on dashboards (null if settings are unavailable)
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<Object|null>}
+   * @private
+   */
+  async getSettings(guildId) {
+    if (!this.guildSettingsRepository) {
+      return null;
+    }
+
+    return this.guildSettingsRepository.getSettings(guildId).catch((error) => {
+      Logger.error('Failed to load settings for dashboard', { guildId }, error);
+      return null;
+    });
+  }
+
   /**
    * Clear all tracked dashboards for a guild
    * @param {string} guildId - Guild ID
@@ -0,0 +1,216 @@
+import { config } from '../../config/config.js';
+import { SoundLimitError } from '../../utils/limits.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Service that runs bulk imports of sounds in the background
+ * One import per guild at a time; an import is first prepared (so it can be
+ * previewed), then started, and can be cancelled at any point.
+ * Follows Single Responsibility Principle - only handles import jobs
+ */
+export class ImportService {
+  constructor(soundRepository, soundLibraryService, dashboardService = null) {
+    this.soundRepository = soundRepository;
+    this.soundLibraryService = soundLibraryService;
+    this.dashboardService = dashboardService;
+    // Current import per guild: { guildId: job }
+    this.jobs = new Map();
+  }
+
+  /**
+   * Get a guild's current import
+   * @param {string} guildId - Guild ID
+   * @returns {Object|null} - Import job, or null if there is none
+   */
+  getJob(guildId) {
+    return this.jobs.get(guildId) || null;
+  }
+
+  /**
+   * Prepare an import: drop sounds the guild already has and cut the rest to its free slots
+   * Replaces a previous import that was never started.
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - User ID of the member importing
+   * @param {string} sourceUrl - Page the sounds were listed on
+   * @param {Array<Object>} sounds - Sounds from ScraperService.scrapeSoundList
+   * @returns {Promise<Object|null>} - Import job, or null if an import is already running
+   */
+  async prepare(guildId, userId, sourceUrl, sounds) {
+    if (this.getJob(guildId)?.status === 'running') {
+      return null;
+    }
+
+    const saved = new Set((await this.soundRepository.getSounds(guildId)).map((sound) => sound.sound_url));
+    const fresh = sounds.filter((sound) => !saved.has(sound.soundUrl));
+    const freeSlots = Math.max(0, config.bot.maxSoundsPerGuild - saved.size);
+
+    const job = {
+      guildId,
+      userId,
+      sourceUrl,
+      items: fresh.slice(0, freeSlots),
+      found: sounds.length,
+      duplicates: sounds.length - fresh.length,
+      overLimit: Math.max(0, fresh.length - freeSlots),
+      status: 'preview', // 'preview', 'running', 'finished' or 'cancelled'
+      processed: 0,
+      added: 0,
+      skipped: 0,
+      failed: [],
+      full: false,
+      cancelled: false,
+    };
+
+    this.jobs.set(guildId, job);
+    return job;
+  }
+
+  /**
+   * Start a prepared import in the background
+   * @param {string} guildId - Guild ID
+   * @param {Function} onProgress - Called with the job as it advances (throttled) and once it ends
+   * @returns {Object|null} - Import job, or null if there is no prepared import
+   */
+  start(guildId, onProgress) {
+    const job = this.getJob(guildId);
+    if (!job || job.status !== 'preview') {
+      return null;
+    }
+
+    job.status = 'running';
+    this.run(job, onProgress).catch((error) => {
+      Logger.error('Import job crashed', { guildId }, error);
+    });
+
+    return job;
+  }
+
+  /**
+   * Cancel a guild's import (a running import stops after the sound it is on)
+   * @param {string} guildId - Guild ID
+   * @returns {Object|null} - Import job, or null if there was nothing to cancel
+   */
+  cancel(guildId) {
+    const job = this.getJob(guildId);
+    if (!job || (job.status !== 'preview' && job.status !== 'running')) {
+      return null;
+    }
+
+    job.cancelled = true;
+    if (job.status === 'preview') {
+      job.status = 'cancelled';
+      this.jobs.delete(guildId);
+    }
+
+    Logger.info('Import cancelled', { guildId, processed: job.processed, added: job.added });
+    return job;
+  }
+
+  /**
+   * Download and save each sound of an import
+   * @param {Object} job - Import job
+   * @param {Function} onProgress - Progress callback
+   * @private
+   */
+  async run(job, onProgress) {
+    const context = { guildId: job.guildId, userId: job.userId, sourceUrl: job.sourceUrl };
+    let lastReport = 0;
+
+    Logger.info('Import started', { ...context, sounds: job.items.length });
+
+    try {
+      for (const item of job.items) {
+        if (job.cancelled || job.full) {
+          break;
+        }
+
+        await this.importSound(job, item, context);
+        if (!job.full) {
+          job.processed++;
+        }
+
+        if (Date.now() - lastReport >= config.bot.importProgressInterval) {
+          lastReport = Date.now();
+          await Promise.resolve(onProgress(job)).catch(() => {});
+        }
+
+        // Go easy on MyInstants
+        await new Promise((resolve) => setTimeout(resolve, config.bot.importDelay));
+      }
+    } finally {
+      job.status = job.cancelled ? 'cancelled' : 'finished';
+      this.jobs.delete(job.guildId);
+    }
+
+    if (job.added > 0 && this.dashboardService) {
+      await this.dashboardService.refreshDashboards(job.guildId).catch((error) => {
+        Logger.error('Failed to refresh dashboards after import', context, error);
+      });
+    }
+
+    Logger.info('Import ended', {
+      ...context,
+      status: job.status,
+      added: job.added,
+      skipped: job.skipped,
+      failed: job.failed.length,
+    });
+
+    await Promise.resolve(onProgress(job)).catch(() => {});
+  }
+
+  /**
+   * Import one sound, counting it as added, skipped or failed (or flagging the guild as full)
+   * @param {Object} job - Import job
+   * @param {Object} item - Sound from the list
+   * @param {Object} context - Logging context
+   * @private
+   */
+  async importSound(job, item, context) {
+    try {
+      // The guild may have gained sounds since the preview; never evict old ones for an import
+      if (await this.soundRepository.getCount(job.guildId) >= config.bot.maxSoundsPerGuild) {
+        job.full = true;
+        return;
+      }
+
+      if (await this.soundRepository.isDuplicate(job.guildId, item.soundUrl)) {
+        job.skipped++;
+        return;
+      }
+
+      const { audioBuffer, mimeType, duration } = await this.soundLibraryService.download(
+        job.guildId,
+        item.soundUrl,
+        { ...context, title: item.title }
+      );
+
+      const savedSound = await this.soundLibraryService.save(
+        job.guildId,
+        {
+          soundUrl: item.soundUrl,
+          title: item.title,
+          originalUrl: item.pageUrl,
+          audioBuffer,
+          mimeType,
+          duration,
+          addedBy: job.userId,
+          provider: 'myinstants',
+        },
+        context,
+        { refreshDashboards: false }
+      );
+
+      if (savedSound) {
+        job.added++;
+      } else {
+        job.skipped++;
+      }
+    } catch (error) {
+      if (!(error instanceof SoundLimitError)) {
+        Logger.error('Failed to import sound', { ...context, title: item.title }, error);
+      }
+      job.failed.push({ title: item.title, reason: error.message });
+    }
+  }
+}
@@ -0,0 +1,87 @@
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Service that plays members' personal sounds when they join or leave voice channels
+ * Follows Single Responsibility Principle - only reacts to voice state changes
+ */
+export class JoinSoundService {
+  constructor(memberSoundRepository, guildSettingsRepository, audioService) {
+    this.memberSoundRepository = memberSoundRepository;
+    this.guildSettingsRepository = guildSettingsRepository;
+    this.audioService = audioService;
+    // Last time a member's sound played: { 'guildId:userId': timestamp }
+    this.lastPlayed = new Map();
+  }
+
+  /**
+   * Handle a voiceStateUpdate event
+   * Moving between channels counts as joining the new one.
+   * @param {Object} oldState - Voice state before the change
+   * @param {Object} newState - Voice state after the change
+   */
+  async handleVoiceStateUpdate(oldState, newState) {
+    const member = newState.member || oldState.member;
+    if (!member || member.user.bot || oldState.channelId === newState.channelId) {
+      return;
+    }
+
+    const event = newState.channelId ? 'join' : 'leave';
+    const channel = event === 'join' ? newState.channel : oldState.channel;
+    const guildId = newState.guild.id;
+    const context = { guildId, userId: member.id, username: member.user.tag, event };
+
+    try {
+      const settings = await this.guildSettingsRepository.getSettings(guildId);
+      if (!(event === 'join' ? settings.join_sounds : settings.leave_sounds)) {
+        return;
+      }
+
+      if (this.isOnCooldown(guildId, member.id, settings.join_sound_cooldown)) {
+        Logger.debug('Member sound on cooldown', context);
+        return;
+      }
+
+      const sound = await this.memberSoundRepository.getSound(guildId, member.id, event);
+      if (!sound || !channel || !this.canPlayIn(channel)) {
+        return;
+      }
+
+      this.lastPlayed.set(`${guildId}:${member.id}`, Date.now());
+
+      const { status } = await this.audioService.playSavedSound(channel, sound, { context });
+
+      Logger.info('Played member sound', { ...context, title: sound.title, status });
+    } catch (error) {
+      Logger.error('Failed to play member sound', context, error);
+    }
+  }
+
+  /**
+   * Check whether a member's last sound played too recently
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - User ID
+   * @param {number} cooldown - Cooldown in seconds
+   * @returns {boolean}
+   * @private
+   */
+  isOnCooldown(guildId, userId, cooldown) {
+    const lastPlayed = this.lastPlayed.get(`${guildId}:${userId}`);
+    return lastPlayed !== undefined && Date.now() - lastPlayed < cooldown * 1000;
+  }
+
+  /**
+   * Check that someone is there to hear the sound and the bot may speak in the channel
+   * @param {Object} channel - Discord voice channel
+   * @returns {boolean}
+   * @private
+   */
+  canPlayIn(channel) {
+    const listeners = channel.members.filter((member) => !member.user.bot);
+    if (listeners.size === 0) {
+      return false;
+    }
+
+    const permissions = channel.permissionsFor(channel.guild.members.me);
+    return Boolean(permissions?.has('Connect') && permissions.has('Speak'));
+  }
+}
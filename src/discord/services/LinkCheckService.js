@@ -0,0 +1,261 @@
+import { PermissionFlagsBits } from 'discord.js';
+import { UIBuilder } from '../builders/UIBuilder.js';
+import { config } from '../../config/config.js';
+import { httpClient as sharedHttpClient } from '../../utils/http.js';
+import { UrlPolicy } from '../../utils/urls.js';
+import { Logger } from '../../utils/logger.js';
+
+// Statuses that mean a file is gone for good (anything else may be a hiccup)
+const GONE_STATUSES = [404, 410];
+
+/**
+ * Service that finds saved sounds whose audio file has vanished and repairs them
+ * Each run HEAD-checks the links that haven't been checked for a while. A dead link
+ * is re-scraped from the page the sound was saved from, which recovers sounds
+ * that moved; the rest are marked broken (⚠️ on dashboards) until they come back.
+ * Guild admins get a summary of what broke and what was repaired.
+ * Follows Single Responsibility Principle - only keeps sound links working
+ */
+export class LinkCheckService {
+  constructor(
+    soundRepository,
+    providerRegistry,
+    guildSettingsRepository,
+    dashboardService,
+    client,
+    httpClient = sharedHttpClient
+  ) {
+    this.soundRepository = soundRepository;
+    this.providerRegistry = providerRegistry;
+    this.guildSettingsRepository = guildSettingsRepository;
+    this.dashboardService = dashboardService;
+    this.client = client;
+    this.httpClient = httpClient;
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Start checking sound links periodically
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), config.bot.linkCheckInterval);
+    this.tick();
+
+    Logger.info('Link checker started', {
+      intervalMinutes: config.bot.linkCheckInterval / 60000,
+      batchSize: config.bot.linkCheckBatchSize,
+    });
+  }
+
+  /**
+   * Stop checking sound links
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check the links that are due, then refresh dashboards and notify admins of the guilds that changed
+   * @private
+   */
+  async tick() {
+    // A slow run must not overlap with the next tick
+    if (this.checking) {
+      return;
+    }
+    this.checking = true;
+
+    try {
+      const checkedBefore = new Date(Date.now() - config.bot.linkRecheckAfter);
+      const sounds = await this.soundRepository.getSoundsToCheck(checkedBefore, config.bot.linkCheckBatchSize);
+
+      // Changes per guild: { broken: [sound], repaired: [sound], restored: [sound] }
+      const changes = new Map();
+
+      for (const sound of sounds) {
+        const outcome = await this.check(sound);
+
+        if (outcome !== 'ok') {
+          if (!changes.has(sound.guild_id)) {
+            changes.set(sound.guild_id, { broken: [], repaired: [], restored: [] });
+          }
+          changes.get(sound.guild_id)[outcome].push(sound);
+        }
+      }
+
+      for (const [guildId, summary] of changes) {
+        await this.report(guildId, summary);
+      }
+
+      Logger.info('Link check finished', { checked: sounds.length, guildsChanged: changes.size });
+    } catch (error) {
+      Logger.error('Link check failed', {}, error);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Check one sound's link, repairing or marking it as needed
+   * @param {Object} sound - Sound record
+   * @returns {Promise<string>} - 'ok' (nothing changed), 'broken' (newly broken),
+   *   'repaired' (moved to a new URL) or 'restored' (a broken link works again)
+   */
+  async check(sound) {
+    const context = { guildId: sound.guild_id, soundId: sound.id, title: sound.title };
+
+    try {
+      const alive = await this.isAlive(sound.sound_url);
+
+      if (alive === null) {
+        // Couldn't tell (site down, HEAD not supported...) - try again on a later run
+        await this.soundRepository.updateLinkStatus(sound.guild_id, sound.id, null);
+        return 'ok';
+      }
+
+      if (alive) {
+        await this.soundRepository.updateLinkStatus(sound.guild_id, sound.id, false);
+        if (sound.broken_at) {
+          Logger.info('Broken sound link works again', context);
+          return 'restored';
+        }
+        return 'ok';
+      }
+
+      const soundUrl = await this.recover(sound);
+      if (soundUrl) {
+        await this.soundRepository.updateSoundUrl(sound.guild_id, sound.id, soundUrl);
+        Logger.info('Repaired moved sound', { ...context, oldUrl: sound.sound_url, soundUrl });
+        return 'repaired';
+      }
+
+      await this.soundRepository.updateLinkStatus(sound.guild_id, sound.id, true);
+      if (!sound.broken_at) {
+        Logger.warn('Sound link is broken', { ...context, soundUrl: sound.sound_url });
+        return 'broken';
+      }
+      return 'ok';
+    } catch (error) {
+      Logger.error('Failed to check sound link', context, error);
+      return 'ok';
+    }
+  }
+
+  /**
+   * Check whether an audio file is still there
+   * @param {string} url - Direct URL to the audio file
+   * @returns {Promise<boolean|null>} - null if the answer was inconclusive
+   * @private
+   */
+  async isAlive(url) {
+    try {
+      await this.httpClient.head(url, { retries: 1 });
+      return true;
+    } catch (error) {
+      // A link that now leads somewhere the bot must not fetch is as good as dead
+      if (UrlPolicy.findUnsafe(error) || GONE_STATUSES.includes(error.response?.status)) {
+        return false;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Find the new URL of a sound's audio file by re-scraping the page it was saved from
+   * @param {Object} sound - Sound record
+   * @returns {Promise<string|null>} - Working URL different from the current one, or null
+   * @private
+   */
+  async recover(sound) {
+    const context = { guildId: sound.guild_id, soundId: sound.id, pageUrl: sound.original_url };
+
+    try {
+      const { soundUrl } = await this.providerRegistry.resolve(sound.original_url);
+
+      if (soundUrl === sound.sound_url || !(await this.isAlive(soundUrl))) {
+        return null;
+      }
+
+      // The guild may already have saved the sound at its new location
+      if (await this.soundRepository.isDuplicate(sound.guild_id, soundUrl)) {
+        Logger.info('Moved sound is already saved at its new URL', { ...context, soundUrl });
+        return null;
+      }
+
+      return soundUrl;
+    } catch (error) {
+      Logger.warn('Failed to recover moved sound', { ...context, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Refresh a guild's dashboards and send its admins a summary of the changes
+   * @param {string} guildId - Guild ID
+   * @param {Object} summary - Sounds that broke, were repaired or were restored
+   * @private
+   */
+  async report(guildId, summary) {
+    try {
+      await this.dashboardService.refreshDashboards(guildId);
+
+      const settings = await this.guildSettingsRepository.getSettings(guildId);
+      if (!settings.link_alerts) {
+        return;
+      }
+
+      const channel = this.getAlertChannel(guildId, settings.alert_channel_id);
+      if (!channel) {
+        Logger.info('No channel to send link check summary to', { guildId });
+        return;
+      }
+
+      await channel.send({ embeds: [UIBuilder.buildLinkCheckSummary(summary)] });
+
+      Logger.info('Sent link check summary', {
+        guildId,
+        channelId: channel.id,
+        broken: summary.broken.length,
+        repaired: summary.repaired.length,
+        restored: summary.restored.length,
+      });
+    } catch (error) {
+      Logger.error('Failed to report link check results', { guildId }, error);
+    }
+  }
+
+  /**
+   * Get the channel a guild's admins read alerts in: the one set with /settings alerts,
+   * else the guild's system channel
+   * @param {string} guildId - Guild ID
+   * @param {string|null} channelId - Configured alert channel ID
+   * @returns {Object|null} - Text channel the bot can post in, or null
+   * @private
+   */
+  getAlertChannel(guildId, channelId) {
+    const guild = this.client.guilds.cache.get(guildId);
+    if (!guild) {
+      return null;
+    }
+
+    const channel = channelId ? guild.channels.cache.get(channelId) : guild.systemChannel;
+    if (!channel?.isTextBased()) {
+      return null;
+    }
+
+    const permissions = channel.permissionsFor(this.client.user);
+    if (!permissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages])) {
+      return null;
+    }
+
+    return channel;
+  }
+}
@@ -0,0 +1,173 @@
+import { config } from '../../config/config.js';
+import { CronExpression } from '../../utils/cron.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Service that plays scheduled sounds when they are due
+ * Schedules live in Postgres, so they survive restarts; runs missed by more than
+ * config.bot.maxScheduleDelay (e.g. while the bot was offline) are skipped.
+ * Follows Single Responsibility Principle - only triggers scheduled playback
+ */
+export class SchedulerService {
+  constructor(scheduleRepository, soundRepository, guildSettingsRepository, audioService, client) {
+    this.scheduleRepository = scheduleRepository;
+    this.soundRepository = soundRepository;
+    this.guildSettingsRepository = guildSettingsRepository;
+    this.audioService = audioService;
+    this.client = client;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start checking for due schedules
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), config.bot.schedulerInterval);
+    this.tick();
+
+    Logger.info('Scheduler started', {
+      intervalSeconds: config.bot.schedulerInterval / 1000,
+    });
+  }
+
+  /**
+   * Stop checking for due schedules
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get the next run of a cron expression in a guild's timezone
+   * @param {string} cronExpression - Cron expression
+   * @param {string} timeZone - IANA timezone name
+   * @param {Date} after - Moment to search from (default: now)
+   * @returns {Date|null} - Next run, or null if the expression never matches
+   */
+  static getNextRun(cronExpression, timeZone, after = new Date()) {
+    return new CronExpression(cronExpression).next(timeZone, after);
+  }
+
+  /**
+   * Recalculate the next run of a guild's recurring schedules (e.g. after a timezone change)
+   * @param {string} guildId - Guild ID
+   * @param {string} timeZone - IANA timezone name
+   * @returns {Promise<number>} - Number of schedules updated
+   */
+  async rescheduleGuild(guildId, timeZone) {
+    const schedules = await this.scheduleRepository.getSchedules(guildId);
+    let updated = 0;
+
+    for (const schedule of schedules.filter((item) => item.cron_expression)) {
+      const nextRunAt = SchedulerService.getNextRun(schedule.cron_expression, timeZone);
+      if (nextRunAt) {
+        await this.scheduleRepository.updateNextRun(schedule.id, nextRunAt);
+        updated++;
+      }
+    }
+
+    Logger.info('Rescheduled guild schedules', { guildId, timeZone, updated });
+    return updated;
+  }
+
+  /**
+   * Run every due schedule
+   * @private
+   */
+  async tick() {
+    // A slow run must not overlap with the next tick
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const now = new Date();
+      const due = await this.scheduleRepository.getDueSchedules(now);
+
+      for (const schedule of due) {
+        await this.run(schedule, now);
+      }
+    } catch (error) {
+      Logger.error('Scheduler tick failed', {}, error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Play a due schedule and move it on to its next run
+   * @param {Object} schedule - Schedule record
+   * @param {Date} now - Current time
+   * @private
+   */
+  async run(schedule, now) {
+    const context = {
+      guildId: schedule.guild_id,
+      scheduleId: schedule.id,
+      channelId: schedule.channel_id,
+    };
+
+    try {
+      // Advance first so a failing run isn't retried on every tick
+      await this.advance(schedule, now);
+
+      if (now.getTime() - new Date(schedule.next_run_at).getTime() > config.bot.maxScheduleDelay) {
+        Logger.warn('Skipped missed scheduled sound', { ...context, dueAt: schedule.next_run_at });
+        return;
+      }
+
+      const channel = this.client.guilds.cache.get(schedule.guild_id)?.channels.cache.get(schedule.channel_id);
+      if (!channel) {
+        Logger.warn('Skipped scheduled sound, channel not found', context);
+        return;
+      }
+
+      if (channel.members.filter((member) => !member.user.bot).size === 0) {
+        Logger.info('Skipped scheduled sound, channel is empty', context);
+        return;
+      }
+
+      const sound = await this.soundRepository.getSoundById(schedule.guild_id, schedule.sound_id);
+      if (!sound) {
+        return;
+      }
+
+      const { status } = await this.audioService.playSavedSound(channel, sound, { context });
+
+      Logger.info('Played scheduled sound', { ...context, title: sound.title, status });
+    } catch (error) {
+      Logger.error('Failed to run scheduled sound', context, error);
+    }
+  }
+
+  /**
+   * Move a recurring schedule on to its next run, or delete a one-off schedule
+   * @param {Object} schedule - Schedule record
+   * @param {Date} now - Current time
+   * @private
+   */
+  async advance(schedule, now) {
+    if (!schedule.cron_expression) {
+      await this.scheduleRepository.deleteSchedule(schedule.guild_id, schedule.id);
+      return;
+    }
+
+    const { timezone } = await this.guildSettingsRepository.getSettings(schedule.guild_id);
+    const nextRunAt = SchedulerService.getNextRun(schedule.cron_expression, timezone, now);
+
+    if (nextRunAt) {
+      await this.scheduleRepository.updateNextRun(schedule.id, nextRunAt, now);
+    } else {
+      await this.scheduleRepository.deleteSchedule(schedule.guild_id, schedule.id);
+    }
+  }
+}
@@ -0,0 +1,180 @@
+import { randomUUID } from 'crypto';
+import { SoundRepository } from '../../database/SoundRepository.js';
+import { FFmpeg } from '../../utils/ffmpeg.js';
+import { SoundLimits, SoundLimitError } from '../../utils/limits.js';
+import { Logger } from '../../utils/logger.js';
+
+/**
+ * Service that brings new sounds into a guild's collection
+ * Downloads within the guild's limits, strips silence, encodes to Ogg/Opus (cached for
+ * playback), saves and refreshes dashboards.
+ * Follows Single Responsibility Principle - only handles adding sounds
+ */
+export class SoundLibraryService {
+  constructor(scraperService, soundRepository, guildSettingsRepository, dashboardService = null, cacheService = null) {
+    this.scraperService = scraperService;
+    this.soundRepository = soundRepository;
+    this.guildSettingsRepository = guildSettingsRepository;
+    this.dashboardService = dashboardService;
+    this.cacheService = cacheService;
+  }
+
+  /**
+   * Get a guild's limits on sound size, duration and file type
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<Object>} - Limits (see SoundLimits.fromSettings)
+   */
+  async getLimits(guildId) {
+    return SoundLimits.fromSettings(await this.guildSettingsRepository.getSettings(guildId));
+  }
+
+  /**
+   * Download a sound within the guild's limits and measure how long it plays
+   * @param {string} guildId - Guild ID
+   * @param {string} soundUrl - Direct URL to the audio file
+   * @param {Object} context - Logging context
+   * @returns {Promise<{audioBuffer: Buffer, mimeType: string|null, duration: number|null}>} - MIME type it
+   *   was served as, and duration in seconds (null if unknown)
+   * @throws {SoundLimitError} - If the sound breaks one of the limits (already logged)
+   */
+  async download(guildId, soundUrl, context = {}) {
+    const limits = await this.getLimits(guildId);
+
+    try {
+      const { audioBuffer, mimeType } = await this.scraperService.downloadSound(soundUrl, limits);
+      const duration = await FFmpeg.probeDuration(audioBuffer).catch(() => null);
+      SoundLimits.checkDuration(duration, limits);
+
+      return { audioBuffer, mimeType, duration };
+    } catch (error) {
+      if (error instanceof SoundLimitError) {
+        SoundLimits.logViolation(error, { ...context, soundUrl });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Encode a sound to Ogg/Opus once and cache it, so no play needs to transcode it
+   * (the original is cached instead if it can't be encoded)
+   * @param {string} soundUrl - The sound's sound_url (cache key)
+   * @param {Buffer} audioBuffer - Original audio data
+   * @param {Object} context - Logging context
+   * @returns {Promise<{audioBuffer: Buffer, format: string}>} - Format is 'opus' or 'arbitrary'
+   */
+  async encode(soundUrl, audioBuffer, context = {}) {
+    let encoded;
+    try {
+      encoded = { audioBuffer: await FFmpeg.encodeOpus(audioBuffer), format: 'opus' };
+      Logger.debug('Encoded sound to Ogg/Opus', {
+        ...context,
+        originalSize: audioBuffer.length,
+        encodedSize: encoded.audioBuffer.length,
+      });
+    } catch (error) {
+      Logger.warn('Failed to encode sound to Ogg/Opus, keeping original', { ...context, error: error.message });
+      encoded = { audioBuffer, format: 'arbitrary' };
+    }
+
+    this.cache(soundUrl, encoded);
+    return encoded;
+  }
+
+  /**
+   * Cache a sound's audio for playback (non-blocking, failures are only logged)
+   * @param {string} soundUrl - The sound's sound_url (cache key)
+   * @param {{audioBuffer: Buffer, format: string}} encoded - Audio and its format ('opus' or 'arbitrary')
+   * @private
+   */
+  cache(soundUrl, { audioBuffer, format }) {
+    if (!this.cacheService) {
+      return;
+    }
+
+    const write = format === 'opus'
+      ? this.cacheService.setOpus(soundUrl, audioBuffer)
+      : this.cacheService.setAudio(soundUrl, audioBuffer);
+
+    write.catch((error) => {
+      Logger.error('Failed to cache audio (non-critical)', { soundUrl }, error);
+    });
+  }
+
+  /**
+   * Build the sound_url of a new uploaded sound
+   * @param {string} guildId - Guild ID
+   * @returns {string}
+   */
+  static createUploadUrl(guildId) {
+    return `${SoundRepository.UPLOAD_URL_PREFIX}${guildId}/${randomUUID()}`;
+  }
+
+  /**
+   * Save a downloaded sound to the guild, trimming leading/trailing silence and
+   * encoding it to Ogg/Opus for playback (see encode)
+   * @param {string} guildId - Guild ID
+   * @param {Object} soundData - Sound information
+   * @param {string} soundData.soundUrl - Direct URL to the audio file
+   * @param {string} soundData.title - Title of the sound
+   * @param {string} soundData.originalUrl - Page the sound was found on
+   * @param {Buffer} soundData.audioBuffer - Original audio data
+   * @param {number|null} soundData.duration - Untrimmed duration (seconds)
+   * @param {string} soundData.addedBy - User ID of the member who added it
+   * @param {string} soundData.provider - Name of the provider it came from, or 'upload'
+   * @param {string} soundData.description - Description from its page (optional, likewise tags, uploader,
+   *   thumbnailUrl and color; see ProviderRegistry.resolve)
+   * @param {Buffer} soundData.uploadedAudio - Audio to store for an uploaded sound (Ogg/Opus, optional)
+   * @param {Object} soundData.encoded - Result of encode() when the caller already encoded it (optional)
+   * @param {Object} context - Logging context
+   * @param {Object} options - Save options
+   * @param {boolean} options.refreshDashboards - Refresh dashboards right away (bulk imports refresh once at the end)
+   * @returns {Promise<Object|null>} - Created sound record, or null if it was already saved
+   */
+  async save(guildId, soundData, context = {}, { refreshDashboards = true } = {}) {
+    // Strip leading/trailing silence by saving trim offsets
+    const silence = await FFmpeg.detectSilence(soundData.audioBuffer).catch((error) => {
+      Logger.warn('Failed to detect silence', {
+        ...context,
+        title: soundData.title,
+        error: error.message,
+      });
+      return { start: null, end: null };
+    });
+
+    const savedSound = await this.soundRepository.addSound(guildId, {
+      ...soundData,
+      trimStart: silence.start,
+      trimEnd: silence.end,
+    });
+
+    // Uploaded sounds can't be downloaded again, so a sound without its audio must not stay
+    if (savedSound && soundData.uploadedAudio) {
+      try {
+        await this.soundRepository.saveUploadedAudio(savedSound.id, soundData.uploadedAudio);
+      } catch (error) {
+        await this.soundRepository.deleteSound(guildId, savedSound.id).catch(() => {});
+        throw error;
+      }
+    }
+
+    // Encode once now, so even its first play skips transcoding
+    if (savedSound && !soundData.encoded) {
+      if (soundData.uploadedAudio) {
+        this.cache(soundData.soundUrl, { audioBuffer: soundData.uploadedAudio, format: 'opus' });
+      } else {
+        await this.encode(soundData.soundUrl, soundData.audioBuffer, { ...context, title: soundData.title });
+      }
+    }
+
+    // Refresh all active dashboards for this guild
+    if (savedSound && refreshDashboards && this.dashboardService) {
+      await this.dashboardService.refreshDashboards(guildId);
+      Logger.info('Dashboards refreshed after adding new sound', {
+        ...context,
+        title: soundData.title,
+      });
+    }
+
+    return savedSound;
+  }
+}
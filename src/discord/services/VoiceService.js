@@ -3,159 +3,659 @@ import {
   createAudioPlayer,
   createAudioResource,
   AudioPlayerStatus,
+  StreamType,
   VoiceConnectionStatus,
   entersState,
 } from '@discordjs/voice';
-import { createWriteStream } from 'fs';
-import { unlink } from 'fs/promises';
+import { readdir, unlink } from 'fs/promises';
+import { Readable } from 'stream';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AudioEffects } from '../audio/AudioEffects.js';
+import { AudioMixer } from '../audio/AudioMixer.js';
 import { config } from '../../config/config.js';
+import { FFmpeg } from '../../utils/ffmpeg.js';
 import { Logger } from '../../utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Directory older versions wrote temp_<timestamp>.mp3 files to before playback
+const LEGACY_TEMP_DIR = path.join(__dirname, '..', '..', '..', 'temp');
+
 /**
  * Service for managing voice connections and audio playback
  * Follows Single Responsibility Principle - only handles voice/audio operations
  */
 export class VoiceService {
-  constructor() {
+  constructor(guildSettingsRepository = null) {
+    this.guildSettingsRepository = guildSettingsRepository;
     // Store active voice connections per guild
     this.connections = new Map();
     // Store disconnect timers for auto-disconnect
     this.disconnectTimers = new Map();
+    // Store pending sounds per guild: { guildId: [{ audioBuffer, soundTitle, format, volume, filters, mix }] }
+    this.queues = new Map();
+    // Store what is currently playing per guild: { guildId: { soundTitle, mixer } }
+    this.nowPlaying = new Map();
   }
 
   /**
-   * Play audio in a voice channel
+   * Play audio in a voice channel, applying the guild's interrupt policy when busy:
+   * 'interrupt' replaces the current sound, 'queue' appends it, 'ignore' rejects it.
+   * In mixing mode sounds are layered on top of each other and the guild only
+   * counts as busy once config.bot.maxMixLayers sounds are playing at once.
+   * If the bot is already in another channel of the guild, the guild's channel policy
+   * decides whether it moves to the requester's channel or refuses the sound.
    * @param {Object} voiceChannel - Discord voice channel
    * @param {string} guildId - Guild ID
    * @param {Object} voiceAdapterCreator - Voice adapter creator
    * @param {Buffer} audioBuffer - Audio data buffer
    * @param {string} soundTitle - Title of the sound
-   * @returns {Promise<void>}
+   * @param {Object} options - Playback options
+   * @param {boolean} options.isModerator - Whether the requester is a voice moderator
+   * @param {string} options.format - 'opus' for pre-encoded Ogg/Opus, 'arbitrary' (default) for anything ffmpeg reads
+   * @param {number} options.volume - Per-sound volume multiplier (1 = unchanged), combined with the guild's master volume
+   * @param {number} options.gainDb - Loudness normalization gain in dB (0 = unchanged)
+   * @param {number|null} options.trimStart - Offset to start playing from (seconds)
+   * @param {number|null} options.trimEnd - Offset to stop playing at (seconds)
+   * @param {Array<string>} options.effects - Playback effects (see AudioEffects), applied after trimming
+   * @returns {Promise<{status: string, position: number, channelId: string|null, movedFrom: string|null}>}
+   *   Status is 'playing', 'queued', 'ignored' or 'refused' (the bot stays in channelId);
+   *   movedFrom is the channel the bot left to follow the requester
    */
-  async playAudio(voiceChannel, guildId, voiceAdapterCreator, audioBuffer, soundTitle) {
-    let tempFile;
-
+  async playAudio(voiceChannel, guildId, voiceAdapterCreator, audioBuffer, soundTitle, options = {}) {
     try {
-      // Save to temporary file
-      tempFile = path.join(__dirname, '..', '..', '..', 'temp', `temp_${Date.now()}.mp3`);
-      const writeStream = createWriteStream(tempFile);
-      writeStream.write(audioBuffer);
-      writeStream.end();
-
-      await new Promise((resolve, reject) => {
-        writeStream.on('finish', resolve);
-        writeStream.on('error', reject);
-      });
+      const { policy, mixMode, masterVolume, channelPolicy } = await this.getPlaybackSettings(
+        guildId,
+        options.isModerator
+      );
+      const item = {
+        audioBuffer,
+        soundTitle,
+        format: options.format || 'arbitrary',
+        volume: (options.volume ?? 1) * masterVolume * Math.pow(10, (options.gainDb || 0) / 20),
+        filters: AudioEffects.buildFilterChain({
+          trimStart: options.trimStart ?? null,
+          trimEnd: options.trimEnd ?? null,
+          effects: options.effects || [],
+        }),
+        mix: mixMode,
+      };
 
-      // Check if we already have an active connection
-      let connectionData = this.connections.get(guildId);
-      let connection;
-      let player;
-
-      if (
-        connectionData &&
-        connectionData.connection.state.status !== VoiceConnectionStatus.Destroyed
-      ) {
-        // Reuse existing connection
-        connection = connectionData.connection;
-        player = connectionData.player;
-        Logger.logVoice('Reusing existing voice connection', guildId, {
+      // Reject before joining or moving so a refused or ignored click has no side effects
+      const currentChannelId = this.getChannelId(guildId);
+      const move = currentChannelId !== null && currentChannelId !== voiceChannel.id;
+      if (move && !this.canMove(voiceChannel.guild, currentChannelId, channelPolicy)) {
+        Logger.logVoice('Refused to leave current voice channel', guildId, {
           soundTitle,
+          channelPolicy,
+          currentChannelId,
+          requestedChannelId: voiceChannel.id,
         });
-      } else {
-        // Join voice channel
-        connection = joinVoiceChannel({
-          channelId: voiceChannel.id,
-          guildId: guildId,
-          adapterCreator: voiceAdapterCreator,
-        });
+        return { status: 'refused', position: 0, channelId: currentChannelId, movedFrom: null };
+      }
 
-        // Add error listener to connection
-        connection.on('error', (error) => {
-          Logger.error('Voice connection error', { guildId }, error);
-        });
+      if (policy === 'ignore' && this.isBusy(guildId, mixMode)) {
+        Logger.logVoice('Ignored sound while busy', guildId, { soundTitle });
+        return { status: 'ignored', position: 0, channelId: currentChannelId, movedFrom: null };
+      }
+
+      const { player } = await this.getOrCreateConnection(
+        voiceChannel,
+        guildId,
+        voiceAdapterCreator,
+        soundTitle
+      );
+
+      if (move) {
+        await this.moveConnection(guildId, voiceChannel);
+      }
+
+      const result = await this.enqueue(guildId, player, item, policy);
+      return {
+        ...result,
+        channelId: voiceChannel.id,
+        movedFrom: move ? currentChannelId : null,
+      };
+    } catch (error) {
+      // Log detailed error information
+      Logger.error('Error in playAudio', { guildId }, error);
 
-        connection.on(VoiceConnectionStatus.Disconnected, async () => {
-          Logger.logVoice('Voice connection disconnected', guildId);
-          try {
-            await Promise.race([
-              entersState(connection, VoiceConnectionStatus.Signalling, 5_000),
-              entersState(connection, VoiceConnectionStatus.Connecting, 5_000),
-            ]);
-            // Reconnected successfully
-          } catch (error) {
-            Logger.warn('Failed to reconnect, destroying connection', { guildId });
-            connection.destroy();
-            this.connections.delete(guildId);
-          }
+      // Re-throw with user-friendly message
+      throw new Error(`Failed to play audio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a sound right away or queue it, according to the interrupt policy
+   * @param {string} guildId - Guild ID
+   * @param {Object} player - Guild audio player
+   * @param {Object} item - Queue item
+   * @param {string} policy - 'interrupt', 'queue' or 'ignore'
+   * @returns {Promise<{status: string, position: number}>}
+   * @private
+   */
+  async enqueue(guildId, player, item, policy) {
+    const { soundTitle, mix: mixMode } = item;
+
+    if (!this.queues.has(guildId)) {
+      this.queues.set(guildId, []);
+    }
+
+    const queue = this.queues.get(guildId);
+
+    if (!this.nowPlaying.has(guildId)) {
+      queue.push(item);
+      await this.playNext(guildId);
+      return { status: 'playing', position: 0 };
+    }
+
+    // Layer on top of the current mix while there is room
+    if (mixMode && this.addMixLayer(guildId, item)) {
+      return { status: 'playing', position: 0 };
+    }
+
+    switch (policy) {
+      case 'interrupt': {
+        // In mixing mode make room by dropping the oldest layer
+        const mixer = this.nowPlaying.get(guildId).mixer;
+        if (mixMode && mixer && !mixer.finished && mixer.layerCount > 0) {
+          const dropped = mixer.removeOldestLayer();
+          this.addMixLayer(guildId, item);
+          Logger.logVoice('Replaced oldest mix layer', guildId, {
+            soundTitle,
+            droppedTitle: dropped.title,
+          });
+          return { status: 'playing', position: 0 };
+        }
+
+        // Put the sound first in line; stopping the player triggers Idle, which plays it
+        queue.unshift(item);
+        player.stop();
+        Logger.logVoice('Interrupted current sound', guildId, { soundTitle });
+        return { status: 'playing', position: 0 };
+      }
+      case 'ignore':
+        Logger.logVoice('Ignored sound while busy', guildId, { soundTitle });
+        return { status: 'ignored', position: 0 };
+      default:
+        queue.push(item);
+        Logger.logVoice('Queued sound', guildId, {
+          soundTitle,
+          position: queue.length,
         });
+        return { status: 'queued', position: queue.length };
+    }
+  }
+
+  /**
+   * Resolve the playback settings that apply to a play request
+   * @param {string} guildId - Guild ID
+   * @param {boolean} isModerator - Whether the requester is a voice moderator
+   * @returns {Promise<{policy: string, mixMode: boolean, masterVolume: number, channelPolicy: string}>}
+   *   Policy is 'interrupt', 'queue' or 'ignore'; channelPolicy is 'move', 'refuse' or 'move_if_empty'
+   * @private
+   */
+  async getPlaybackSettings(guildId, isModerator = false) {
+    if (!this.guildSettingsRepository) {
+      return {
+        policy: config.bot.defaultInterruptPolicy,
+        mixMode: false,
+        masterVolume: 1,
+        channelPolicy: config.bot.defaultChannelPolicy,
+      };
+    }
+
+    const settings = await this.guildSettingsRepository.getSettings(guildId);
+
+    return {
+      policy: isModerator && settings.moderator_interrupt ? 'interrupt' : settings.interrupt_policy,
+      mixMode: settings.mix_mode,
+      masterVolume: settings.master_volume / 100,
+      channelPolicy: settings.channel_policy,
+    };
+  }
 
-        // Wait for connection to be ready
-        try {
-          await entersState(connection, VoiceConnectionStatus.Ready, 30_000);
-        } catch (error) {
-          Logger.error('Failed to join voice channel', { guildId }, error);
-          connection.destroy();
-          await unlink(tempFile).catch(() => {});
-          throw new Error(`Failed to join voice channel: ${error.message}`);
+  /**
+   * Get the voice channel the bot is connected to in a guild
+   * @param {string} guildId - Guild ID
+   * @returns {string|null} - Channel ID, or null if not connected
+   */
+  getChannelId(guildId) {
+    const connectionData = this.connections.get(guildId);
+
+    if (
+      !connectionData ||
+      connectionData.connection.state.status === VoiceConnectionStatus.Destroyed
+    ) {
+      return null;
+    }
+
+    return connectionData.connection.joinConfig.channelId;
+  }
+
+  /**
+   * Check whether the channel policy lets the bot leave its current channel
+   * @param {Object} guild - Discord guild
+   * @param {string} currentChannelId - Channel the bot is connected to
+   * @param {string} channelPolicy - 'move', 'refuse' or 'move_if_empty'
+   * @returns {boolean}
+   * @private
+   */
+  canMove(guild, currentChannelId, channelPolicy) {
+    switch (channelPolicy) {
+      case 'move':
+        return true;
+      case 'refuse':
+        return false;
+      default: {
+        // Only leave once nobody (other than bots) is listening
+        const currentChannel = guild.channels.cache.get(currentChannelId);
+        if (!currentChannel) {
+          return true;
         }
+        return currentChannel.members.filter((member) => !member.user.bot).size === 0;
+      }
+    }
+  }
 
-        // Create audio player
-        player = createAudioPlayer();
+  /**
+   * Move the guild's connection to another voice channel (playback carries on there)
+   * @param {string} guildId - Guild ID
+   * @param {Object} voiceChannel - Discord voice channel to move to
+   * @returns {Promise<void>}
+   * @private
+   */
+  async moveConnection(guildId, voiceChannel) {
+    const { connection } = this.connections.get(guildId);
+    const previousChannelId = connection.joinConfig.channelId;
 
-        // Add comprehensive error listener to player
-        player.on('error', async (error) => {
-          Logger.error('Audio player error', { guildId }, error);
+    connection.rejoin({ ...connection.joinConfig, channelId: voiceChannel.id });
 
-          // Check for specific error types
-          if (error.message.includes('encryption')) {
-            Logger.error('Encryption error detected - missing sodium/libsodium-wrappers/tweetnacl', { guildId });
-          }
+    try {
+      await entersState(connection, VoiceConnectionStatus.Ready, 30_000);
+    } catch (error) {
+      Logger.error('Failed to move to voice channel', { guildId }, error);
+      this.disconnect(guildId);
+      throw new Error(`Failed to move to your voice channel: ${error.message}`);
+    }
 
-          await unlink(tempFile).catch(() => {});
-          this.scheduleDisconnect(guildId);
-        });
+    Logger.logVoice('Moved to requester\'s voice channel', guildId, {
+      fromChannelId: previousChannelId,
+      toChannelId: voiceChannel.id,
+    });
+  }
+
+  /**
+   * Check whether a new sound would have to wait (or be rejected) right now
+   * @param {string} guildId - Guild ID
+   * @param {boolean} mixMode - Whether the guild mixes overlapping sounds
+   * @returns {boolean}
+   * @private
+   */
+  isBusy(guildId, mixMode) {
+    const current = this.nowPlaying.get(guildId);
+    if (!current) {
+      return false;
+    }
 
-        // Store connection
-        this.connections.set(guildId, { connection, player });
-        Logger.logVoice('Created new voice connection', guildId);
+    if (mixMode && current.mixer) {
+      return current.mixer.layerCount >= config.bot.maxMixLayers;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the active connection for a guild or join the voice channel
+   * @param {Object} voiceChannel - Discord voice channel
+   * @param {string} guildId - Guild ID
+   * @param {Object} voiceAdapterCreator - Voice adapter creator
+   * @param {string} soundTitle - Title of the sound (for logging)
+   * @returns {Promise<{connection: Object, player: Object}>}
+   * @private
+   */
+  async getOrCreateConnection(voiceChannel, guildId, voiceAdapterCreator, soundTitle) {
+    // Check if we already have an active connection
+    const connectionData = this.connections.get(guildId);
+
+    if (
+      connectionData &&
+      connectionData.connection.state.status !== VoiceConnectionStatus.Destroyed
+    ) {
+      // Reuse existing connection
+      Logger.logVoice('Reusing existing voice connection', guildId, {
+        soundTitle,
+      });
+      return connectionData;
+    }
+
+    // Join voice channel
+    const connection = joinVoiceChannel({
+      channelId: voiceChannel.id,
+      guildId: guildId,
+      adapterCreator: voiceAdapterCreator,
+    });
+
+    // Add error listener to connection
+    connection.on('error', (error) => {
+      Logger.error('Voice connection error', { guildId }, error);
+    });
+
+    connection.on(VoiceConnectionStatus.Disconnected, async () => {
+      Logger.logVoice('Voice connection disconnected', guildId);
+      try {
+        await Promise.race([
+          entersState(connection, VoiceConnectionStatus.Signalling, 5_000),
+          entersState(connection, VoiceConnectionStatus.Connecting, 5_000),
+        ]);
+        // Reconnected successfully
+      } catch (error) {
+        Logger.warn('Failed to reconnect, destroying connection', { guildId });
+        this.disconnect(guildId);
       }
+    });
+
+    // Wait for connection to be ready
+    try {
+      await entersState(connection, VoiceConnectionStatus.Ready, 30_000);
+    } catch (error) {
+      Logger.error('Failed to join voice channel', { guildId }, error);
+      connection.destroy();
+      throw new Error(`Failed to join voice channel: ${error.message}`);
+    }
+
+    // Create audio player
+    const player = createAudioPlayer();
 
-      // Create audio resource
-      const resource = createAudioResource(tempFile);
+    // Add comprehensive error listener to player
+    // (the player always transitions to Idle afterwards, which advances the queue)
+    player.on('error', (error) => {
+      Logger.error('Audio player error', { guildId }, error);
+
+      // Check for specific error types
+      if (error.message.includes('encryption')) {
+        Logger.error('Encryption error detected - missing sodium/libsodium-wrappers/tweetnacl', { guildId });
+      }
+    });
+
+    // Advance the queue whenever the current sound finishes
+    player.on(AudioPlayerStatus.Idle, () => {
+      this.handleIdle(guildId);
+    });
+
+    connection.subscribe(player);
+
+    // Store connection
+    const created = { connection, player };
+    this.connections.set(guildId, created);
+    Logger.logVoice('Created new voice connection', guildId);
+
+    return created;
+  }
 
-      // Play the audio
-      player.play(resource);
-      connection.subscribe(player);
+  /**
+   * Play the next queued sound for a guild
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async playNext(guildId) {
+    const connectionData = this.connections.get(guildId);
+    const queue = this.queues.get(guildId) || [];
+    const next = queue.shift();
 
-      // Handle player events
-      player.once(AudioPlayerStatus.Idle, async () => {
-        Logger.logVoice('Finished playing sound', guildId, { soundTitle });
-        await unlink(tempFile).catch(() => {});
+    if (!connectionData || !next) {
+      this.nowPlaying.delete(guildId);
+      if (connectionData) {
         this.scheduleDisconnect(guildId);
-      });
+      }
+      return;
+    }
+
+    if (next.mix) {
+      this.startMix(guildId, connectionData.player, next);
+      return;
+    }
+
+    this.nowPlaying.set(guildId, { soundTitle: next.soundTitle, mixer: null });
+    this.cancelDisconnect(guildId);
+
+    try {
+      connectionData.player.play(this.createResource(next));
 
       Logger.logVoice('Started playing sound', guildId, {
-        soundTitle,
-        tempFile: path.basename(tempFile),
+        soundTitle: next.soundTitle,
+        format: next.format,
+        volume: next.volume.toFixed(2),
+        remaining: queue.length,
       });
     } catch (error) {
-      // Clean up temp file if it exists
-      if (tempFile) {
-        await unlink(tempFile).catch(() => {});
+      this.nowPlaying.delete(guildId);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an audio resource straight from memory
+   * Ogg/Opus without filters is demuxed without transcoding; anything else is decoded
+   * by ffmpeg, which also runs the filter chain (trimming and effects).
+   * An inline volume transformer is only added when the volume actually changes,
+   * since it forces Opus audio to be decoded and re-encoded.
+   * @param {Object} item - Queue item
+   * @returns {AudioResource}
+   * @private
+   */
+  createResource(item) {
+    const inlineVolume = Math.abs(item.volume - 1) > 0.01;
+    const resource = item.format === 'opus' && item.filters.length === 0
+      ? createAudioResource(Readable.from([item.audioBuffer], { objectMode: false }), {
+        inputType: StreamType.OggOpus,
+        inlineVolume,
+      })
+      : createAudioResource(FFmpeg.createPcmStream(item.audioBuffer, item.filters), {
+        inputType: StreamType.Raw,
+        inlineVolume,
+      });
+
+    if (inlineVolume) {
+      resource.volume.setVolume(item.volume);
+    }
+
+    return resource;
+  }
+
+  /**
+   * Start a new mix with a sound as its first layer
+   * @param {string} guildId - Guild ID
+   * @param {Object} player - Guild audio player
+   * @param {Object} item - Queue item
+   * @private
+   */
+  startMix(guildId, player, item) {
+    const mixer = new AudioMixer();
+
+    mixer.on('layerEnd', (layer) => {
+      Logger.logVoice('Finished mix layer', guildId, { soundTitle: layer.title });
+      // A slot opened up - pull waiting sounds into the mix
+      this.fillMix(guildId);
+    });
+
+    mixer.on('layerError', (error, layer) => {
+      Logger.error('Mix layer failed', { guildId, soundTitle: layer.title }, error);
+    });
+
+    this.nowPlaying.set(guildId, { soundTitle: item.soundTitle, mixer });
+    this.cancelDisconnect(guildId);
+
+    this.addMixLayer(guildId, item);
+    this.fillMix(guildId);
+
+    player.play(createAudioResource(mixer, { inputType: StreamType.Raw }));
+
+    Logger.logVoice('Started mixing sounds', guildId, {
+      soundTitles: mixer.titles.join(', '),
+    });
+  }
+
+  /**
+   * Add a sound as a layer of the guild's current mix
+   * @param {string} guildId - Guild ID
+   * @param {Object} item - Queue item
+   * @returns {boolean} - False if there is no mix or it is full
+   * @private
+   */
+  addMixLayer(guildId, item) {
+    const mixer = this.nowPlaying.get(guildId)?.mixer;
+    if (!mixer || mixer.finished || mixer.destroyed || mixer.layerCount >= config.bot.maxMixLayers) {
+      return false;
+    }
+
+    mixer.addLayer(FFmpeg.createPcmStream(item.audioBuffer, item.filters), {
+      title: item.soundTitle,
+      volume: item.volume,
+    });
+
+    Logger.logVoice('Added mix layer', guildId, {
+      soundTitle: item.soundTitle,
+      layers: mixer.layerCount,
+    });
+    return true;
+  }
+
+  /**
+   * Move queued mixing-mode sounds into the current mix while there is room
+   * @param {string} guildId - Guild ID
+   * @private
+   */
+  fillMix(guildId) {
+    const queue = this.queues.get(guildId) || [];
+
+    while (queue.length > 0 && queue[0].mix && this.addMixLayer(guildId, queue[0])) {
+      queue.shift();
+    }
+  }
+
+  /**
+   * Handle the player becoming idle: clean up and advance the queue
+   * @param {string} guildId - Guild ID
+   * @private
+   */
+  async handleIdle(guildId) {
+    const current = this.nowPlaying.get(guildId);
+    if (current) {
+      Logger.logVoice('Finished playing sound', guildId, { soundTitle: current.soundTitle });
+      if (current.mixer) {
+        current.mixer.destroy();
       }
+    }
 
-      // Log detailed error information
-      Logger.error('Error in playAudio', { guildId }, error);
+    // Keep going until a queued sound starts or the queue is empty
+    while (true) {
+      try {
+        await this.playNext(guildId);
+        return;
+      } catch (error) {
+        Logger.error('Failed to play next queued sound', { guildId }, error);
+      }
+    }
+  }
 
-      // Re-throw with user-friendly message
-      throw new Error(`Failed to play audio: ${error.message}`);
+  /**
+   * Get the current queue for a guild
+   * @param {string} guildId - Guild ID
+   * @returns {{nowPlaying: string|null, upcoming: Array<string>}} - Sound titles
+   */
+  getQueue(guildId) {
+    const current = this.nowPlaying.get(guildId);
+    const queue = this.queues.get(guildId) || [];
+
+    let nowPlaying = current ? current.soundTitle : null;
+    if (current?.mixer && current.mixer.layerCount > 0) {
+      nowPlaying = current.mixer.titles.join(' + ');
     }
+
+    return {
+      nowPlaying,
+      upcoming: queue.map((item) => item.soundTitle),
+    };
+  }
+
+  /**
+   * Skip the sound currently playing (in mixing mode, every layer of the mix)
+   * @param {string} guildId - Guild ID
+   * @returns {string|null} - Title of the skipped sound, or null if nothing was playing
+   */
+  skip(guildId) {
+    const connectionData = this.connections.get(guildId);
+    const current = this.nowPlaying.get(guildId);
+
+    if (!connectionData || !current) {
+      return null;
+    }
+
+    // Stopping the player triggers Idle, which plays the next queued sound
+    connectionData.player.stop();
+    Logger.logVoice('Skipped sound', guildId, { soundTitle: current.soundTitle });
+    return current.soundTitle;
+  }
+
+  /**
+   * Stop the current sound and drop everything waiting to play, staying in the voice channel
+   * @param {string} guildId - Guild ID
+   * @returns {{stoppedTitle: string|null, cleared: number}|null} - What was stopped and how many
+   *   queued sounds were removed, or null if not connected
+   */
+  stop(guildId) {
+    const connectionData = this.connections.get(guildId);
+
+    if (!connectionData) {
+      return null;
+    }
+
+    const stoppedTitle = this.getQueue(guildId).nowPlaying;
+    const cleared = (this.queues.get(guildId) || []).length;
+
+    // Drop state first so the Idle event fired by stop() finds nothing left to play
+    // (it then schedules the usual auto-disconnect)
+    this.resetQueue(guildId);
+    connectionData.player.stop(true);
+
+    Logger.logVoice('Stopped playback', guildId, { soundTitle: stoppedTitle, cleared });
+    return { stoppedTitle, cleared };
+  }
+
+  /**
+   * Remove all pending sounds from a guild's queue (the current sound keeps playing)
+   * @param {string} guildId - Guild ID
+   * @returns {number} - Number of sounds removed
+   */
+  clearQueue(guildId) {
+    const queue = this.queues.get(guildId) || [];
+    const removed = queue.length;
+    this.queues.delete(guildId);
+
+    if (removed > 0) {
+      Logger.logVoice('Cleared queue', guildId, { removed });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Drop the queue and playback state for a guild
+   * @param {string} guildId - Guild ID
+   * @private
+   */
+  resetQueue(guildId) {
+    const current = this.nowPlaying.get(guildId);
+    if (current?.mixer) {
+      current.mixer.destroy();
+    }
+
+    this.queues.delete(guildId);
+    this.nowPlaying.delete(guildId);
   }
 
   /**
@@ -170,14 +670,15 @@ export class VoiceService {
       return false;
     }
 
-    // Clear disconnect timer
-    if (this.disconnectTimers.has(guildId)) {
-      clearTimeout(this.disconnectTimers.get(guildId));
-      this.disconnectTimers.delete(guildId);
-    }
+    this.cancelDisconnect(guildId);
 
-    connectionData.connection.destroy();
+    // Drop state first so the Idle event fired by stop() doesn't advance the queue
+    this.resetQueue(guildId);
     this.connections.delete(guildId);
+    connectionData.player.stop(true);
+    if (connectionData.connection.state.status !== VoiceConnectionStatus.Destroyed) {
+      connectionData.connection.destroy();
+    }
     Logger.logVoice('Disconnected from voice channel', guildId);
     return true;
   }
@@ -188,9 +689,7 @@ export class VoiceService {
    */
   scheduleDisconnect(guildId) {
     // Clear existing timer if any
-    if (this.disconnectTimers.has(guildId)) {
-      clearTimeout(this.disconnectTimers.get(guildId));
-    }
+    this.cancelDisconnect(guildId);
 
     // Schedule disconnect after configured delay
     const timer = setTimeout(() => {
@@ -199,15 +698,53 @@ export class VoiceService {
         Logger.logVoice('Auto-disconnecting after inactivity', guildId, {
           inactivityMinutes: config.bot.autoDisconnectDelay / 60000,
         });
-        connectionData.connection.destroy();
-        this.connections.delete(guildId);
-        this.disconnectTimers.delete(guildId);
+        this.disconnect(guildId);
       }
+      this.disconnectTimers.delete(guildId);
     }, config.bot.autoDisconnectDelay);
 
     this.disconnectTimers.set(guildId, timer);
   }
 
+  /**
+   * Cancel a pending auto-disconnect (e.g. when playback starts again)
+   * @param {string} guildId - Guild ID
+   */
+  cancelDisconnect(guildId) {
+    if (this.disconnectTimers.has(guildId)) {
+      clearTimeout(this.disconnectTimers.get(guildId));
+      this.disconnectTimers.delete(guildId);
+    }
+  }
+
+  /**
+   * Delete temp_*.mp3 files left behind by older versions (e.g. after a crash)
+   * @returns {Promise<number>} - Number of files removed
+   */
+  async cleanupTempFiles() {
+    let files;
+    try {
+      files = await readdir(LEGACY_TEMP_DIR);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        Logger.warn('Could not read temp directory', { error: error.message });
+      }
+      return 0;
+    }
+
+    const leftovers = files.filter((file) => /^temp_\d+\.mp3$/.test(file));
+    const results = await Promise.allSettled(
+      leftovers.map((file) => unlink(path.join(LEGACY_TEMP_DIR, file)))
+    );
+    const removed = results.filter((result) => result.status === 'fulfilled').length;
+
+    if (removed > 0) {
+      Logger.info('Removed leftover temp audio files', { removed });
+    }
+
+    return removed;
+  }
+
   /**
    * Check if bot is connected to a voice channel in a guild
    * @param {string} guildId - Guild ID
@@ -0,0 +1,17 @@
+import { PermissionFlagsBits } from 'discord.js';
+
+/**
+ * Check whether a guild member counts as a voice moderator
+ * (members who can mute others in voice, or manage the server)
+ * @param {Object} member - Discord guild member
+ * @returns {boolean}
+ */
+export function isModerator(member) {
+  const permissions = member?.permissions;
+  if (!permissions || typeof permissions.has !== 'function') {
+    return false;
+  }
+
+  return permissions.has(PermissionFlagsBits.MuteMembers) ||
+    permissions.has(PermissionFlagsBits.ManageGuild);
+}
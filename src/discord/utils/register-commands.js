@@ -2,8 +2,24 @@ import { REST, Routes } from 'discord.js';
 import { config } from '../../config/config.js';
 import { PlayCommand } from '../commands/PlayCommand.js';
 import { StopCommand } from '../commands/StopCommand.js';
+import { LeaveCommand } from '../commands/LeaveCommand.js';
 import { SoundsCommand } from '../commands/SoundsCommand.js';
 import { DeleteCommand } from '../commands/DeleteCommand.js';
+import { QueueCommand } from '../commands/QueueCommand.js';
+import { SkipCommand } from '../commands/SkipCommand.js';
+import { ClearCommand } from '../commands/ClearCommand.js';
+import { SettingsCommand } from '../commands/SettingsCommand.js';
+import { NormalizeCommand } from '../commands/NormalizeCommand.js';
+import { VolumeCommand } from '../commands/VolumeCommand.js';
+import { ManageCommand } from '../commands/ManageCommand.js';
+import { TrimCommand } from '../commands/TrimCommand.js';
+import { InfoCommand } from '../commands/InfoCommand.js';
+import { JoinSoundCommand } from '../commands/JoinSoundCommand.js';
+import { ScheduleCommand } from '../commands/ScheduleCommand.js';
+import { RandomCommand } from '../commands/RandomCommand.js';
+import { SearchCommand } from '../commands/SearchCommand.js';
+import { ImportCommand } from '../commands/ImportCommand.js';
+import { UploadCommand } from '../commands/UploadCommand.js';
 
 /**
  * Utility to register slash commands with Discord
@@ -12,14 +28,46 @@ async function registerCommands() {
   // Create dummy instances just to get command definitions
   const playCommand = new PlayCommand(null, null, null);
   const stopCommand = new StopCommand(null);
+  const leaveCommand = new LeaveCommand(null);
   const soundsCommand = new SoundsCommand(null);
   const deleteCommand = new DeleteCommand(null);
+  const queueCommand = new QueueCommand(null);
+  const skipCommand = new SkipCommand(null);
+  const clearCommand = new ClearCommand(null);
+  const settingsCommand = new SettingsCommand(null);
+  const normalizeCommand = new NormalizeCommand(null, null, null);
+  const volumeCommand = new VolumeCommand(null);
+  const manageCommand = new ManageCommand(null);
+  const trimCommand = new TrimCommand(null);
+  const infoCommand = new InfoCommand(null);
+  const joinSoundCommand = new JoinSoundCommand(null, null, null);
+  const scheduleCommand = new ScheduleCommand(null, null, null);
+  const randomCommand = new RandomCommand(null, null);
+  const searchCommand = new SearchCommand(null, null, null, null, null);
+  const importCommand = new ImportCommand(null, null);
+  const uploadCommand = new UploadCommand(null);
 
   const commands = [
     playCommand.definition.toJSON(),
     stopCommand.definition.toJSON(),
+    leaveCommand.definition.toJSON(),
     soundsCommand.definition.toJSON(),
     deleteCommand.definition.toJSON(),
+    queueCommand.definition.toJSON(),
+    skipCommand.definition.toJSON(),
+    clearCommand.definition.toJSON(),
+    settingsCommand.definition.toJSON(),
+    normalizeCommand.definition.toJSON(),
+    volumeCommand.definition.toJSON(),
+    manageCommand.definition.toJSON(),
+    trimCommand.definition.toJSON(),
+    infoCommand.definition.toJSON(),
+    joinSoundCommand.definition.toJSON(),
+    scheduleCommand.definition.toJSON(),
+    randomCommand.definition.toJSON(),
+    searchCommand.definition.toJSON(),
+    importCommand.definition.toJSON(),
+    uploadCommand.definition.toJSON(),
   ];
 
   const rest = new REST({ version: '10' }).setToken(config.discord.token);
@@ -4,17 +4,46 @@ import { config } from './config/config.js';
 import { db } from './database/connection.js';
 import { initializeDatabase } from './database/init.js';
 import { SoundRepository } from './database/SoundRepository.js';
+import { GuildSettingsRepository } from './database/GuildSettingsRepository.js';
+import { MemberSoundRepository } from './database/MemberSoundRepository.js';
+import { ScheduleRepository } from './database/ScheduleRepository.js';
 import { CacheService } from './database/CacheService.js';
 import { ScraperService } from './myinstants/ScraperService.js';
+import { ProviderRegistry } from './providers/ProviderRegistry.js';
+import { MyInstantsProvider } from './providers/MyInstantsProvider.js';
+import { SoundboardProvider } from './providers/SoundboardProvider.js';
+import { DirectAudioProvider } from './providers/DirectAudioProvider.js';
 import { VoiceService } from './discord/services/VoiceService.js';
 import { DashboardService } from './discord/services/DashboardService.js';
 import { AudioService } from './discord/services/AudioService.js';
+import { JoinSoundService } from './discord/services/JoinSoundService.js';
+import { SchedulerService } from './discord/services/SchedulerService.js';
+import { LinkCheckService } from './discord/services/LinkCheckService.js';
+import { SoundLibraryService } from './discord/services/SoundLibraryService.js';
+import { ImportService } from './discord/services/ImportService.js';
 import { PlayCommand } from './discord/commands/PlayCommand.js';
 import { StopCommand } from './discord/commands/StopCommand.js';
+import { LeaveCommand } from './discord/commands/LeaveCommand.js';
 import { SoundsCommand } from './discord/commands/SoundsCommand.js';
 import { DeleteCommand } from './discord/commands/DeleteCommand.js';
+import { QueueCommand } from './discord/commands/QueueCommand.js';
+import { SkipCommand } from './discord/commands/SkipCommand.js';
+import { ClearCommand } from './discord/commands/ClearCommand.js';
+import { SettingsCommand } from './discord/commands/SettingsCommand.js';
+import { NormalizeCommand } from './discord/commands/NormalizeCommand.js';
+import { VolumeCommand } from './discord/commands/VolumeCommand.js';
+import { ManageCommand } from './discord/commands/ManageCommand.js';
+import { TrimCommand } from './discord/commands/TrimCommand.js';
+import { InfoCommand } from './discord/commands/InfoCommand.js';
+import { JoinSoundCommand } from './discord/commands/JoinSoundCommand.js';
+import { ScheduleCommand } from './discord/commands/ScheduleCommand.js';
+import { RandomCommand } from './discord/commands/RandomCommand.js';
+import { SearchCommand } from './discord/commands/SearchCommand.js';
+import { ImportCommand } from './discord/commands/ImportCommand.js';
+import { UploadCommand } from './discord/commands/UploadCommand.js';
 import { PaginationHandler } from './discord/handlers/PaginationHandler.js';
 import { SelectMenuHandler } from './discord/handlers/SelectMenuHandler.js';
+import { EffectsHandler } from './discord/handlers/EffectsHandler.js';
 import { registerCommands } from './discord/utils/register-commands.js';
 import { Logger } from './utils/logger.js';
 
@@ -41,26 +70,117 @@ class Bot {
 
     // Initialize services (Dependency Injection)
     this.soundRepository = new SoundRepository();
+    this.guildSettingsRepository = new GuildSettingsRepository();
+    this.memberSoundRepository = new MemberSoundRepository();
+    this.scheduleRepository = new ScheduleRepository();
     this.cacheService = new CacheService();
     this.scraperService = new ScraperService();
-    this.voiceService = new VoiceService();
-    this.dashboardService = new DashboardService(this.soundRepository, this.client);
-    this.audioService = new AudioService(this.scraperService, this.voiceService, this.cacheService);
+    // Tried in order; direct audio links can be on any site, so they go last
+    this.providerRegistry = new ProviderRegistry([
+      new MyInstantsProvider(this.scraperService),
+      new SoundboardProvider(),
+      new DirectAudioProvider(),
+    ]);
+    this.voiceService = new VoiceService(this.guildSettingsRepository);
+    this.dashboardService = new DashboardService(
+      this.soundRepository,
+      this.client,
+      this.guildSettingsRepository
+    );
+    this.audioService = new AudioService(
+      this.scraperService,
+      this.voiceService,
+      this.cacheService,
+      this.soundRepository,
+      this.guildSettingsRepository
+    );
+    this.soundLibraryService = new SoundLibraryService(
+      this.scraperService,
+      this.soundRepository,
+      this.guildSettingsRepository,
+      this.dashboardService,
+      this.cacheService
+    );
+    this.importService = new ImportService(
+      this.soundRepository,
+      this.soundLibraryService,
+      this.dashboardService
+    );
+    this.joinSoundService = new JoinSoundService(
+      this.memberSoundRepository,
+      this.guildSettingsRepository,
+      this.audioService
+    );
+    this.schedulerService = new SchedulerService(
+      this.scheduleRepository,
+      this.soundRepository,
+      this.guildSettingsRepository,
+      this.audioService,
+      this.client
+    );
+    this.linkCheckService = new LinkCheckService(
+      this.soundRepository,
+      this.providerRegistry,
+      this.guildSettingsRepository,
+      this.dashboardService,
+      this.client
+    );
 
     // Initialize command handlers
     this.playCommand = new PlayCommand(
       this.scraperService,
+      this.providerRegistry,
       this.voiceService,
       this.soundRepository,
-      this.dashboardService
+      this.soundLibraryService,
+      this.audioService
     );
     this.stopCommand = new StopCommand(this.voiceService);
+    this.leaveCommand = new LeaveCommand(this.voiceService);
     this.soundsCommand = new SoundsCommand(this.soundRepository, this.dashboardService);
     this.deleteCommand = new DeleteCommand(this.soundRepository, this.dashboardService);
+    this.queueCommand = new QueueCommand(this.voiceService);
+    this.skipCommand = new SkipCommand(this.voiceService);
+    this.clearCommand = new ClearCommand(this.voiceService);
+    this.settingsCommand = new SettingsCommand(
+      this.guildSettingsRepository,
+      this.soundRepository,
+      this.schedulerService
+    );
+    this.normalizeCommand = new NormalizeCommand(
+      this.soundRepository,
+      this.scraperService,
+      this.cacheService
+    );
+    this.volumeCommand = new VolumeCommand(this.guildSettingsRepository, this.dashboardService);
+    this.manageCommand = new ManageCommand(this.soundRepository, this.dashboardService);
+    this.trimCommand = new TrimCommand(this.soundRepository, this.dashboardService);
+    this.infoCommand = new InfoCommand(this.soundRepository);
+    this.joinSoundCommand = new JoinSoundCommand(
+      this.memberSoundRepository,
+      this.soundRepository,
+      this.guildSettingsRepository
+    );
+    this.scheduleCommand = new ScheduleCommand(
+      this.scheduleRepository,
+      this.soundRepository,
+      this.guildSettingsRepository
+    );
+    this.randomCommand = new RandomCommand(this.soundRepository, this.audioService);
+    this.searchCommand = new SearchCommand(
+      this.scraperService,
+      this.audioService,
+      this.voiceService,
+      this.soundRepository,
+      this.soundLibraryService
+    );
+    this.importCommand = new ImportCommand(this.scraperService, this.importService);
+    this.uploadCommand = new UploadCommand(this.soundLibraryService);
 
     // Initialize interaction handlers
-    this.paginationHandler = new PaginationHandler(this.soundRepository);
+    this.paginationHandler = new PaginationHandler(this.soundRepository, this.guildSettingsRepository);
     this.selectMenuHandler = new SelectMenuHandler(this.soundRepository, this.audioService);
+    this.effectsHandler = new EffectsHandler(this.audioService);
 
     // Set up event listeners
     this.setupEventListeners();
@@ -82,12 +202,23 @@ class Bot {
 
       // Start dashboard cleanup task
       this.dashboardService.startCleanupTask();
+
+      // Start playing scheduled sounds
+      this.schedulerService.start();
+
+      // Start checking saved sounds for dead links
+      this.linkCheckService.start();
     });
 
     this.client.on('interactionCreate', async (interaction) => {
       try {
         if (interaction.isChatInputCommand()) {
           await this.handleCommand(interaction);
+        } else if (interaction.isAutocomplete()) {
+          // Handle suggestions while typing /play's url option
+          if (interaction.commandName === 'play') {
+            await this.playCommand.autocomplete(interaction);
+          }
         } else if (interaction.isButton()) {
           // Handle delete confirmation buttons (delete_confirm_X or delete_cancel_X)
           if (interaction.customId.startsWith('delete_confirm_') ||
@@ -104,6 +235,30 @@ class Bot {
             const soundId = parseInt(interaction.customId.split('_')[2]);
             await this.audioService.playSound(interaction, soundId);
           }
+          // Handle manage sound button in BUTTONS mode (manage_sound_X)
+          else if (interaction.customId.startsWith('manage_sound_')) {
+            await this.manageCommand.handleSelect(interaction);
+          }
+          // Handle Preview/Save buttons on /search results
+          else if (interaction.customId === 'search_preview' || interaction.customId === 'search_save') {
+            await this.searchCommand.handleButton(interaction);
+          }
+          // Handle Import/Cancel buttons on /import messages
+          else if (interaction.customId === 'import_start' || interaction.customId === 'import_cancel') {
+            await this.importCommand.handleButton(interaction);
+          }
+          // Handle stop button on the play dashboard
+          else if (interaction.customId === 'stop_playback') {
+            await this.stopCommand.handleButton(interaction);
+          }
+          // Handle random button on the play dashboard
+          else if (interaction.customId === 'random_sound') {
+            await this.randomCommand.handleButton(interaction);
+          }
+          // Handle effects button on the play dashboard
+          else if (interaction.customId === 'effects_menu') {
+            await this.effectsHandler.showMenu(interaction);
+          }
           // Handle pagination buttons
           else if (interaction.customId.startsWith('page_')) {
             await this.paginationHandler.handle(interaction);
@@ -117,6 +272,23 @@ class Bot {
           else if (interaction.customId.startsWith('delete_select_')) {
             await this.deleteCommand.handleDelete(interaction);
           }
+          // Handle manage sound selection from select menu (manage_select_page_X)
+          else if (interaction.customId.startsWith('manage_select_')) {
+            await this.manageCommand.handleSelect(interaction);
+          }
+          // Handle a result picked from /search
+          else if (interaction.customId === 'search_select') {
+            await this.searchCommand.handleSelect(interaction);
+          }
+          // Handle effects picked from the effects menu
+          else if (interaction.customId === 'effects_select') {
+            await this.effectsHandler.handleSelect(interaction);
+          }
+        } else if (interaction.isModalSubmit()) {
+          // Handle sound settings form (sound_settings_modal_X)
+          if (interaction.customId.startsWith('sound_settings_modal_')) {
+            await this.manageCommand.handleSubmit(interaction);
+          }
         }
       } catch (error) {
         Logger.error('Error handling interaction', {
@@ -127,6 +299,11 @@ class Bot {
       }
     });
 
+    // Play members' join/leave sounds
+    this.client.on('voiceStateUpdate', async (oldState, newState) => {
+      await this.joinSoundService.handleVoiceStateUpdate(oldState, newState);
+    });
+
     // Handle graceful shutdown
     process.on('SIGINT', () => this.shutdown());
     process.on('SIGTERM', () => this.shutdown());
@@ -143,12 +320,60 @@ class Bot {
       case 'stop':
         await this.stopCommand.execute(interaction);
         break;
+      case 'leave':
+        await this.leaveCommand.execute(interaction);
+        break;
       case 'sounds':
         await this.soundsCommand.execute(interaction);
         break;
       case 'delete':
         await this.deleteCommand.execute(interaction);
         break;
+      case 'queue':
+        await this.queueCommand.execute(interaction);
+        break;
+      case 'skip':
+        await this.skipCommand.execute(interaction);
+        break;
+      case 'clear':
+        await this.clearCommand.execute(interaction);
+        break;
+      case 'settings':
+        await this.settingsCommand.execute(interaction);
+        break;
+      case 'normalize':
+        await this.normalizeCommand.execute(interaction);
+        break;
+      case 'volume':
+        await this.volumeCommand.execute(interaction);
+        break;
+      case 'manage':
+        await this.manageCommand.execute(interaction);
+        break;
+      case 'trim':
+        await this.trimCommand.execute(interaction);
+        break;
+      case 'info':
+        await this.infoCommand.execute(interaction);
+        break;
+      case 'joinsound':
+        await this.joinSoundCommand.execute(interaction);
+        break;
+      case 'schedule':
+        await this.scheduleCommand.execute(interaction);
+        break;
+      case 'random':
+        await this.randomCommand.execute(interaction);
+        break;
+      case 'search':
+        await this.searchCommand.execute(interaction);
+        break;
+      case 'import':
+        await this.importCommand.execute(interaction);
+        break;
+      case 'upload':
+        await this.uploadCommand.execute(interaction);
+        break;
       default:
         Logger.warn('Unknown command received', {
           ...Logger.getUserContext(interaction),
@@ -183,6 +408,9 @@ class Bot {
       Logger.info('Connecting to Redis cache...');
       await this.cacheService.connect();
 
+      // Remove temp audio files left behind by older versions
+      await this.voiceService.cleanupTempFiles();
+
       // Login to Discord
       Logger.info('Logging in to Discord...');
       await this.client.login(config.discord.token);
@@ -200,6 +428,12 @@ class Bot {
     Logger.info('Shutting down bot...');
 
     try {
+      // Stop scheduled playback
+      this.schedulerService.stop();
+
+      // Stop checking sound links
+      this.linkCheckService.stop();
+
       // Disconnect from all voice channels
       for (const [guildId] of this.voiceService.connections) {
         this.voiceService.disconnect(guildId);
@@ -1,136 +1,366 @@
-import axios from 'axios';
 import * as cheerio from 'cheerio';
+import { config } from '../config/config.js';
+import { httpClient as sharedHttpClient, ResponseTooLargeError } from '../utils/http.js';
+import { SoundLimits, SoundLimitError } from '../utils/limits.js';
+import { UrlPolicy } from '../utils/urls.js';
 import { Logger } from '../utils/logger.js';
 
+// Title suffix MyInstants adds in every language: " - Instant Sound Button | Myinstants",
+// " - Botón de sonido instantáneo | Myinstants"...
+const TITLE_SUFFIX_PATTERN = /\s+-\s+[^|]+\|\s*myinstants\s*$/i;
+
+// Button color in a style attribute: "background-color:#FF0000;"
+const BACKGROUND_COLOR_PATTERN = /background-color:\s*#([0-9a-f]{6})\b/i;
+
+/**
+ * Error for a sound file that is gone from the site it was saved from (HTTP 404/410)
+ * The message is meant to be shown to users as is.
+ */
+export class SoundUnavailableError extends Error {
+  /**
+   * @param {string} message - User-facing explanation
+   * @param {string} soundUrl - URL of the missing file
+   */
+  constructor(message, soundUrl) {
+    super(message);
+    this.name = 'SoundUnavailableError';
+    this.soundUrl = soundUrl;
+  }
+}
+
 /**
  * Service for scraping sounds from MyInstants
  * Follows Single Responsibility Principle - only handles web scraping
  */
 export class ScraperService {
   /**
-   * Scrapes a MyInstants sound URL and extracts the audio file URL
+   * Hosts MyInstants pages are served from (including www and localized subdomains)
+   */
+  static DOMAINS = ['myinstants.com'];
+
+  /**
+   * @param {HttpClient} httpClient - Client for every request (defaults to the bot-wide one;
+   *   pass a stub to work offline, e.g. against recorded fixtures)
+   */
+  constructor(httpClient = sharedHttpClient) {
+    this.httpClient = httpClient;
+  }
+
+  /**
+   * Canonical form of a MyInstants page URL, so two links to the same page compare equal
+   * (www host, tracking parameters stripped, sound pages under /en/ with a trailing slash)
+   * @param {string} url - Page URL as given
+   * @returns {URL} - Canonical URL
+   * @throws {UnsafeUrlError} - If it isn't a myinstants.com link
+   */
+  canonicalizePageUrl(url) {
+    const canonical = UrlPolicy.canonicalize(url);
+    UrlPolicy.assertSafe(canonical, ScraperService.DOMAINS);
+
+    canonical.protocol = 'https:';
+    canonical.hostname = 'www.myinstants.com';
+    canonical.pathname = canonical.pathname
+      .replace(/^\/[a-z]{2}(-[a-z]{2})?\/instant\//i, '/en/instant/')
+      .replace(/^\/instant\//, '/en/instant/')
+      .replace(/^(\/en\/instant\/[^/]+)$/, '$1/');
+
+    return canonical;
+  }
+
+  /**
+   * Scrapes a MyInstants sound URL and extracts the audio file URL and details
    * @param {string} url - The MyInstants page URL
-   * @returns {Promise<{soundUrl: string, title: string}>}
+   * @returns {Promise<Object>} - See parseSoundPage
    */
   async scrapeMyInstantsSound(url) {
     try {
       // Validate URL is from myinstants.com
-      if (!url.includes('myinstants.com')) {
-        throw new Error('URL must be from myinstants.com');
-      }
+      url = this.canonicalizePageUrl(url).href;
 
-      // Fetch the page
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent':
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        },
+      // Fetch the page, staying on MyInstants through redirects
+      const response = await this.httpClient.get(url, {
+        domains: ScraperService.DOMAINS,
+        service: 'MyInstants',
       });
 
-      // Parse HTML with cheerio
-      const $ = cheerio.load(response.data);
+      const sound = this.parseSoundPage(response.data);
 
-      let soundUrl = null;
+      Logger.info('Successfully scraped sound from MyInstants', {
+        title: sound.title,
+        soundUrl: sound.soundUrl,
+        tags: sound.tags.length,
+        sourceUrl: url,
+      });
 
-      // Method 1: Look for the download button (most reliable)
-      const downloadButton = $('a[download][href*="/media/sounds/"]');
-      if (downloadButton.length > 0) {
-        soundUrl = downloadButton.attr('href');
-        Logger.debug('Found sound URL from download button', { soundUrl });
-      }
+      return sound;
+    } catch (error) {
+      Logger.error('Error scraping MyInstants', { url }, error);
 
-      // Method 2: Find the play button with onclick attribute
-      if (!soundUrl) {
-        const soundButton = $('.small-button').first();
-        const onclickAttr = soundButton.attr('onclick');
-
-        if (onclickAttr) {
-          const match = onclickAttr.match(/play\('([^']+)'/);
-          if (match && match[1]) {
-            soundUrl = match[1];
-            Logger.debug('Found sound URL from onclick', { soundUrl });
-          }
-        }
+      if (error.response?.status === 404) {
+        throw new Error('Failed to scrape sound: that sound doesn\'t exist on MyInstants (it may have been removed)');
       }
+      throw new Error(`Failed to scrape sound: ${(UrlPolicy.findUnsafe(error) || error).message}`);
+    }
+  }
 
-      // Method 3: Try data-url attribute
-      if (!soundUrl) {
-        const soundButton = $('.small-button').first();
-        soundUrl = soundButton.attr('data-url');
-        if (soundUrl) {
-          Logger.debug('Found sound URL from data-url', { soundUrl });
-        }
-      }
+  /**
+   * Extracts the audio URL, title and details from a MyInstants sound page
+   * Tries, in order: the download button, the play button's onclick, its data-url,
+   * then the <source> tag. Works on saved pages too (see record-fixture.js).
+   * @param {string} html - Page HTML
+   * @returns {{soundUrl: string, title: string, description: string|null, tags: Array<string>,
+   *   uploader: string|null, thumbnailUrl: string|null, color: number|null}} - Canonical audio URL,
+   *   title, and the details the page has (color is the button's, as 0xRRGGBB)
+   * @throws {Error} - If the page has no sound (e.g. a removed sound's page)
+   */
+  parseSoundPage(html) {
+    const $ = cheerio.load(html);
+
+    let soundUrl = null;
 
-      // Method 4: Look for audio source tag
-      if (!soundUrl) {
-        const audioSource = $('source').attr('src');
-        if (audioSource) {
-          soundUrl = audioSource;
-          Logger.debug('Found sound URL from audio source', { soundUrl });
+    // Method 1: Look for the download button (most reliable)
+    const downloadButton = $('a[download][href*="/media/sounds/"]');
+    if (downloadButton.length > 0) {
+      soundUrl = downloadButton.attr('href');
+      Logger.debug('Found sound URL from download button', { soundUrl });
+    }
+
+    // Method 2: Find the play button with onclick attribute
+    if (!soundUrl) {
+      const soundButton = $('.small-button').first();
+      const onclickAttr = soundButton.attr('onclick');
+
+      if (onclickAttr) {
+        const match = onclickAttr.match(/play\('([^']+)'/);
+        if (match && match[1]) {
+          soundUrl = match[1];
+          Logger.debug('Found sound URL from onclick', { soundUrl });
         }
       }
+    }
 
-      if (!soundUrl) {
-        throw new Error('Could not find sound URL on the page');
+    // Method 3: Try data-url attribute
+    if (!soundUrl) {
+      const soundButton = $('.small-button').first();
+      soundUrl = soundButton.attr('data-url');
+      if (soundUrl) {
+        Logger.debug('Found sound URL from data-url', { soundUrl });
       }
+    }
 
-      // Make sure we have a complete URL
-      if (!soundUrl.startsWith('http')) {
-        soundUrl = `https://www.myinstants.com${soundUrl}`;
+    // Method 4: Look for audio source tag
+    if (!soundUrl) {
+      const audioSource = $('source').attr('src');
+      if (audioSource) {
+        soundUrl = audioSource;
+        Logger.debug('Found sound URL from audio source', { soundUrl });
       }
+    }
 
-      // Get the title of the sound
-      const title =
-        $('meta[property="og:title"]').attr('content') ||
-        $('title')
-          .text()
-          .replace(' - Instant Sound Button | Myinstants', '')
-          .trim() ||
-        'Unknown Sound';
+    if (!soundUrl) {
+      throw new Error('Could not find sound URL on the page');
+    }
 
-      Logger.info('Successfully scraped sound from MyInstants', {
-        title,
-        soundUrl,
-        sourceUrl: url,
+    // Get the title of the sound, without the localized site suffix
+    const title =
+      ($('meta[property="og:title"]').attr('content') || $('title').text())
+        .replace(TITLE_SUFFIX_PATTERN, '')
+        .trim() ||
+      'Unknown Sound';
+
+    const description = (
+      $('#instant-page-description').text() ||
+      $('meta[property="og:description"]').attr('content') ||
+      ''
+    ).replace(/\s+/g, ' ').trim();
+
+    // Same shape as tags set with /manage: lowercase, at most 30 characters, no repeats
+    const tags = [...new Set(
+      $('#instant-page-tags a, a[href*="/tag/"]')
+        .map((_, element) => $(element).text().replace(/^#/, '').trim().toLowerCase().substring(0, 30))
+        .get()
+        .filter(Boolean)
+    )].slice(0, config.bot.maxTagsPerSound);
+
+    const uploader = $('a[href*="/profile/"]').first().text().trim();
+    const thumbnail = $('meta[property="og:image"]').attr('content');
+    const colorMatch = ($('.small-button-background').attr('style') || '').match(BACKGROUND_COLOR_PATTERN);
+
+    return {
+      // Make sure we have a complete, canonical URL
+      soundUrl: UrlPolicy.canonicalize(new URL(soundUrl, 'https://www.myinstants.com').href).href,
+      title,
+      description: description.substring(0, 1000) || null,
+      tags,
+      uploader: uploader.substring(0, 100) || null,
+      thumbnailUrl: thumbnail ? new URL(thumbnail, 'https://www.myinstants.com').href : null,
+      color: colorMatch ? parseInt(colorMatch[1], 16) : null,
+    };
+  }
+
+  /**
+   * Searches MyInstants for sounds
+   * @param {string} query - Search terms
+   * @param {number} limit - Maximum number of results
+   * @param {Object} options - Request options
+   * @param {number} options.timeout - Give up after this many milliseconds (default config.http.timeout)
+   * @param {number} options.retries - Retries on network errors (default config.http.maxRetries)
+   * @returns {Promise<Array<{title: string, pageUrl: string, soundUrl: string}>>} - Hits in MyInstants' order
+   */
+  async searchSounds(query, limit = config.bot.maxSearchResults, { timeout, retries } = {}) {
+    const searchUrl = `https://www.myinstants.com/en/search/?name=${encodeURIComponent(query)}`;
+
+    try {
+      const response = await this.httpClient.get(searchUrl, {
+        timeout,
+        retries,
+        domains: ScraperService.DOMAINS,
+        service: 'MyInstants',
       });
 
-      return {
-        soundUrl,
-        title,
-      };
+      const results = this.parseSearchResults(response.data).slice(0, limit);
+
+      Logger.info('Searched MyInstants', { query, results: results.length });
+      return results;
     } catch (error) {
-      Logger.error('Error scraping MyInstants', { url }, error);
-      throw new Error(`Failed to scrape sound: ${error.message}`);
+      Logger.error('Error searching MyInstants', { query }, error);
+      throw new Error(`Failed to search MyInstants: ${error.message}`);
     }
   }
 
+  /**
+   * Scrapes every sound listed on a MyInstants list page (category, search, user favorites...)
+   * @param {string} url - The MyInstants page URL
+   * @returns {Promise<Array<{title: string, pageUrl: string, soundUrl: string}>>} - Sounds in page order
+   */
+  async scrapeSoundList(url) {
+    try {
+      url = this.canonicalizePageUrl(url).href;
+
+      const response = await this.httpClient.get(url, {
+        domains: ScraperService.DOMAINS,
+        service: 'MyInstants',
+      });
+
+      const sounds = this.parseSearchResults(response.data);
+
+      Logger.info('Scraped sound list from MyInstants', { sourceUrl: url, sounds: sounds.length });
+      return sounds;
+    } catch (error) {
+      Logger.error('Error scraping MyInstants list', { url }, error);
+      throw new Error(`Failed to scrape sound list: ${(UrlPolicy.findUnsafe(error) || error).message}`);
+    }
+  }
+
+  /**
+   * Extracts the sounds listed on a MyInstants search (or listing) page
+   * Works on saved pages too, so it can be checked against HTML fixtures offline.
+   * @param {string} html - Page HTML
+   * @returns {Array<{title: string, pageUrl: string, soundUrl: string}>} - Hits in page order
+   */
+  parseSearchResults(html) {
+    const $ = cheerio.load(html);
+    const results = [];
+    const seen = new Set();
+
+    $('.instant').each((_, element) => {
+      const instant = $(element);
+      const link = instant.find('a.instant-link').first();
+      const button = instant.find('.small-button').first();
+
+      // Same sources as a sound page: play('...') in onclick, then data-url
+      const onclickMatch = (button.attr('onclick') || '').match(/play\('([^']+)'/);
+      const soundPath = onclickMatch ? onclickMatch[1] : button.attr('data-url');
+      const pagePath = link.attr('href');
+      const title = link.text().trim();
+
+      if (!soundPath || !pagePath || !title) {
+        return;
+      }
+
+      let soundUrl;
+      let pageUrl;
+      try {
+        soundUrl = UrlPolicy.canonicalize(new URL(soundPath, 'https://www.myinstants.com').href).href;
+        pageUrl = this.canonicalizePageUrl(new URL(pagePath, 'https://www.myinstants.com').href).href;
+      } catch {
+        return; // Unsafe or off-site link
+      }
+
+      if (seen.has(soundUrl)) {
+        return;
+      }
+      seen.add(soundUrl);
+
+      results.push({ title, pageUrl, soundUrl });
+    });
+
+    return results;
+  }
+
   /**
    * Downloads the audio file to a buffer
    * @param {string} soundUrl - Direct URL to the audio file
-   * @returns {Promise<Buffer>} - Audio file as a buffer
+   * @param {Object|null} limits - Guild limits to enforce on size and content type (see SoundLimits)
+   * @returns {Promise<{audioBuffer: Buffer, mimeType: string|null}>} - Audio file and the MIME type
+   *   it was served as (null if none)
+   * @throws {SoundLimitError} - If the file breaks one of the limits
+   * @throws {UnsafeUrlError} - If the URL (or a redirect) leads somewhere the bot must not fetch
+   * @throws {SoundUnavailableError} - If the file is gone (404/410)
    */
-  async downloadSound(soundUrl) {
+  async downloadSound(soundUrl, limits = null) {
     try {
       Logger.debug('Downloading sound file', { soundUrl });
 
-      const response = await axios.get(soundUrl, {
+      // Any public host (sounds may be uploads or direct links), capped at the guild's size limit
+      const url = new URL(soundUrl);
+      const response = await this.httpClient.get(soundUrl, {
         responseType: 'arraybuffer',
-        headers: {
-          'User-Agent':
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        },
+        maxSize: limits ? limits.maxFileSize : config.bot.maxFileSizeLimit * 1024,
+        service: UrlPolicy.isAllowedHost(url, ScraperService.DOMAINS) ? 'MyInstants' : null,
       });
 
       const buffer = Buffer.from(response.data);
+
+      if (limits) {
+        SoundLimits.checkMimeType(response.headers['content-type'], limits);
+        SoundLimits.checkSize(buffer.length, limits);
+      }
       Logger.debug('Successfully downloaded sound', {
         soundUrl,
         bufferSize: buffer.length,
       });
 
-      return buffer;
+      return { audioBuffer: buffer, mimeType: SoundLimits.parseMimeType(response.headers['content-type']) || null };
     } catch (error) {
+      if (error instanceof SoundLimitError) {
+        throw error;
+      }
+
+      const unsafe = UrlPolicy.findUnsafe(error);
+      if (unsafe) {
+        Logger.warn('Blocked unsafe sound URL', { soundUrl, reason: unsafe.message });
+        throw unsafe;
+      }
+
+      if (limits && error instanceof ResponseTooLargeError) {
+        throw new SoundLimitError(
+          `This sound is too big. This server allows up to ${SoundLimits.formatSize(limits.maxFileSize)}.`,
+          'size',
+          null
+        );
+      }
+
+      if ([404, 410].includes(error.response?.status)) {
+        Logger.warn('Sound file is gone', { soundUrl, status: error.response.status });
+        throw new SoundUnavailableError('This sound is no longer available on the site it came from.', soundUrl);
+      }
+
       Logger.error('Error downloading sound', { soundUrl }, error);
+
+      if (error.code === 'ECONNABORTED') {
+        throw new Error('Failed to download sound: the server took too long to respond');
+      }
       throw new Error(`Failed to download sound: ${error.message}`);
     }
   }
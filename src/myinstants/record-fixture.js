@@ -0,0 +1,63 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { ScraperService } from './ScraperService.js';
+
+// Saved pages go to fixtures/myinstants at the repository root
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures', 'myinstants');
+
+/**
+ * Save a MyInstants page as an HTML fixture and show what the scraper finds on it
+ * Run when MyInstants changes its markup, so the parsers can be fixed against the new page offline.
+ * Usage: npm run record-fixture -- <url> [name]
+ * @param {string} url - MyInstants sound or list page
+ * @param {string} name - File name without extension (defaults to the page's slug)
+ * @returns {Promise<string>} - Path of the saved fixture
+ */
+async function recordFixture(url, name) {
+  const scraper = new ScraperService();
+  const pageUrl = scraper.canonicalizePageUrl(url);
+
+  // Keep the raw page (scrapeMyInstantsSound only returns what it parsed)
+  const response = await scraper.httpClient.get(pageUrl.href, {
+    domains: ScraperService.DOMAINS,
+    service: 'MyInstants',
+  });
+
+  const slug = name || pageUrl.pathname.split('/').filter(Boolean).pop() || 'index';
+  const path = join(FIXTURES_DIR, `${slug}.html`);
+  await mkdir(FIXTURES_DIR, { recursive: true });
+  await writeFile(path, response.data);
+
+  console.log(`💾 Saved ${pageUrl.href} to ${path}`);
+
+  // Show what each parser makes of the page, so a broken one is obvious right away
+  try {
+    const sound = scraper.parseSoundPage(response.data);
+    console.log(`🔊 Sound page: "${sound.title}" -> ${sound.soundUrl}`);
+  } catch (error) {
+    console.log(`🔇 Sound page: ${error.message}`);
+  }
+  console.log(`📋 List page: ${scraper.parseSearchResults(response.data).length} sounds`);
+
+  return path;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [url, name] = process.argv.slice(2);
+
+  if (!url) {
+    console.error('Usage: npm run record-fixture -- <myinstants url> [name]');
+    process.exit(1);
+  }
+
+  recordFixture(url, name)
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Error recording fixture:', error.message);
+      process.exit(1);
+    });
+}
+
+export { recordFixture };
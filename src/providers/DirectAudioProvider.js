@@ -0,0 +1,49 @@
+// File extensions treated as audio files
+const AUDIO_EXTENSIONS = ['mp3', 'ogg', 'oga', 'opus', 'wav', 'webm', 'aac', 'm4a', 'flac'];
+
+/**
+ * Provider for direct links to audio files (https://example.com/sounds/bruh.mp3)
+ * The link is the audio URL; the title comes from the file name.
+ * Follows Single Responsibility Principle - only handles direct audio links
+ */
+export class DirectAudioProvider {
+  constructor() {
+    this.name = 'direct';
+    this.label = 'direct links to audio files';
+    this.domains = null;
+  }
+
+  /**
+   * Check whether a URL points at an audio file (by its extension)
+   * @param {URL} url - Parsed URL
+   * @returns {boolean}
+   */
+  static isAudioFile(url) {
+    const extension = url.pathname.split('.').pop().toLowerCase();
+    return url.pathname.includes('.') && AUDIO_EXTENSIONS.includes(extension);
+  }
+
+  /**
+   * Check whether this provider handles a URL
+   * @param {URL} url - Parsed URL
+   * @returns {boolean}
+   */
+  matches(url) {
+    return DirectAudioProvider.isAudioFile(url);
+  }
+
+  /**
+   * Use the link as the audio URL and name the sound after the file
+   * @param {string} url - Audio file URL
+   * @returns {Promise<{soundUrl: string, title: string}>}
+   */
+  async resolve(url) {
+    const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop());
+    const title = fileName
+      .replace(/\.[^.]+$/, '')
+      .replace(/[-_]+/g, ' ')
+      .trim();
+
+    return { soundUrl: url, title: title || 'Unknown Sound' };
+  }
+}
@@ -0,0 +1,43 @@
+import { ScraperService } from '../myinstants/ScraperService.js';
+import { DirectAudioProvider } from './DirectAudioProvider.js';
+
+/**
+ * Provider for MyInstants sound pages (https://www.myinstants.com/en/instant/...)
+ * Follows Adapter Pattern - exposes ScraperService as a provider
+ */
+export class MyInstantsProvider {
+  constructor(scraperService) {
+    this.name = 'myinstants';
+    this.label = 'MyInstants';
+    this.domains = ScraperService.DOMAINS;
+    this.scraperService = scraperService;
+  }
+
+  /**
+   * Check whether this provider handles a URL
+   * @param {URL} url - Parsed URL
+   * @returns {boolean}
+   */
+  matches(url) {
+    // Links straight to the media files are left to the direct audio provider
+    return !DirectAudioProvider.isAudioFile(url);
+  }
+
+  /**
+   * Canonical form of a MyInstants page URL
+   * @param {URL} url - Parsed URL
+   * @returns {URL}
+   */
+  canonicalize(url) {
+    return this.scraperService.canonicalizePageUrl(url.href);
+  }
+
+  /**
+   * Scrape the audio URL and title from a sound page
+   * @param {string} url - MyInstants page URL
+   * @returns {Promise<{soundUrl: string, title: string}>}
+   */
+  resolve(url) {
+    return this.scraperService.scrapeMyInstantsSound(url);
+  }
+}
@@ -0,0 +1,108 @@
+import { UrlPolicy, UnsafeUrlError } from '../utils/urls.js';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Registry of the sites sounds can be added from
+ * A provider is an object with:
+ * - name: Stored on each guild_sounds row it adds (e.g. 'myinstants')
+ * - label: Shown to users (e.g. 'MyInstants')
+ * - domains: Hosts (and their subdomains) its pages are on, or null for any public host
+ * - matches(url): Whether it handles a parsed URL
+ * - canonicalize(url): Optional, the site's canonical form of a parsed URL
+ * - resolve(url): Promise of {soundUrl, title} for a page or file URL, plus whichever details
+ *   the page has: description, tags, uploader, thumbnailUrl and color (see ScraperService.parseSoundPage)
+ * Providers are tried in the order they were registered; the first match wins.
+ * Links are canonicalized (see UrlPolicy) before a provider sees them.
+ * Follows Registry Pattern - new sites plug in without changing the commands
+ */
+export class ProviderRegistry {
+  constructor(providers = []) {
+    this.providers = [];
+    providers.forEach((provider) => this.register(provider));
+  }
+
+  /**
+   * Add a provider (tried after the ones already registered)
+   * @param {Object} provider - Sound provider
+   * @returns {ProviderRegistry} - This registry, for chaining
+   */
+  register(provider) {
+    this.providers.push(provider);
+    return this;
+  }
+
+  /**
+   * Find the provider that handles a URL
+   * @param {string} url - Page or file URL
+   * @returns {Object|null} - Provider, or null if the URL is invalid, unsafe or no provider handles it
+   */
+  find(url) {
+    return this.match(url)?.provider || null;
+  }
+
+  /**
+   * Canonical form of a URL, as its provider would store it
+   * @param {string} url - Page or file URL
+   * @returns {string|null} - Canonical URL, or null if no provider handles it
+   */
+  canonicalize(url) {
+    return this.match(url)?.url.href || null;
+  }
+
+  /**
+   * Get the audio URL and title of a sound
+   * @param {string} url - Page or file URL
+   * @returns {Promise<Object>} - {soundUrl, title, pageUrl, provider} and any details the provider found
+   *   (URLs are canonical; provider is the provider's name)
+   * @throws {UnsafeUrlError} - If the link (or the audio URL found on the page) isn't safe to fetch
+   */
+  async resolve(url) {
+    const match = this.match(url);
+    if (!match) {
+      throw new UnsafeUrlError(`Unsupported link. Sounds can come from ${this.describe()}.`);
+    }
+
+    const { provider, url: pageUrl } = match;
+    const sound = await provider.resolve(pageUrl.href);
+    const soundUrl = UrlPolicy.canonicalize(sound.soundUrl).href;
+
+    Logger.debug('Resolved sound through provider', { provider: provider.name, url: pageUrl.href, soundUrl });
+    return { ...sound, soundUrl, pageUrl: pageUrl.href, provider: provider.name };
+  }
+
+  /**
+   * List the supported sources for messages, e.g. "MyInstants, 101soundboards or direct links to audio files"
+   * @returns {string}
+   */
+  describe() {
+    const labels = this.providers.map((provider) => provider.label);
+    return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels.at(-1)}` : labels.join('');
+  }
+
+  /**
+   * Find the provider of a URL and canonicalize it
+   * @param {string} url - Page or file URL
+   * @returns {{provider: Object, url: URL}|null} - null if the URL is invalid, unsafe or unsupported
+   * @private
+   */
+  match(url) {
+    let parsed;
+    try {
+      parsed = UrlPolicy.canonicalize(url);
+    } catch (error) {
+      if (error instanceof UnsafeUrlError) {
+        return null;
+      }
+      throw error;
+    }
+
+    const provider = this.providers.find((candidate) =>
+      (!candidate.domains || UrlPolicy.isAllowedHost(parsed, candidate.domains)) && candidate.matches(parsed)
+    );
+    if (!provider) {
+      return null;
+    }
+
+    return { provider, url: provider.canonicalize ? provider.canonicalize(parsed) : parsed };
+  }
+}
@@ -0,0 +1,85 @@
+import * as cheerio from 'cheerio';
+import { httpClient as sharedHttpClient } from '../utils/http.js';
+import { UrlPolicy } from '../utils/urls.js';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Provider for 101soundboards sound pages (https://www.101soundboards.com/sounds/...)
+ * Follows Single Responsibility Principle - only handles 101soundboards pages
+ */
+export class SoundboardProvider {
+  /**
+   * @param {HttpClient} httpClient - Client for every request (defaults to the bot-wide one)
+   */
+  constructor(httpClient = sharedHttpClient) {
+    this.httpClient = httpClient;
+    this.name = '101soundboards';
+    this.label = '101soundboards';
+    this.domains = ['101soundboards.com'];
+  }
+
+  /**
+   * Check whether this provider handles a URL
+   * @param {URL} url - Parsed URL
+   * @returns {boolean}
+   */
+  matches(url) {
+    return url.pathname.startsWith('/sounds/');
+  }
+
+  /**
+   * Scrape the audio URL and title from a sound page
+   * @param {string} url - 101soundboards sound page URL
+   * @returns {Promise<{soundUrl: string, title: string}>}
+   */
+  async resolve(url) {
+    try {
+      // Stay on 101soundboards through redirects
+      const response = await this.httpClient.get(url, { domains: this.domains, service: this.label });
+
+      const sound = this.parseSoundPage(response.data, url);
+
+      Logger.info('Successfully scraped sound from 101soundboards', { ...sound, sourceUrl: url });
+      return sound;
+    } catch (error) {
+      Logger.error('Error scraping 101soundboards', { url }, error);
+      throw new Error(`Failed to scrape sound: ${(UrlPolicy.findUnsafe(error) || error).message}`);
+    }
+  }
+
+  /**
+   * Extract the audio URL and title from a sound page
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - Page URL, to complete relative audio URLs
+   * @returns {{soundUrl: string, title: string, description: string|null, thumbnailUrl: string|null}}
+   */
+  parseSoundPage(html, pageUrl) {
+    const $ = cheerio.load(html);
+
+    // The Open Graph audio tag is on every sound page; the player's source is the fallback
+    const soundPath =
+      $('meta[property="og:audio"]').attr('content') ||
+      $('meta[property="og:audio:url"]').attr('content') ||
+      $('audio source').attr('src') ||
+      $('audio').attr('src');
+
+    if (!soundPath) {
+      throw new Error('Could not find sound URL on the page');
+    }
+
+    const title =
+      $('meta[property="og:title"]').attr('content') ||
+      $('h1').first().text().trim() ||
+      'Unknown Sound';
+
+    const description = ($('meta[property="og:description"]').attr('content') || '').trim();
+    const thumbnail = $('meta[property="og:image"]').attr('content');
+
+    return {
+      soundUrl: new URL(soundPath, pageUrl).href,
+      title: title.replace(/\s*-\s*101 Soundboards\s*$/i, '').trim(),
+      description: description.substring(0, 1000) || null,
+      thumbnailUrl: thumbnail ? new URL(thumbnail, pageUrl).href : null,
+    };
+  }
+}
@@ -0,0 +1,322 @@
+/**
+ * Allowed range of each cron field, in order
+ */
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+/**
+ * Shorthands for common schedules
+ */
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+// How far ahead to look for the next run (covers yearly schedules on Feb 29)
+const MAX_DAYS_AHEAD = 366 * 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Building a formatter is slow and next() converts a lot of times, so keep one per timezone
+const formatters = new Map();
+
+/**
+ * Get the (shared) formatter that reads wall-clock fields in a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    });
+    formatters.set(timeZone, formatter);
+  }
+
+  return formatter;
+}
+
+/**
+ * Standard 5-field cron expression ("minute hour day-of-month month day-of-week")
+ * evaluated in an IANA timezone
+ * Supports *, lists (1,15), ranges (1-5), steps (*\/15, 0-30/10), month/day names and @daily-style aliases.
+ * As in cron, a day matches when either day field matches if both are restricted (don't start with *),
+ * and a time skipped by a DST change runs as soon as the clocks have changed.
+ */
+export class CronExpression {
+  /**
+   * @param {string} expression - Cron expression
+   * @throws {Error} - If the expression is invalid
+   */
+  constructor(expression) {
+    const normalized = expression.trim().toLowerCase();
+    const source = ALIASES[normalized] || normalized;
+    const parts = source.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`Cron expressions need ${FIELDS.length} fields (minute hour day month weekday)`);
+    }
+
+    this.expression = expression.trim();
+    [this.minutes, this.hours, this.days, this.months, this.weekdays] = parts.map((part, index) =>
+      CronExpression.parseField(part, FIELDS[index])
+    );
+
+    // Sunday can be written as 0 or 7
+    if (this.weekdays.has(7)) {
+      this.weekdays.add(0);
+      this.weekdays.delete(7);
+    }
+
+    // Like cron, only a field that doesn't start with * restricts days ("*/2" doesn't)
+    this.daysRestricted = !parts[2].startsWith('*');
+    this.weekdaysRestricted = !parts[4].startsWith('*');
+    this.sortedHours = [...this.hours].sort((a, b) => a - b);
+    this.sortedMinutes = [...this.minutes].sort((a, b) => a - b);
+  }
+
+  /**
+   * Check whether a string is a valid cron expression
+   * @param {string} expression - Cron expression
+   * @returns {boolean}
+   */
+  static isValid(expression) {
+    try {
+      new CronExpression(expression);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a string is a timezone this runtime knows (e.g. "Europe/Madrid")
+   * @param {string} timeZone - IANA timezone name
+   * @returns {boolean}
+   */
+  static isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Find the next time the expression matches, strictly after a moment
+   * @param {string} timeZone - IANA timezone the expression is written in
+   * @param {Date} after - Moment to search from (default: now)
+   * @returns {Date|null} - Next run, or null if the expression never matches (e.g. Feb 30)
+   */
+  next(timeZone, after = new Date()) {
+    const start = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const today = CronExpression.getZonedParts(new Date(start), timeZone);
+    const firstDay = Date.UTC(today.year, today.month - 1, today.day);
+
+    for (let offset = 0; offset <= MAX_DAYS_AHEAD; offset++) {
+      const date = new Date(firstDay + offset * DAY_MS);
+      const year = date.getUTCFullYear();
+      const month = date.getUTCMonth() + 1;
+      const day = date.getUTCDate();
+
+      if (!this.months.has(month) || !this.matchesDay(day, date.getUTCDay())) {
+        continue;
+      }
+
+      for (const hour of this.sortedHours) {
+        const top = CronExpression.toInstant({ year, month, day, hour, minute: 0 }, timeZone);
+        const bottom = CronExpression.toInstant({ year, month, day, hour, minute: 59 }, timeZone);
+
+        // Same offset all hour (the usual case): the minutes are plain arithmetic
+        if (top.exists && bottom.exists && bottom.time - top.time === 59 * MINUTE_MS) {
+          if (bottom.time < start) {
+            continue;
+          }
+          const minute = this.sortedMinutes.find((value) => top.time + value * MINUTE_MS >= start);
+          if (minute !== undefined) {
+            return new Date(top.time + minute * MINUTE_MS);
+          }
+          continue;
+        }
+
+        // The clocks change during this hour
+        for (const minute of this.sortedMinutes) {
+          const { time } = CronExpression.toInstant({ year, month, day, hour, minute }, timeZone);
+          if (time >= start) {
+            return new Date(time);
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find when a wall-clock time happens; a time skipped by a DST change happens
+   * at the end of the gap, when the clocks have just moved forward
+   * @param {Object} time - {year, month (1-12), day, hour, minute}
+   * @param {string} timeZone - IANA timezone name
+   * @returns {{time: number, exists: boolean}} - Timestamp, and whether the wall-clock time exists
+   * @private
+   */
+  static toInstant({ year, month, day, hour, minute }, timeZone) {
+    const time = this.zonedTimeToUtc({ year, month, day, hour, minute }, timeZone).getTime();
+    const parts = this.getZonedParts(new Date(time), timeZone);
+    if (parts.hour === hour && parts.minute === minute) {
+      return { time, exists: true };
+    }
+
+    // Before the change the clocks read earlier than this time, after it later:
+    // find the first minute after it
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAfter = this.getOffset(wall + DAY_MS, timeZone);
+    let before = wall - offsetAfter;
+    let after = wall - this.getOffset(wall - DAY_MS, timeZone);
+    while (after - before > MINUTE_MS) {
+      const middle = before + Math.floor((after - before) / MINUTE_MS / 2) * MINUTE_MS;
+      if (this.getOffset(middle, timeZone) === offsetAfter) {
+        after = middle;
+      } else {
+        before = middle;
+      }
+    }
+
+    return { time: after, exists: false };
+  }
+
+  /**
+   * Check the day-of-month and day-of-week fields
+   * @private
+   */
+  matchesDay(day, weekday) {
+    if (this.daysRestricted && this.weekdaysRestricted) {
+      return this.days.has(day) || this.weekdays.has(weekday);
+    }
+    return this.days.has(day) && this.weekdays.has(weekday);
+  }
+
+  /**
+   * Convert a wall-clock time in a timezone to the moment it happens
+   * @param {Object} time - {year, month (1-12), day, hour, minute}
+   * @param {string} timeZone - IANA timezone name
+   * @returns {Date}
+   */
+  static zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Apply the zone's offset, then correct once in case the guess crossed a DST change
+    let utc = wall - this.getOffset(wall, timeZone);
+    const offset = this.getOffset(utc, timeZone);
+    if (wall - offset !== utc) {
+      utc = wall - offset;
+    }
+
+    return new Date(utc);
+  }
+
+  /**
+   * Get the wall-clock fields of a moment in a timezone
+   * @param {Date} date - Moment
+   * @param {string} timeZone - IANA timezone name
+   * @returns {{year: number, month: number, day: number, hour: number, minute: number}}
+   */
+  static getZonedParts(date, timeZone) {
+    const parts = getFormatter(timeZone).formatToParts(date);
+
+    const value = (type) => parseInt(parts.find((part) => part.type === type).value);
+
+    return {
+      year: value('year'),
+      month: value('month'),
+      day: value('day'),
+      hour: value('hour'),
+      minute: value('minute'),
+    };
+  }
+
+  /**
+   * Offset of a timezone from UTC at a moment (milliseconds)
+   * @private
+   */
+  static getOffset(timestamp, timeZone) {
+    const { year, month, day, hour, minute } = this.getZonedParts(new Date(timestamp), timeZone);
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    return wall - Math.floor(timestamp / MINUTE_MS) * MINUTE_MS;
+  }
+
+  /**
+   * Parse one field into the set of values it matches
+   * @private
+   */
+  static parseField(part, field) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+      }
+
+      let from;
+      let to;
+      if (range === '*') {
+        from = field.min;
+        to = field.max;
+      } else if (range.includes('-')) {
+        [from, to] = range.split('-').map((value) => this.parseValue(value, field));
+      } else {
+        from = this.parseValue(range, field);
+        // "5/15" means every 15 starting at 5
+        to = stepText === undefined ? from : field.max;
+      }
+
+      if (from > to) {
+        throw new Error(`Invalid range "${range}" in ${field.name}`);
+      }
+
+      for (let value = from; value <= to; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Parse a single number or name within a field
+   * @private
+   */
+  static parseValue(text, field) {
+    const nameIndex = field.names ? field.names.indexOf(text) : -1;
+    const value = nameIndex !== -1 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(text);
+
+    if (text === '' || !Number.isInteger(value) || value < field.min || value > field.max) {
+      throw new Error(`Invalid ${field.name} "${text}" (allowed ${field.min}-${field.max})`);
+    }
+
+    return value;
+  }
+}
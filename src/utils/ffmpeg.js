@@ -0,0 +1,283 @@
+import { spawn } from 'child_process';
+import { existsSync } from 'fs';
+import ffmpegStatic from 'ffmpeg-static';
+
+/**
+ * Thin wrapper around the ffmpeg binary
+ * Uses the bundled ffmpeg-static binary and falls back to ffmpeg on PATH
+ * (ffprobe is not bundled; it comes with the system ffmpeg package)
+ */
+export class FFmpeg {
+  /**
+   * Path to the ffmpeg executable
+   * @returns {string}
+   */
+  static get path() {
+    return ffmpegStatic && existsSync(ffmpegStatic) ? ffmpegStatic : 'ffmpeg';
+  }
+
+  /**
+   * Path to the ffprobe executable
+   * @returns {string}
+   */
+  static get probePath() {
+    return 'ffprobe';
+  }
+
+  /**
+   * Run ffmpeg on an in-memory input and stream its output
+   * @param {Buffer} inputBuffer - Encoded audio data (written to stdin)
+   * @param {Array<string>} outputArgs - Output options (format, codec, filters...)
+   * @returns {Readable} - ffmpeg stdout; destroying it stops the process
+   */
+  static createStream(inputBuffer, outputArgs) {
+    const child = spawn(
+      this.path,
+      ['-hide_banner', '-loglevel', 'error', '-i', 'pipe:0', ...outputArgs, 'pipe:1'],
+      { stdio: ['pipe', 'pipe', 'pipe'] }
+    );
+
+    const output = child.stdout;
+    let stderr = '';
+
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    child.on('error', (error) => {
+      output.destroy(new Error(`Failed to start ffmpeg: ${error.message}`));
+    });
+
+    child.on('close', (code) => {
+      if (code !== 0 && code !== null && !output.destroyed) {
+        output.destroy(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+      }
+    });
+
+    // Stop ffmpeg if the consumer goes away before it finishes
+    output.once('close', () => {
+      if (child.exitCode === null) {
+        child.kill('SIGKILL');
+      }
+    });
+
+    // ffmpeg may exit before reading all of its input (EPIPE)
+    child.stdin.on('error', () => {});
+    child.stdin.end(inputBuffer);
+
+    return output;
+  }
+
+  /**
+   * Run ffmpeg on an in-memory input and collect its output
+   * @param {Buffer} inputBuffer - Encoded audio data
+   * @param {Array<string>} outputArgs - Output options (format, codec, filters...)
+   * @returns {Promise<Buffer>} - ffmpeg output
+   */
+  static async transcode(inputBuffer, outputArgs) {
+    const chunks = [];
+    for await (const chunk of this.createStream(inputBuffer, outputArgs)) {
+      chunks.push(chunk);
+    }
+
+    const output = Buffer.concat(chunks);
+    if (output.length === 0) {
+      throw new Error('ffmpeg produced no output');
+    }
+    return output;
+  }
+
+  /**
+   * Encode audio to Ogg/Opus, which Discord voice can play without transcoding
+   * @param {Buffer} inputBuffer - Encoded audio data (e.g. MP3)
+   * @param {Array<string>} filters - Audio filters to apply while encoding (optional)
+   * @returns {Promise<Buffer>} - Ogg/Opus data
+   */
+  static encodeOpus(inputBuffer, filters = []) {
+    return this.transcode(inputBuffer, [
+      '-vn',
+      ...this.filterArgs(filters),
+      '-c:a', 'libopus',
+      '-b:a', '96k',
+      '-ar', '48000',
+      '-ac', '2',
+      '-f', 'ogg',
+    ]);
+  }
+
+  /**
+   * Run an analysis filter over in-memory audio and return ffmpeg's log output
+   * @param {Buffer} inputBuffer - Encoded audio data
+   * @param {string} filter - Audio filter that reports its results on stderr
+   * @returns {Promise<string>} - ffmpeg stderr
+   */
+  static analyze(inputBuffer, filter) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(
+        this.path,
+        ['-hide_banner', '-nostats', '-i', 'pipe:0', '-af', filter, '-f', 'null', '-'],
+        { stdio: ['pipe', 'ignore', 'pipe'] }
+      );
+
+      let stderr = '';
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk.toString();
+      });
+
+      child.on('error', (error) => {
+        reject(new Error(`Failed to start ffmpeg: ${error.message}`));
+      });
+
+      child.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+          return;
+        }
+        resolve(stderr);
+      });
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(inputBuffer);
+    });
+  }
+
+  /**
+   * Measure integrated loudness (EBU R128)
+   * @param {Buffer} inputBuffer - Encoded audio data
+   * @returns {Promise<number|null>} - Loudness in LUFS, or null for silent audio
+   */
+  static async measureLoudness(inputBuffer) {
+    const output = await this.analyze(inputBuffer, 'loudnorm=print_format=json');
+
+    // loudnorm prints a JSON summary as the last block of its log
+    const jsonStart = output.lastIndexOf('{');
+    const jsonEnd = output.lastIndexOf('}');
+    if (jsonStart === -1 || jsonEnd < jsonStart) {
+      throw new Error('Could not read loudness from ffmpeg output');
+    }
+
+    const stats = JSON.parse(output.slice(jsonStart, jsonEnd + 1));
+    const loudness = parseFloat(stats.input_i);
+
+    return Number.isFinite(loudness) ? loudness : null;
+  }
+
+  /**
+   * Measure how long audio plays
+   * Asks ffprobe, and decodes the whole input with ffmpeg when ffprobe is missing or
+   * can't tell (e.g. streams without a duration header)
+   * @param {Buffer} inputBuffer - Encoded audio data
+   * @returns {Promise<number|null>} - Duration in seconds, or null if it couldn't be measured
+   */
+  static async probeDuration(inputBuffer) {
+    const probed = await new Promise((resolve) => {
+      const child = spawn(
+        this.probePath,
+        ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', '-i', 'pipe:0'],
+        { stdio: ['pipe', 'pipe', 'ignore'] }
+      );
+
+      let stdout = '';
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk.toString();
+      });
+
+      child.on('error', () => resolve(null));
+      child.on('close', (code) => {
+        const duration = parseFloat(stdout);
+        resolve(code === 0 && Number.isFinite(duration) ? duration : null);
+      });
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(inputBuffer);
+    });
+
+    if (probed !== null) {
+      return probed;
+    }
+
+    return this.parseDuration(await this.analyze(inputBuffer, 'anull'));
+  }
+
+  /**
+   * Read the total duration from ffmpeg's final progress line
+   * @param {string} output - ffmpeg stderr
+   * @returns {number|null} - Duration in seconds, null if not reported
+   * @private
+   */
+  static parseDuration(output) {
+    const times = [...output.matchAll(/time=(\d+):(\d+):([\d.]+)/g)];
+    const lastTime = times[times.length - 1];
+    return lastTime
+      ? parseInt(lastTime[1]) * 3600 + parseInt(lastTime[2]) * 60 + parseFloat(lastTime[3])
+      : null;
+  }
+
+  /**
+   * Find leading and trailing silence
+   * @param {Buffer} inputBuffer - Encoded audio data
+   * @param {Object} options - Detection options
+   * @param {number} options.noise - Level below which audio counts as silence (dB)
+   * @param {number} options.minDuration - Shortest silence to detect (seconds)
+   * @param {number} options.padding - Silence to keep around the sound (seconds)
+   * @returns {Promise<{start: number|null, end: number|null}>} - Offsets (seconds) that cut the silence, null if none
+   */
+  static async detectSilence(inputBuffer, { noise = -50, minDuration = 0.1, padding = 0.05 } = {}) {
+    const output = await this.analyze(inputBuffer, `silencedetect=noise=${noise}dB:d=${minDuration}`);
+
+    // Collect silent ranges; a range without an end runs to the end of the audio
+    const ranges = [];
+    for (const match of output.matchAll(/silence_(start|end): (-?[\d.]+)/g)) {
+      const value = parseFloat(match[2]);
+      if (match[1] === 'start') {
+        ranges.push({ start: value, end: null });
+      } else if (ranges.length > 0) {
+        ranges[ranges.length - 1].end = value;
+      }
+    }
+
+    const duration = this.parseDuration(output);
+
+    const isLeading = (range) => range.start <= padding;
+    const isTrailing = (range) => range.end === null || (duration !== null && range.end >= duration - padding);
+
+    const first = ranges[0];
+    const last = ranges[ranges.length - 1];
+    const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+    // Entirely silent - nothing sensible to keep
+    if (first && isLeading(first) && isTrailing(first)) {
+      return { start: null, end: null };
+    }
+
+    return {
+      start: first && isLeading(first) ? round(Math.max(0, first.end - padding)) : null,
+      end: last && isTrailing(last) ? round(last.start + padding) : null,
+    };
+  }
+
+  /**
+   * Decode audio to raw PCM (signed 16-bit, 48kHz, stereo) as used by Discord voice
+   * @param {Buffer} inputBuffer - Encoded audio data
+   * @param {Array<string>} filters - Audio filters to apply while decoding (e.g. trimming, effects)
+   * @returns {Readable} - PCM stream
+   */
+  static createPcmStream(inputBuffer, filters = []) {
+    return this.createStream(inputBuffer, [
+      ...this.filterArgs(filters),
+      '-f', 's16le',
+      '-ar', '48000',
+      '-ac', '2',
+    ]);
+  }
+
+  /**
+   * Build the arguments that apply a chain of audio filters
+   * @param {Array<string>} filters - Audio filters, applied in order
+   * @returns {Array<string>}
+   * @private
+   */
+  static filterArgs(filters) {
+    return filters.length > 0 ? ['-af', filters.join(',')] : [];
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Forgiving text matching for suggestions
+ * A query matches when its characters appear in order in the text ("vboom" matches
+ * "Vine Boom"); contiguous matches, word starts and early matches rank higher.
+ */
+export class Fuzzy {
+  /**
+   * Score how well a query matches a text
+   * @param {string} query - What the user typed
+   * @param {string} text - Candidate text
+   * @returns {number|null} - Higher is better, null if it doesn't match
+   */
+  static score(query, text) {
+    const needle = this.normalize(query);
+    const haystack = this.normalize(text);
+
+    if (needle === '') {
+      return 0;
+    }
+
+    const index = haystack.indexOf(needle);
+    if (index !== -1) {
+      // Substring matches beat any scattered match; exact and prefix matches first
+      const wordStart = index === 0 || haystack[index - 1] === ' ';
+      return 1000 + (haystack === needle ? 500 : 0) + (wordStart ? 100 : 0) - index;
+    }
+
+    // Characters in order, rewarding runs and word starts, penalizing gaps
+    let score = 0;
+    let position = -1;
+    let run = 0;
+    for (const char of needle) {
+      const found = haystack.indexOf(char, position + 1);
+      if (found === -1) {
+        return null;
+      }
+
+      run = found === position + 1 ? run + 1 : 0;
+      score += 10 + run * 5 + (found === 0 || haystack[found - 1] === ' ' ? 8 : 0) - (found - position - 1);
+      position = found;
+    }
+
+    return Math.min(score, 999);
+  }
+
+  /**
+   * Sort items by how well they match a query, dropping those that don't
+   * @param {string} query - What the user typed
+   * @param {Array} items - Candidates
+   * @param {Function} getText - Text of a candidate
+   * @returns {Array} - Matching items, best first (ties keep their original order)
+   */
+  static rank(query, items, getText) {
+    return items
+      .map((item, index) => ({ item, index, score: this.score(query, getText(item)) }))
+      .filter((entry) => entry.score !== null)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map((entry) => entry.item);
+  }
+
+  /**
+   * Lowercase, strip accents and collapse punctuation to spaces
+   * @private
+   */
+  static normalize(text) {
+    return text
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+}
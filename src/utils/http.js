@@ -0,0 +1,310 @@
+import axios from 'axios';
+import { config } from '../config/config.js';
+import { UrlPolicy } from './urls.js';
+import { Logger } from './logger.js';
+
+// Network errors that mean the host is unreachable or overloaded (worth retrying)
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN',
+  'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH',
+];
+
+// Network errors axios reports when a request runs out of time
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * Error for a request refused without trying because its host keeps failing
+ * The message is meant to be shown to users as is.
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} message - User-facing explanation
+   * @param {string} host - Host name that is failing
+   */
+  constructor(message, host) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.host = host;
+  }
+}
+
+/**
+ * Error for a response body that outgrew the request's size cap (the download is aborted)
+ */
+export class ResponseTooLargeError extends Error {
+  /**
+   * @param {string} message - Explanation
+   * @param {number} maxSize - Size cap in bytes
+   */
+  constructor(message, maxSize) {
+    super(message);
+    this.name = 'ResponseTooLargeError';
+    this.maxSize = maxSize;
+  }
+}
+
+/**
+ * Shared HTTP client for scraping pages and downloading sounds
+ * Every request is checked with UrlPolicy, times out, is capped in size while it
+ * streams, and is retried with exponential backoff and jitter on network errors,
+ * 5xx and 429 (honoring Retry-After). Requests to one host are limited in
+ * concurrency, and a host that keeps failing is skipped for a while
+ * (circuit breaker) so users get a quick answer instead of a long wait.
+ * Requests that give up sooner than config.http.timeout (e.g. autocomplete) don't
+ * count toward the breaker when they time out: a slow answer isn't an outage.
+ */
+export class HttpClient {
+  /**
+   * @param {Object} options - Overrides for config.http
+   */
+  constructor(options = {}) {
+    this.options = { ...config.http, ...options };
+    // State per host: { active, waiting, failures, openUntil, probing }
+    this.hosts = new Map();
+  }
+
+  /**
+   * GET a URL
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Request options (see request)
+   * @returns {Promise<Object>} - axios response
+   */
+  async get(url, options = {}) {
+    return this.request('get', url, options);
+  }
+
+  /**
+   * HEAD a URL (check that it exists without downloading it)
+   * @param {string} url - URL to check
+   * @param {Object} options - Request options (see request)
+   * @returns {Promise<Object>} - axios response
+   */
+  async head(url, options = {}) {
+    return this.request('head', url, options);
+  }
+
+  /**
+   * Send a request
+   * @param {string} method - 'get' or 'head'
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Request options
+   * @param {string} options.responseType - 'text' (default) or 'arraybuffer'
+   * @param {number} options.timeout - Milliseconds per attempt (default config.http.timeout)
+   * @param {number} options.maxSize - Largest body accepted, in bytes (default config.http.maxPageSize)
+   * @param {number} options.retries - Retries after the first attempt (default config.http.maxRetries)
+   * @param {Array<string>|null} options.domains - Hosts the URL and its redirects must stay on (null for any public host)
+   * @param {string} options.service - Name of the site for error messages (default the host name)
+   * @returns {Promise<Object>} - axios response
+   * @throws {CircuitOpenError} - If the host is failing and requests to it are paused
+   * @throws {ResponseTooLargeError} - If the body is bigger than maxSize
+   * @throws {UnsafeUrlError} - If the URL or a redirect isn't safe to fetch
+   * @private
+   */
+  async request(method, url, {
+    responseType = 'text',
+    timeout = this.options.timeout,
+    maxSize = this.options.maxPageSize,
+    retries = this.options.maxRetries,
+    domains = null,
+    service = null,
+  } = {}) {
+    const parsed = new URL(url);
+    UrlPolicy.assertSafe(parsed, domains);
+
+    const host = this.getHost(parsed.hostname);
+    const name = service || parsed.hostname;
+    this.checkCircuit(host, parsed.hostname, name);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(host);
+
+      let error;
+      try {
+        const response = await axios.request({
+          method,
+          url,
+          responseType,
+          timeout,
+          // Abort as soon as the body outgrows the cap instead of downloading it all
+          maxContentLength: maxSize,
+          ...UrlPolicy.requestOptions(domains),
+          headers: { 'User-Agent': this.options.userAgent },
+        });
+
+        this.recordSuccess(host, parsed.hostname);
+        return response;
+      } catch (requestError) {
+        error = requestError;
+      } finally {
+        this.release(host);
+      }
+
+      const unsafe = UrlPolicy.findUnsafe(error);
+      if (unsafe) {
+        this.recordSuccess(host, parsed.hostname);
+        throw unsafe;
+      }
+
+      if (error.message.includes('maxContentLength')) {
+        this.recordSuccess(host, parsed.hostname);
+        throw new ResponseTooLargeError(`Response is larger than ${maxSize} bytes`, maxSize);
+      }
+
+      const status = error.response?.status;
+      const outage = status ? status >= 500 : NETWORK_ERROR_CODES.includes(error.code);
+
+      if (!outage && status !== 429) {
+        // The host answered (e.g. 404), so it is up
+        this.recordSuccess(host, parsed.hostname);
+        throw error;
+      }
+
+      const delay = this.getRetryDelay(error.response, attempt);
+      if (attempt >= retries || delay === null) {
+        if (!status && TIMEOUT_ERROR_CODES.includes(error.code) && timeout < this.options.timeout) {
+          // The caller chose to give up early, which says nothing about the host
+          host.probing = false;
+        } else if (outage) {
+          this.recordFailure(host, parsed.hostname);
+        } else {
+          this.recordSuccess(host, parsed.hostname);
+        }
+        throw error;
+      }
+
+      Logger.warn('Retrying failed request', {
+        url,
+        attempt: attempt + 1,
+        delay,
+        reason: status ? `HTTP ${status}` : error.code,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * How long to wait before the next attempt: Retry-After when the server sent one,
+   * else exponential backoff with full jitter
+   * @param {Object|undefined} response - Failed response (undefined for network errors)
+   * @param {number} attempt - Attempts made so far, minus one
+   * @returns {number|null} - Milliseconds, or null if the server asked for a longer wait than we allow
+   * @private
+   */
+  getRetryDelay(response, attempt) {
+    const retryAfter = this.parseRetryAfter(response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter <= this.options.maxRetryAfter ? retryAfter : null;
+    }
+
+    const ceiling = Math.min(this.options.retryMaxDelay, this.options.retryBaseDelay * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or an HTTP date)
+   * @param {string|undefined} header - Header value
+   * @returns {number|null} - Milliseconds to wait, or null if absent or invalid
+   * @private
+   */
+  parseRetryAfter(header) {
+    if (!header) {
+      return null;
+    }
+
+    if (/^\d+$/.test(header.trim())) {
+      return parseInt(header) * 1000;
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Get (creating it if needed) the state of a host
+   * @private
+   */
+  getHost(hostname) {
+    if (!this.hosts.has(hostname)) {
+      this.hosts.set(hostname, { active: 0, waiting: [], failures: 0, openUntil: 0, probing: false });
+    }
+    return this.hosts.get(hostname);
+  }
+
+  /**
+   * Fail fast while a host's circuit is open; once it has cooled down, let one request through to probe it
+   * @private
+   */
+  checkCircuit(host, hostname, name) {
+    if (!host.openUntil) {
+      return;
+    }
+
+    const remaining = host.openUntil - Date.now();
+    if (remaining > 0 || host.probing) {
+      const seconds = Math.ceil(remaining / 1000);
+      const wait = remaining > 0 ? `in ${seconds} second${seconds === 1 ? '' : 's'}` : 'in a moment';
+      throw new CircuitOpenError(`${name} seems to be down right now. Try again ${wait}.`, hostname);
+    }
+
+    host.probing = true;
+  }
+
+  /**
+   * Close a host's circuit after a request reached it
+   * @private
+   */
+  recordSuccess(host, hostname) {
+    if (host.openUntil) {
+      Logger.info('Host is back, resuming requests', { host: hostname });
+    }
+    host.failures = 0;
+    host.openUntil = 0;
+    host.probing = false;
+  }
+
+  /**
+   * Count a failed request, opening the host's circuit after too many in a row (or a failed probe)
+   * @private
+   */
+  recordFailure(host, hostname) {
+    host.failures++;
+
+    if (host.probing || host.failures >= this.options.circuitFailureThreshold) {
+      host.openUntil = Date.now() + this.options.circuitResetTimeout;
+      host.probing = false;
+      Logger.warn('Host keeps failing, pausing requests', {
+        host: hostname,
+        failures: host.failures,
+        pausedFor: this.options.circuitResetTimeout,
+      });
+    }
+  }
+
+  /**
+   * Wait for a free request slot on a host
+   * @private
+   */
+  async acquire(host) {
+    if (host.active < this.options.maxConcurrentPerHost) {
+      host.active++;
+      return;
+    }
+    await new Promise((resolve) => host.waiting.push(resolve));
+  }
+
+  /**
+   * Free a request slot, handing it straight to the next waiting request
+   * @private
+   */
+  release(host) {
+    const next = host.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      host.active--;
+    }
+  }
+}
+
+// Shared by every service so limits and circuits apply bot-wide
+export const httpClient = new HttpClient();
@@ -0,0 +1,170 @@
+import { Logger } from './logger.js';
+
+// MIME types as written by admins: "audio/mpeg"
+const MIME_TYPE_PATTERN = /^[a-z]+\/[a-z0-9.+-]+$/;
+
+/**
+ * Error for a sound that breaks one of a guild's safety limits
+ * The message is meant to be shown to users as is.
+ */
+export class SoundLimitError extends Error {
+  /**
+   * @param {string} message - User-facing explanation
+   * @param {string} limit - Limit that was broken: 'size', 'duration' or 'type'
+   * @param {number|string|null} value - The sound's size (bytes), duration (seconds) or MIME type
+   *   (null if unknown)
+   */
+  constructor(message, limit, value) {
+    super(message);
+    this.name = 'SoundLimitError';
+    this.limit = limit;
+    this.value = value;
+  }
+}
+
+/**
+ * Per-guild safety limits on the sounds the bot downloads and plays
+ * (maximum file size, maximum duration and allowed MIME types)
+ */
+export class SoundLimits {
+  /**
+   * Read the limits out of a guild's settings
+   * @param {Object} settings - Settings record (see GuildSettingsRepository)
+   * @returns {{maxFileSize: number, maxDuration: number, allowedMimeTypes: Array<string>}} - Size in bytes,
+   *   duration in seconds
+   */
+  static fromSettings(settings) {
+    return {
+      maxFileSize: settings.max_file_size_kb * 1024,
+      maxDuration: settings.max_duration,
+      allowedMimeTypes: settings.allowed_mime_types,
+    };
+  }
+
+  /**
+   * Check the size of a downloaded file
+   * @param {number} size - File size (bytes)
+   * @param {Object} limits - Limits (see fromSettings)
+   * @throws {SoundLimitError}
+   */
+  static checkSize(size, limits) {
+    if (size > limits.maxFileSize) {
+      throw new SoundLimitError(
+        `This sound is too big (${this.formatSize(size)}). This server allows up to ${this.formatSize(limits.maxFileSize)}.`,
+        'size',
+        size
+      );
+    }
+  }
+
+  /**
+   * Check the Content-Type a file was served with
+   * @param {string|undefined} contentType - Content-Type header (parameters are ignored)
+   * @param {Object} limits - Limits (see fromSettings)
+   * @returns {string} - The bare MIME type
+   * @throws {SoundLimitError}
+   */
+  static checkMimeType(contentType, limits) {
+    const mimeType = this.parseMimeType(contentType);
+
+    if (!limits.allowedMimeTypes.includes(mimeType)) {
+      throw new SoundLimitError(
+        `This file type (${mimeType || 'unknown'}) isn't allowed on this server. ` +
+          `Allowed types: ${limits.allowedMimeTypes.join(', ')}`,
+        'type',
+        mimeType
+      );
+    }
+
+    return mimeType;
+  }
+
+  /**
+   * Get the bare MIME type out of a Content-Type header
+   * @param {string|null|undefined} contentType - e.g. "audio/mpeg; charset=binary"
+   * @returns {string} - e.g. "audio/mpeg" (empty if unknown)
+   */
+  static parseMimeType(contentType) {
+    return (contentType || '').split(';')[0].trim().toLowerCase();
+  }
+
+  /**
+   * Check how long a sound plays
+   * @param {number|null} duration - Duration in seconds (null if it couldn't be measured)
+   * @param {Object} limits - Limits (see fromSettings)
+   * @throws {SoundLimitError}
+   */
+  static checkDuration(duration, limits) {
+    if (duration !== null && duration > limits.maxDuration) {
+      throw new SoundLimitError(
+        `This sound is too long (${this.formatDuration(duration)}). This server allows up to ${this.formatDuration(limits.maxDuration)}.`,
+        'duration',
+        duration
+      );
+    }
+  }
+
+  /**
+   * Write a limit violation to the logs
+   * @param {SoundLimitError} error - The violation
+   * @param {Object} context - Logging context
+   */
+  static logViolation(error, context = {}) {
+    Logger.warn('Sound rejected by guild limits', {
+      ...context,
+      limit: error.limit,
+      value: error.value,
+    });
+  }
+
+  /**
+   * Parse a comma separated list of MIME types
+   * @param {string} input - e.g. "audio/mpeg, audio/ogg"
+   * @returns {{mimeTypes: Array<string>, invalid: Array<string>}} - Unique lowercase types and the entries that aren't MIME types
+   */
+  static parseMimeTypes(input) {
+    const entries = input.split(',').map((entry) => entry.trim().toLowerCase()).filter(Boolean);
+
+    return {
+      mimeTypes: [...new Set(entries.filter((entry) => MIME_TYPE_PATTERN.test(entry)))],
+      invalid: entries.filter((entry) => !MIME_TYPE_PATTERN.test(entry)),
+    };
+  }
+
+  /**
+   * Format a file size for users
+   * @param {number} bytes - Size in bytes
+   * @returns {string} - e.g. "512 KB" or "2.5 MB"
+   */
+  static formatSize(bytes) {
+    if (bytes < 1024 * 1024) {
+      return `${Math.ceil(bytes / 1024)} KB`;
+    }
+    return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+  }
+
+  /**
+   * How long a sound plays once trimmed
+   * @param {Object} sound - Sound record
+   * @param {number} duration - Untrimmed duration in seconds (defaults to the stored one)
+   * @returns {number} - Seconds
+   */
+  static getPlayedDuration(sound, duration = sound.duration) {
+    const end = Math.min(sound.trim_end ?? duration, duration);
+    return Math.max(0, end - (sound.trim_start ?? 0));
+  }
+
+  /**
+   * Format a duration for users
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} - e.g. "45s" or "2m 5s"
+   */
+  static formatDuration(seconds) {
+    const rounded = Math.round(seconds);
+    if (rounded < 60) {
+      return `${Math.round(seconds * 10) / 10}s`;
+    }
+    const remainder = rounded % 60;
+    return `${Math.floor(rounded / 60)}m${remainder > 0 ? ` ${remainder}s` : ''}`;
+  }
+}
@@ -0,0 +1,162 @@
+import { BlockList, isIP } from 'net';
+import { lookup as dnsLookup } from 'dns/promises';
+
+// Query parameters that only track where a link was shared, never which page it is
+const TRACKING_PARAMS = [
+  /^utm_/, /^fbclid$/, /^gclid$/, /^dclid$/, /^msclkid$/, /^yclid$/, /^igshid$/,
+  /^mc_(cid|eid)$/, /^_ga$/, /^ref$/, /^ref_src$/, /^si$/,
+];
+
+// Addresses the bot must never fetch from: loopback, private networks, link-local, etc.
+// (IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1 are matched against the IPv4 ranges)
+const PRIVATE_RANGES = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Error for a link the bot refuses to fetch (bad scheme, host not allowed, private address)
+ * The message is meant to be shown to users as is.
+ */
+export class UnsafeUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsafeUrlError';
+  }
+}
+
+/**
+ * Parsing, canonicalization and safety checks for links users hand to the bot
+ * Every outgoing request should use requestOptions(), which re-checks each
+ * redirect and refuses to connect to private addresses.
+ */
+export class UrlPolicy {
+  /**
+   * Canonical form of a link: http(s) only, no fragment, default port or tracking parameters
+   * @param {string} input - Link as given
+   * @returns {URL} - Canonical URL
+   * @throws {UnsafeUrlError} - If it isn't a valid http(s) link
+   */
+  static canonicalize(input) {
+    let url;
+    try {
+      url = new URL(input);
+    } catch {
+      throw new UnsafeUrlError('That isn\'t a valid link.');
+    }
+
+    this.assertSafe(url);
+
+    url.hash = '';
+    url.username = '';
+    url.password = '';
+    for (const name of [...url.searchParams.keys()]) {
+      if (TRACKING_PARAMS.some((pattern) => pattern.test(name.toLowerCase()))) {
+        url.searchParams.delete(name);
+      }
+    }
+    // Drop the lone "?" left when every parameter was stripped
+    if (url.searchParams.size === 0) {
+      url.search = '';
+    }
+
+    return url;
+  }
+
+  /**
+   * Check whether a URL is on one of the allowed domains or their subdomains
+   * @param {URL} url - Parsed URL
+   * @param {Array<string>} domains - Allowed domains, e.g. ['myinstants.com']
+   * @returns {boolean}
+   */
+  static isAllowedHost(url, domains) {
+    return domains.some((domain) => url.hostname === domain || url.hostname.endsWith(`.${domain}`));
+  }
+
+  /**
+   * Check whether an IP address is loopback, private, link-local or otherwise not public
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean}
+   */
+  static isPrivateAddress(address) {
+    const family = isIP(address);
+    if (family === 0) {
+      return false;
+    }
+    return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * Refuse URLs the bot must not fetch, without any network lookup
+   * (host names are checked again once resolved, see lookup)
+   * @param {URL} url - Parsed URL
+   * @param {Array<string>|null} domains - Allowed domains (null allows any public host)
+   * @throws {UnsafeUrlError}
+   */
+  static assertSafe(url, domains = null) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new UnsafeUrlError('Only http and https links are supported.');
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || this.isPrivateAddress(hostname)) {
+      throw new UnsafeUrlError('That link points to a private network address.');
+    }
+
+    if (domains && !this.isAllowedHost(url, domains)) {
+      throw new UnsafeUrlError(`Links must be from ${domains.join(' or ')}.`);
+    }
+  }
+
+  /**
+   * DNS lookup that refuses host names resolving to private addresses
+   * Checked when connecting, so a redirect or a DNS change can't slip past it.
+   * @param {string} hostname - Host name to resolve
+   * @param {Object} options - dns.lookup options
+   * @returns {Promise<Array>} - [address, family] of the first address
+   * @throws {UnsafeUrlError}
+   */
+  static async lookup(hostname, options = {}) {
+    const addresses = await dnsLookup(hostname, { ...options, all: true });
+
+    if (addresses.some(({ address }) => this.isPrivateAddress(address))) {
+      throw new UnsafeUrlError('That link points to a private network address.');
+    }
+
+    return [addresses[0].address, addresses[0].family];
+  }
+
+  /**
+   * axios options that keep a request (and every redirect it follows) on safe hosts
+   * @param {Array<string>|null} domains - Allowed domains (null allows any public host)
+   * @returns {{lookup: Function, beforeRedirect: Function}}
+   */
+  static requestOptions(domains = null) {
+    return {
+      // Must be an async function: axios treats any other function as callback-style
+      lookup: async (hostname, options) => this.lookup(hostname, options),
+      beforeRedirect: (options) => {
+        this.assertSafe(new URL(options.href), domains);
+      },
+    };
+  }
+
+  /**
+   * Find the UnsafeUrlError behind a failed request (axios wraps it, redirects wrap it twice)
+   * @param {Error} error - Error thrown by a request
+   * @returns {UnsafeUrlError|null}
+   */
+  static findUnsafe(error) {
+    for (let cause = error; cause; cause = cause.cause) {
+      if (cause instanceof UnsafeUrlError) {
+        return cause;
+      }
+    }
+    return null;
+  }
+}
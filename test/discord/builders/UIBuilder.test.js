@@ -0,0 +1,34 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../../../src/config/config.js';
+import { UIBuilder } from '../../../src/discord/builders/UIBuilder.js';
+
+const originalUiType = config.bot.uiType;
+
+function sounds(count) {
+  return Array.from({ length: count }, (_, index) => ({ id: index + 1, title: `Sound ${index + 1}`, volume: 100 }));
+}
+
+function pageLine(dashboard) {
+  return dashboard.embed.toJSON().description.split('\n')[1];
+}
+
+describe('UIBuilder.buildSoundsDashboard', () => {
+  afterEach(() => {
+    config.bot.uiType = originalUiType;
+  });
+
+  it('pages the embed like the buttons (20 sounds per page)', () => {
+    config.bot.uiType = 'BUTTONS';
+
+    assert.equal(pageLine(UIBuilder.buildSoundsDashboard(sounds(22), 1)), '📄 Page 2 of 2');
+    assert.equal(pageLine(UIBuilder.buildSoundsDashboard(sounds(45), 2)), '📄 Page 3 of 3');
+  });
+
+  it('pages the embed like the select menu (25 sounds per page)', () => {
+    config.bot.uiType = 'SELECT';
+
+    assert.equal(pageLine(UIBuilder.buildSoundsDashboard(sounds(22), 0)), '');
+    assert.equal(pageLine(UIBuilder.buildSoundsDashboard(sounds(45), 1)), '📄 Page 2 of 2');
+  });
+});
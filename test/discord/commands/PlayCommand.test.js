@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageFlags } from 'discord.js';
+import { PlayCommand } from '../../../src/discord/commands/PlayCommand.js';
+
+/**
+ * Interaction stand-in for /play with the given input, recording its replies
+ */
+function playInteraction(input) {
+  return {
+    replies: [],
+    guild: { id: 'guild-1', name: 'Guild' },
+    user: { id: 'user-1', username: 'user' },
+    member: { voice: { channel: null } },
+    options: {
+      getString: (name) => (name === 'url' ? input : null),
+    },
+    async reply(message) {
+      this.replies.push(message);
+    },
+  };
+}
+
+describe('PlayCommand.execute', () => {
+  it('answers a suggestion for a deleted sound without searching MyInstants', async () => {
+    const searches = [];
+    const command = new PlayCommand(
+      { searchSounds: async (query) => searches.push(query) },
+      { find: () => null, describe: () => '' },
+      null,
+      { getSoundById: async () => null, getSounds: async () => [] },
+      null
+    );
+    const interaction = playInteraction('saved:123');
+
+    await command.execute(interaction);
+
+    assert.deepEqual(searches, []);
+    assert.equal(interaction.replies.length, 1);
+    assert.match(interaction.replies[0].content, /Sound not found/);
+    assert.equal(interaction.replies[0].flags, MessageFlags.Ephemeral);
+  });
+});
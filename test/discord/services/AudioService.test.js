@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioService } from '../../../src/discord/services/AudioService.js';
+import { SoundLimitError } from '../../../src/utils/limits.js';
+
+/**
+ * AudioService whose guild has the given limits, and that fails the test if it fetches any audio
+ */
+function createService(settings = {}) {
+  const guildSettingsRepository = {
+    async getSettings() {
+      return {
+        max_file_size_kb: 5120,
+        max_duration: 30,
+        allowed_mime_types: ['audio/mpeg', 'audio/ogg'],
+        ...settings,
+      };
+    },
+  };
+  const unexpected = async () => {
+    throw new Error('Unexpected audio fetch');
+  };
+  const cacheService = { getVariant: unexpected, getOpus: unexpected, getAudio: unexpected };
+
+  return new AudioService(null, null, cacheService, null, guildSettingsRepository);
+}
+
+function savedSound(overrides = {}) {
+  return {
+    id: 1,
+    guild_id: 'guild-1',
+    title: 'Vine Boom',
+    sound_url: 'https://www.myinstants.com/media/sounds/vine-boom.mp3',
+    file_size: 200 * 1024,
+    mime_type: 'audio/mpeg',
+    duration: 2,
+    ...overrides,
+  };
+}
+
+describe('AudioService.loadSound', () => {
+  it('refuses a saved sound that is bigger than the guild now allows', async () => {
+    const service = createService({ max_file_size_kb: 100 });
+
+    await assert.rejects(service.loadSound(savedSound()), (error) => {
+      assert.ok(error instanceof SoundLimitError);
+      assert.equal(error.limit, 'size');
+      return true;
+    });
+  });
+
+  it('refuses a saved sound whose file type the guild no longer allows', async () => {
+    const service = createService({ allowed_mime_types: ['audio/ogg'] });
+
+    await assert.rejects(service.loadSound(savedSound()), (error) => {
+      assert.ok(error instanceof SoundLimitError);
+      assert.equal(error.limit, 'type');
+      return true;
+    });
+  });
+
+  it('refuses a saved sound that is longer than the guild now allows', async () => {
+    const service = createService({ max_duration: 1 });
+
+    await assert.rejects(service.loadSound(savedSound()), (error) => {
+      assert.ok(error instanceof SoundLimitError);
+      assert.equal(error.limit, 'duration');
+      return true;
+    });
+  });
+});
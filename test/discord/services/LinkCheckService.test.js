@@ -0,0 +1,261 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { LinkCheckService } from '../../../src/discord/services/LinkCheckService.js';
+import { ScraperService, SoundUnavailableError } from '../../../src/myinstants/ScraperService.js';
+import { ProviderRegistry } from '../../../src/providers/ProviderRegistry.js';
+import { MyInstantsProvider } from '../../../src/providers/MyInstantsProvider.js';
+import { DirectAudioProvider } from '../../../src/providers/DirectAudioProvider.js';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..', '..', 'fixtures', 'myinstants');
+
+const PAGE_URL = 'https://www.myinstants.com/en/instant/vine-boom-10541/';
+const OLD_SOUND_URL = 'https://www.myinstants.com/media/sounds/vine-boom-old.mp3';
+// The sound URL on the sound-onclick fixture
+const NEW_SOUND_URL = 'https://www.myinstants.com/media/sounds/vine-boom.mp3';
+
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers: {} },
+  });
+}
+
+/**
+ * HttpClient stand-in: answers each URL with a status (HEAD and GET) or a fixture page (GET)
+ * @param {Object} responses - URL -> HTTP status, or fixture name
+ */
+function stubHttpClient(responses) {
+  const answer = (url) => {
+    const response = responses[url];
+    if (response === undefined) {
+      throw new Error(`Unexpected request to ${url}`);
+    }
+    if (typeof response === 'number' && response >= 400) {
+      throw httpError(response);
+    }
+    return response;
+  };
+
+  return {
+    async head(url) {
+      answer(url);
+      return { status: 200, headers: {} };
+    },
+    async get(url) {
+      const response = answer(url);
+      const data = typeof response === 'string'
+        ? readFileSync(join(FIXTURES_DIR, `${response}.html`), 'utf8')
+        : Buffer.from('audio');
+      return { status: 200, headers: { 'content-type': 'audio/mpeg' }, data };
+    },
+  };
+}
+
+/**
+ * SoundRepository stand-in that records the link updates it gets
+ */
+function stubSoundRepository({ sounds = [], duplicates = [] } = {}) {
+  return {
+    updates: [],
+    async getSoundsToCheck() {
+      return sounds;
+    },
+    async updateLinkStatus(guildId, soundId, broken) {
+      this.updates.push({ soundId, broken });
+    },
+    async updateSoundUrl(guildId, soundId, soundUrl) {
+      this.updates.push({ soundId, soundUrl });
+    },
+    async isDuplicate(guildId, soundUrl) {
+      return duplicates.includes(soundUrl);
+    },
+  };
+}
+
+function createService(responses, repositoryOptions = {}, { client = null, dashboardService = null, settings = {} } = {}) {
+  const httpClient = stubHttpClient(responses);
+  const soundRepository = stubSoundRepository(repositoryOptions);
+  const providerRegistry = new ProviderRegistry([
+    new MyInstantsProvider(new ScraperService(httpClient)),
+    new DirectAudioProvider(),
+  ]);
+  const guildSettingsRepository = {
+    async getSettings() {
+      return { link_alerts: true, alert_channel_id: null, ...settings };
+    },
+  };
+
+  const service = new LinkCheckService(
+    soundRepository,
+    providerRegistry,
+    guildSettingsRepository,
+    dashboardService,
+    client,
+    httpClient
+  );
+  return { service, soundRepository };
+}
+
+function savedSound(overrides = {}) {
+  return {
+    id: 1,
+    guild_id: 'guild-1',
+    title: 'Vine Boom',
+    sound_url: OLD_SOUND_URL,
+    original_url: PAGE_URL,
+    provider: 'myinstants',
+    broken_at: null,
+    ...overrides,
+  };
+}
+
+describe('LinkCheckService.check', () => {
+  it('leaves a working link alone', async () => {
+    const { service, soundRepository } = createService({ [OLD_SOUND_URL]: 200 });
+
+    assert.equal(await service.check(savedSound()), 'ok');
+    assert.deepEqual(soundRepository.updates, [{ soundId: 1, broken: false }]);
+  });
+
+  it('repairs a sound that moved by re-scraping its page', async () => {
+    const { service, soundRepository } = createService({
+      [OLD_SOUND_URL]: 404,
+      [PAGE_URL]: 'sound-onclick',
+      [NEW_SOUND_URL]: 200,
+    });
+
+    assert.equal(await service.check(savedSound()), 'repaired');
+    assert.deepEqual(soundRepository.updates, [{ soundId: 1, soundUrl: NEW_SOUND_URL }]);
+  });
+
+  it('marks a sound broken when its page is gone too (404)', async () => {
+    const { service, soundRepository } = createService({
+      [OLD_SOUND_URL]: 404,
+      [PAGE_URL]: 404,
+    });
+
+    assert.equal(await service.check(savedSound()), 'broken');
+    assert.deepEqual(soundRepository.updates, [{ soundId: 1, broken: true }]);
+  });
+
+  it('marks a sound broken when its file is gone (410) and the page still lists it', async () => {
+    const { service, soundRepository } = createService({
+      [NEW_SOUND_URL]: 410,
+      [PAGE_URL]: 'sound-onclick',
+    });
+
+    assert.equal(await service.check(savedSound({ sound_url: NEW_SOUND_URL })), 'broken');
+    assert.deepEqual(soundRepository.updates, [{ soundId: 1, broken: true }]);
+  });
+
+  it('marks a direct link broken, since it has no page to re-scrape', async () => {
+    const fileUrl = 'https://cdn.example.com/sounds/boom.mp3';
+    const { service, soundRepository } = createService({ [fileUrl]: 410 });
+
+    const sound = savedSound({ sound_url: fileUrl, original_url: fileUrl, provider: 'direct' });
+    assert.equal(await service.check(sound), 'broken');
+    assert.deepEqual(soundRepository.updates, [{ soundId: 1, broken: true }]);
+  });
+
+  it('doesn\'t repair a sound the guild already saved at its new URL', async () => {
+    const { service, soundRepository } = createService(
+      { [OLD_SOUND_URL]: 404, [PAGE_URL]: 'sound-onclick', [NEW_SOUND_URL]: 200 },
+      { duplicates: [NEW_SOUND_URL] }
+    );
+
+    assert.equal(await service.check(savedSound()), 'broken');
+    assert.deepEqual(soundRepository.updates, [{ soundId: 1, broken: true }]);
+  });
+
+  it('reports a broken sound only once', async () => {
+    const { service } = createService({ [OLD_SOUND_URL]: 404, [PAGE_URL]: 404 });
+
+    assert.equal(await service.check(savedSound({ broken_at: new Date() })), 'ok');
+  });
+
+  it('restores a broken sound whose link works again', async () => {
+    const { service, soundRepository } = createService({ [OLD_SOUND_URL]: 200 });
+
+    assert.equal(await service.check(savedSound({ broken_at: new Date() })), 'restored');
+    assert.deepEqual(soundRepository.updates, [{ soundId: 1, broken: false }]);
+  });
+
+  it('changes nothing when the site is down', async () => {
+    const { service, soundRepository } = createService({ [OLD_SOUND_URL]: 503 });
+
+    assert.equal(await service.check(savedSound()), 'ok');
+    assert.deepEqual(soundRepository.updates, [{ soundId: 1, broken: null }]);
+  });
+});
+
+describe('LinkCheckService.tick', () => {
+  it('refreshes dashboards and sends admins a summary of what changed', async () => {
+    const sent = [];
+    const refreshed = [];
+    const channel = {
+      id: 'channel-1',
+      isTextBased: () => true,
+      permissionsFor: () => ({ has: () => true }),
+      send: async (message) => sent.push(message),
+    };
+    const client = {
+      user: { id: 'bot' },
+      guilds: { cache: new Map([['guild-1', { systemChannel: channel, channels: { cache: new Map() } }]]) },
+    };
+
+    const { service } = createService(
+      { [OLD_SOUND_URL]: 404, [PAGE_URL]: 404, 'https://www.myinstants.com/media/sounds/ok.mp3': 200 },
+      {
+        sounds: [
+          savedSound(),
+          savedSound({ id: 2, title: 'Fine', sound_url: 'https://www.myinstants.com/media/sounds/ok.mp3' }),
+        ],
+      },
+      { client, dashboardService: { refreshDashboards: async (guildId) => refreshed.push(guildId) } }
+    );
+
+    await service.tick();
+
+    assert.deepEqual(refreshed, ['guild-1']);
+    assert.equal(sent.length, 1);
+    const [field] = sent[0].embeds[0].toJSON().fields;
+    assert.equal(field.name, '⚠️ Broken (1)');
+    assert.match(field.value, /Vine Boom/);
+  });
+});
+
+describe('ScraperService.downloadSound', () => {
+  it('returns the file and the MIME type it was served as', async () => {
+    const scraper = new ScraperService(stubHttpClient({ [NEW_SOUND_URL]: 200 }));
+
+    const { audioBuffer, mimeType } = await scraper.downloadSound(NEW_SOUND_URL);
+
+    assert.equal(audioBuffer.toString(), 'audio');
+    assert.equal(mimeType, 'audio/mpeg');
+  });
+
+  for (const status of [404, 410]) {
+    it(`throws SoundUnavailableError for a file that is gone (${status})`, async () => {
+      const scraper = new ScraperService(stubHttpClient({ [OLD_SOUND_URL]: status }));
+
+      await assert.rejects(scraper.downloadSound(OLD_SOUND_URL), (error) => {
+        assert.ok(error instanceof SoundUnavailableError);
+        assert.equal(error.soundUrl, OLD_SOUND_URL);
+        assert.match(error.message, /no longer available/);
+        return true;
+      });
+    });
+  }
+
+  it('keeps other failures apart from missing files', async () => {
+    const scraper = new ScraperService(stubHttpClient({ [OLD_SOUND_URL]: 500 }));
+
+    await assert.rejects(scraper.downloadSound(OLD_SOUND_URL), (error) => {
+      assert.ok(!(error instanceof SoundUnavailableError));
+      assert.match(error.message, /Failed to download sound/);
+      return true;
+    });
+  });
+});
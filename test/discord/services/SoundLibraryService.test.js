@@ -0,0 +1,81 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SoundLibraryService } from '../../../src/discord/services/SoundLibraryService.js';
+import { FFmpeg } from '../../../src/utils/ffmpeg.js';
+
+const SOUND_URL = 'https://www.myinstants.com/media/sounds/vine-boom.mp3';
+const ORIGINAL = Buffer.from('mp3');
+const OPUS = Buffer.from('opus');
+
+/**
+ * CacheService stand-in that records what it was asked to store
+ */
+function stubCacheService() {
+  return {
+    writes: [],
+    async setOpus(soundUrl, audioBuffer) {
+      this.writes.push({ format: 'opus', soundUrl, audioBuffer });
+    },
+    async setAudio(soundUrl, audioBuffer) {
+      this.writes.push({ format: 'original', soundUrl, audioBuffer });
+    },
+  };
+}
+
+function createService() {
+  const cacheService = stubCacheService();
+  const soundRepository = {
+    async addSound(guildId, sound) {
+      return { id: 1, ...sound };
+    },
+  };
+
+  const service = new SoundLibraryService(null, soundRepository, null, null, cacheService);
+  return { service, cacheService };
+}
+
+function soundData(overrides = {}) {
+  return { soundUrl: SOUND_URL, title: 'Vine Boom', audioBuffer: ORIGINAL, ...overrides };
+}
+
+describe('SoundLibraryService.save', () => {
+  let encodeOpus;
+
+  beforeEach(() => {
+    mock.method(FFmpeg, 'detectSilence', async () => ({ start: null, end: null }));
+    encodeOpus = mock.method(FFmpeg, 'encodeOpus', async () => OPUS);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('encodes a new sound to Ogg/Opus and caches it', async () => {
+    const { service, cacheService } = createService();
+
+    await service.save('guild-1', soundData());
+
+    assert.equal(encodeOpus.mock.callCount(), 1);
+    assert.deepEqual(cacheService.writes, [{ format: 'opus', soundUrl: SOUND_URL, audioBuffer: OPUS }]);
+  });
+
+  it('caches the original when it can\'t be encoded', async () => {
+    encodeOpus.mock.mockImplementation(async () => {
+      throw new Error('ffmpeg exited with code 1');
+    });
+    const { service, cacheService } = createService();
+
+    await service.save('guild-1', soundData());
+
+    assert.deepEqual(cacheService.writes, [{ format: 'original', soundUrl: SOUND_URL, audioBuffer: ORIGINAL }]);
+  });
+
+  it('doesn\'t encode a sound the caller already encoded', async () => {
+    const { service, cacheService } = createService();
+
+    await service.save('guild-1', soundData({ encoded: { audioBuffer: OPUS, format: 'opus' } }));
+
+    assert.equal(encodeOpus.mock.callCount(), 0);
+    assert.deepEqual(cacheService.writes, []);
+  });
+});
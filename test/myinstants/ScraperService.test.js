@@ -0,0 +1,229 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { ScraperService } from '../../src/myinstants/ScraperService.js';
+
+// Pages saved with `npm run record-fixture` (or written to match MyInstants' markup)
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures', 'myinstants');
+
+function fixture(name) {
+  return readFileSync(join(FIXTURES_DIR, `${name}.html`), 'utf8');
+}
+
+/**
+ * HttpClient stand-in: answers each URL with a fixture (or fails it with an HTTP status)
+ * and remembers the requests it got
+ * @param {Object} pages - URL -> fixture name, or HTTP status to fail with
+ */
+function stubHttpClient(pages) {
+  return {
+    requests: [],
+    async get(url, options = {}) {
+      this.requests.push({ url, options });
+
+      const page = pages[url];
+      if (page === undefined) {
+        throw new Error(`Unexpected request to ${url}`);
+      }
+      if (typeof page === 'number') {
+        throw Object.assign(new Error(`Request failed with status code ${page}`), {
+          response: { status: page, headers: {} },
+        });
+      }
+      return { status: 200, headers: {}, data: fixture(page) };
+    },
+  };
+}
+
+describe('ScraperService.parseSoundPage', () => {
+  const scraper = new ScraperService(stubHttpClient({}));
+
+  it('prefers the download button over the play button', () => {
+    const sound = scraper.parseSoundPage(fixture('sound-download-button'));
+
+    assert.equal(sound.soundUrl, 'https://www.myinstants.com/media/sounds/movie_1.mp3');
+    assert.equal(sound.title, 'Bruh Sound Effect #2');
+  });
+
+  it('reads the play button\'s onclick before its data-url', () => {
+    const sound = scraper.parseSoundPage(fixture('sound-onclick'));
+
+    assert.equal(sound.soundUrl, 'https://www.myinstants.com/media/sounds/vine-boom.mp3');
+    assert.equal(sound.title, 'Vine Boom');
+  });
+
+  it('falls back to the play button\'s data-url', () => {
+    const sound = scraper.parseSoundPage(fixture('sound-data-url'));
+
+    assert.equal(sound.soundUrl, 'https://www.myinstants.com/media/sounds/sadtrombone.swf.mp3');
+    assert.equal(sound.title, 'Sad Trombone');
+  });
+
+  it('falls back to the <source> tag, canonicalizing its URL', () => {
+    const sound = scraper.parseSoundPage(fixture('sound-audio-source'));
+
+    assert.equal(sound.soundUrl, 'https://www.myinstants.com/media/sounds/metal-pipe-falling.mp3');
+    assert.equal(sound.title, 'Metal Pipe Falling');
+  });
+
+  it('strips localized title suffixes', () => {
+    assert.equal(scraper.parseSoundPage(fixture('sound-localized-es')).title, 'Risa de Bob Esponja');
+    assert.equal(scraper.parseSoundPage(fixture('sound-localized-pt')).title, 'Tá Pegando Fogo Bicho');
+  });
+
+  it('reads the sound\'s description, tags, uploader, thumbnail and color', () => {
+    const sound = scraper.parseSoundPage(fixture('sound-details'));
+
+    assert.equal(sound.title, 'Emotional Damage');
+    assert.equal(sound.description, 'Steven He\'s famous line.');
+    assert.deepEqual(sound.tags, ['meme', 'funny', 'steven he', 'reaction']);
+    assert.equal(sound.uploader, 'damage_dealer');
+    assert.equal(sound.thumbnailUrl, 'https://www.myinstants.com/media/instants_images/emotional-damage.jpg');
+    assert.equal(sound.color, 0x1ad4ff);
+  });
+
+  it('leaves out details a page doesn\'t have', () => {
+    const sound = scraper.parseSoundPage(fixture('sound-data-url'));
+
+    assert.equal(sound.description, null);
+    assert.deepEqual(sound.tags, []);
+    assert.equal(sound.uploader, null);
+    assert.equal(sound.thumbnailUrl, null);
+    assert.equal(sound.color, null);
+  });
+
+  it('fails on a page without a sound', () => {
+    assert.throws(
+      () => scraper.parseSoundPage(fixture('sound-removed')),
+      /Could not find sound URL on the page/
+    );
+  });
+});
+
+describe('ScraperService.scrapeMyInstantsSound', () => {
+  it('fetches the canonical page URL and parses it', async () => {
+    const httpClient = stubHttpClient({
+      'https://www.myinstants.com/en/instant/vine-boom-10541/': 'sound-onclick',
+    });
+    const scraper = new ScraperService(httpClient);
+
+    const sound = await scraper.scrapeMyInstantsSound('http://myinstants.com/es/instant/vine-boom-10541?utm_source=x');
+
+    assert.equal(sound.soundUrl, 'https://www.myinstants.com/media/sounds/vine-boom.mp3');
+    assert.equal(httpClient.requests.length, 1);
+    assert.deepEqual(httpClient.requests[0].options.domains, ScraperService.DOMAINS);
+  });
+
+  it('explains that a missing sound was removed', async () => {
+    const scraper = new ScraperService(stubHttpClient({
+      'https://www.myinstants.com/en/instant/gone-1/': 404,
+    }));
+
+    await assert.rejects(
+      scraper.scrapeMyInstantsSound('https://www.myinstants.com/en/instant/gone-1/'),
+      /doesn't exist on MyInstants \(it may have been removed\)/
+    );
+  });
+
+  it('fails on a page that no longer has a sound', async () => {
+    const scraper = new ScraperService(stubHttpClient({
+      'https://www.myinstants.com/en/instant/gone-2/': 'sound-removed',
+    }));
+
+    await assert.rejects(
+      scraper.scrapeMyInstantsSound('https://www.myinstants.com/en/instant/gone-2/'),
+      /Could not find sound URL on the page/
+    );
+  });
+
+  it('refuses links to other sites without fetching them', async () => {
+    const httpClient = stubHttpClient({});
+    const scraper = new ScraperService(httpClient);
+
+    await assert.rejects(scraper.scrapeMyInstantsSound('https://example.com/en/instant/x/'), /myinstants\.com/);
+    assert.equal(httpClient.requests.length, 0);
+  });
+});
+
+describe('ScraperService.parseSearchResults', () => {
+  const scraper = new ScraperService(stubHttpClient({}));
+
+  it('lists every hit in page order with canonical URLs', () => {
+    assert.deepEqual(scraper.parseSearchResults(fixture('search-results-page-1')), [
+      {
+        title: 'Bruh Sound Effect #2',
+        pageUrl: 'https://www.myinstants.com/en/instant/bruh-sound-effect-2-29485/',
+        soundUrl: 'https://www.myinstants.com/media/sounds/movie_1.mp3',
+      },
+      {
+        title: 'bruh',
+        pageUrl: 'https://www.myinstants.com/en/instant/bruh-1022/',
+        soundUrl: 'https://www.myinstants.com/media/sounds/bruh.mp3',
+      },
+      {
+        title: 'Bruh Meme',
+        pageUrl: 'https://www.myinstants.com/en/instant/bruh-meme-55120/',
+        soundUrl: 'https://www.myinstants.com/media/sounds/bruh-meme.mp3',
+      },
+    ]);
+  });
+
+  it('parses each page of a paginated result on its own', () => {
+    const firstPage = scraper.parseSearchResults(fixture('search-results-page-1'));
+    const secondPage = scraper.parseSearchResults(fixture('search-results-page-2'));
+
+    assert.deepEqual(secondPage.map((hit) => hit.title), ['Bruh Moment', 'BRUH (loud)']);
+
+    // Pages don't repeat each other's hits
+    const soundUrls = [...firstPage, ...secondPage].map((hit) => hit.soundUrl);
+    assert.equal(new Set(soundUrls).size, 5);
+  });
+
+  it('returns nothing for an empty result page', () => {
+    assert.deepEqual(scraper.parseSearchResults(fixture('search-empty')), []);
+  });
+
+  it('skips malformed, unsafe, off-site and repeated entries', () => {
+    assert.deepEqual(scraper.parseSearchResults(fixture('search-malformed')), [
+      {
+        title: 'Vine Boom',
+        pageUrl: 'https://www.myinstants.com/en/instant/vine-boom-10541/',
+        soundUrl: 'https://www.myinstants.com/media/sounds/vine-boom.mp3',
+      },
+      {
+        title: 'Taco Bell Bong',
+        pageUrl: 'https://www.myinstants.com/en/instant/taco-bell-bong-3391/',
+        soundUrl: 'https://www.myinstants.com/media/sounds/taco-bell.mp3',
+      },
+    ]);
+  });
+});
+
+describe('ScraperService.searchSounds', () => {
+  const searchUrl = 'https://www.myinstants.com/en/search/?name=bruh%20moment';
+
+  it('searches MyInstants with the query encoded and keeps the first hits', async () => {
+    const httpClient = stubHttpClient({ [searchUrl]: 'search-results-page-1' });
+    const scraper = new ScraperService(httpClient);
+
+    const results = await scraper.searchSounds('bruh moment', 2, { timeout: 2000, retries: 0 });
+
+    assert.deepEqual(results.map((hit) => hit.title), ['Bruh Sound Effect #2', 'bruh']);
+    assert.equal(httpClient.requests[0].options.timeout, 2000);
+    assert.equal(httpClient.requests[0].options.retries, 0);
+  });
+
+  it('returns nothing when MyInstants has no hits', async () => {
+    const scraper = new ScraperService(stubHttpClient({ [searchUrl]: 'search-empty' }));
+
+    assert.deepEqual(await scraper.searchSounds('bruh moment'), []);
+  });
+
+  it('reports a failed search', async () => {
+    const scraper = new ScraperService(stubHttpClient({ [searchUrl]: 503 }));
+
+    await assert.rejects(scraper.searchSounds('bruh moment'), /Failed to search MyInstants/);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { SoundboardProvider } from '../../src/providers/SoundboardProvider.js';
+
+// Pages written to match 101soundboards' markup
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures', '101soundboards');
+
+const PAGE_URL = 'https://www.101soundboards.com/sounds/28155373-emotional-damage';
+
+function fixture(name) {
+  return readFileSync(join(FIXTURES_DIR, `${name}.html`), 'utf8');
+}
+
+/**
+ * HttpClient stand-in: answers each URL with a fixture and remembers the requests it got
+ * @param {Object} pages - URL -> fixture name
+ */
+function stubHttpClient(pages) {
+  return {
+    requests: [],
+    async get(url, options = {}) {
+      this.requests.push({ url, options });
+
+      if (pages[url] === undefined) {
+        throw new Error(`Unexpected request to ${url}`);
+      }
+      return { status: 200, headers: {}, data: fixture(pages[url]) };
+    },
+  };
+}
+
+describe('SoundboardProvider.parseSoundPage', () => {
+  const provider = new SoundboardProvider(stubHttpClient({}));
+
+  it('reads the Open Graph tags before the player', () => {
+    assert.deepEqual(provider.parseSoundPage(fixture('sound-og-audio'), PAGE_URL), {
+      soundUrl: 'https://www.101soundboards.com/storage/board_sounds_rendered/28155373.mp3?md5=a1b2c3',
+      title: 'Emotional Damage',
+      description: 'Listen to Emotional Damage from the Steven He soundboard.',
+      thumbnailUrl: 'https://www.101soundboards.com/storage/board_pictures/65331.png',
+    });
+  });
+
+  it('falls back to the player\'s source and the page heading', () => {
+    const pageUrl = 'https://www.101soundboards.com/sounds/30188207-bonk';
+
+    assert.deepEqual(provider.parseSoundPage(fixture('sound-audio-source'), pageUrl), {
+      soundUrl: 'https://www.101soundboards.com/storage/board_sounds_rendered/30188207.mp3',
+      title: 'Bonk',
+      description: null,
+      thumbnailUrl: null,
+    });
+  });
+
+  it('fails on a page without a sound', () => {
+    assert.throws(
+      () => provider.parseSoundPage(fixture('sound-removed'), PAGE_URL),
+      /Could not find sound URL on the page/
+    );
+  });
+});
+
+describe('SoundboardProvider.resolve', () => {
+  it('fetches the page without leaving 101soundboards and parses it', async () => {
+    const httpClient = stubHttpClient({ [PAGE_URL]: 'sound-og-audio' });
+    const provider = new SoundboardProvider(httpClient);
+
+    const sound = await provider.resolve(PAGE_URL);
+
+    assert.equal(sound.title, 'Emotional Damage');
+    assert.deepEqual(httpClient.requests[0].options.domains, ['101soundboards.com']);
+  });
+
+  it('explains a page that no longer has a sound', async () => {
+    const provider = new SoundboardProvider(stubHttpClient({ [PAGE_URL]: 'sound-removed' }));
+
+    await assert.rejects(provider.resolve(PAGE_URL), /Failed to scrape sound: Could not find sound URL/);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CronExpression } from '../../src/utils/cron.js';
+
+/**
+ * Next run of an expression after a moment, as an ISO string (null if it never runs)
+ */
+function next(expression, timeZone, after) {
+  const run = new CronExpression(expression).next(timeZone, new Date(after));
+  return run && run.toISOString();
+}
+
+describe('CronExpression parsing', () => {
+  it('expands lists, ranges and steps', () => {
+    const cron = new CronExpression('*/15 9-17/4 1,15 * *');
+
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [9, 13, 17]);
+    assert.deepEqual([...cron.days], [1, 15]);
+  });
+
+  it('reads a single value with a step as a start', () => {
+    assert.deepEqual([...new CronExpression('50/5 * * * *').minutes], [50, 55]);
+  });
+
+  it('accepts month and day names in any case', () => {
+    const cron = new CronExpression('0 12 * JAN-mar mon,FRI');
+
+    assert.deepEqual([...cron.months], [1, 2, 3]);
+    assert.deepEqual([...cron.weekdays], [1, 5]);
+  });
+
+  it('treats 7 as Sunday', () => {
+    assert.deepEqual([...new CronExpression('0 0 * * 7').weekdays], [0]);
+  });
+
+  it('expands aliases', () => {
+    assert.equal(next('@daily', 'UTC', '2026-06-01T10:00:00Z'), '2026-06-02T00:00:00.000Z');
+    assert.equal(next('@hourly', 'UTC', '2026-06-01T10:00:00Z'), '2026-06-01T11:00:00.000Z');
+    assert.equal(next('@yearly', 'UTC', '2026-06-01T10:00:00Z'), '2027-01-01T00:00:00.000Z');
+  });
+
+  it('rejects invalid expressions', () => {
+    for (const expression of ['* * * *', '60 * * * *', '0 24 * * *', '0 0 0 * *', '*/0 * * * *', '5-1 * * * *', '0 0 * foo *']) {
+      assert.equal(CronExpression.isValid(expression), false, expression);
+    }
+  });
+
+  it('checks timezones', () => {
+    assert.equal(CronExpression.isValidTimeZone('Europe/Madrid'), true);
+    assert.equal(CronExpression.isValidTimeZone('Mars/Olympus'), false);
+  });
+});
+
+describe('CronExpression.next', () => {
+  it('runs strictly after the given moment', () => {
+    assert.equal(next('30 10 * * *', 'UTC', '2026-06-01T10:30:00Z'), '2026-06-02T10:30:00.000Z');
+    assert.equal(next('* * * * *', 'UTC', '2026-06-01T23:58:30Z'), '2026-06-01T23:59:00.000Z');
+  });
+
+  it('reads times in the given timezone', () => {
+    // 09:00 in Madrid is 07:00 UTC in summer and 08:00 UTC in winter
+    assert.equal(next('0 9 * * *', 'Europe/Madrid', '2026-06-01T10:00:00Z'), '2026-06-02T07:00:00.000Z');
+    assert.equal(next('0 9 * * *', 'Europe/Madrid', '2026-12-01T10:00:00Z'), '2026-12-02T08:00:00.000Z');
+  });
+
+  it('uses the timezone\'s date for day fields', () => {
+    // Monday 23:30 UTC is already Tuesday 08:30 in Tokyo
+    assert.equal(next('0 9 * * tue', 'Asia/Tokyo', '2026-06-01T23:30:00Z'), '2026-06-02T00:00:00.000Z');
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // 2026-06-01 is a Monday: the 1st has passed, so the next Monday comes first
+    assert.equal(next('0 9 1 * mon', 'UTC', '2026-06-01T10:00:00Z'), '2026-06-08T09:00:00.000Z');
+  });
+
+  it('matches both day fields when one is a * step', () => {
+    // An odd day of the month that is also a Monday: the 15th
+    assert.equal(next('0 9 */2 * 1', 'UTC', '2026-06-01T10:00:00Z'), '2026-06-15T09:00:00.000Z');
+    // A 10th that is also a Sunday, Tuesday, Thursday or Saturday: September's is a Thursday
+    assert.equal(next('0 9 10 * */2', 'UTC', '2026-06-01T10:00:00Z'), '2026-09-10T09:00:00.000Z');
+  });
+
+  it('finds rare dates and gives up on impossible ones', () => {
+    assert.equal(next('0 0 29 2 *', 'UTC', '2026-06-01T10:00:00Z'), '2028-02-29T00:00:00.000Z');
+    assert.equal(next('0 0 30 2 *', 'UTC', '2026-06-01T10:00:00Z'), null);
+  });
+
+  it('runs a time skipped by DST as soon as the clocks change', () => {
+    // Santiago skips from 00:00 to 01:00 on 2026-09-06: the daily run happens at 01:00 (-03)
+    assert.equal(next('0 0 * * *', 'America/Santiago', '2026-09-05T12:00:00Z'), '2026-09-06T04:00:00.000Z');
+    assert.equal(next('0 0 * * *', 'America/Santiago', '2026-09-06T04:00:00Z'), '2026-09-07T03:00:00.000Z');
+
+    // New York skips from 02:00 to 03:00 on 2026-03-08
+    assert.equal(next('30 2 * * *', 'America/New_York', '2026-03-08T00:00:00Z'), '2026-03-08T07:00:00.000Z');
+  });
+
+  it('runs once through the gap when every minute matches', () => {
+    assert.equal(next('* * * * *', 'America/New_York', '2026-03-08T06:59:00Z'), '2026-03-08T07:00:00.000Z');
+    assert.equal(next('* * * * *', 'America/New_York', '2026-03-08T07:00:00Z'), '2026-03-08T07:01:00.000Z');
+  });
+
+  it('runs a time repeated by DST once', () => {
+    // New York repeats 01:00-02:00 on 2026-11-01
+    assert.equal(next('30 1 * * *', 'America/New_York', '2026-11-01T04:00:00Z'), '2026-11-01T05:30:00.000Z');
+    assert.equal(next('30 1 * * *', 'America/New_York', '2026-11-01T05:30:00Z'), '2026-11-02T06:30:00.000Z');
+  });
+});
+
+describe('CronExpression.zonedTimeToUtc', () => {
+  it('converts a wall-clock time and back', () => {
+    const time = { year: 2026, month: 7, day: 14, hour: 21, minute: 45 };
+    const moment = CronExpression.zonedTimeToUtc(time, 'America/Los_Angeles');
+
+    assert.equal(moment.toISOString(), '2026-07-15T04:45:00.000Z');
+    assert.deepEqual(CronExpression.getZonedParts(moment, 'America/Los_Angeles'), time);
+  });
+});
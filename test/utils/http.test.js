@@ -0,0 +1,43 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { HttpClient, CircuitOpenError } from '../../src/utils/http.js';
+
+const URL = 'https://www.myinstants.com/en/search/?name=bruh';
+
+function timeoutError() {
+  return Object.assign(new Error('timeout of 2000ms exceeded'), { code: 'ECONNABORTED' });
+}
+
+describe('HttpClient circuit breaker', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('opens after repeated outages', async () => {
+    mock.method(axios, 'request', async () => {
+      throw timeoutError();
+    });
+    const client = new HttpClient({ timeout: 15000, circuitFailureThreshold: 3 });
+
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(client.get(URL, { retries: 0 }), /timeout/);
+    }
+    await assert.rejects(client.get(URL, { retries: 0 }), CircuitOpenError);
+  });
+
+  it('doesn\'t count timeouts of requests that chose a shorter timeout', async () => {
+    const request = mock.method(axios, 'request', async () => {
+      throw timeoutError();
+    });
+    const client = new HttpClient({ timeout: 15000, circuitFailureThreshold: 3 });
+
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(client.get(URL, { timeout: 2000, retries: 0 }), /timeout/);
+    }
+
+    // Still reaches the host
+    request.mock.mockImplementation(async () => ({ status: 200, headers: {}, data: 'ok' }));
+    assert.equal((await client.get(URL)).data, 'ok');
+  });
+});